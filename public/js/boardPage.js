@@ -0,0 +1,272 @@
+/**
+ * boardPage.js
+ * Point d'entrée de board.html : tableau des prochains départs d'un arrêt et
+ * de ses quais, pour un écran d'affichage (borne, télévision).
+ *
+ * L'arrêt est donné par l'URL : board.html?stop=<stop_id> (arrêt parent ou
+ * quai) ; &time=HH:MM fixe une heure simulée. Les départs sont groupés par
+ * ligne et sens, avec le décompte en minutes, le quai et les perturbations de
+ * l'arrêt et de ses lignes. Le décompte avance à chaque tick du TimeManager ;
+ * les départs sont recalculés par le moteur toutes les REFRESH_SECONDS et
+ * après chaque relève temps réel.
+ */
+
+import { DataManager } from './dataManager.js';
+import { FeedClient } from './feedClient.js';
+import { TimeManager, formatDelay, getServiceDayStart } from './timeManager.js';
+import { getAlertLevel } from './serviceAlerts.js';
+import { escapeHtml } from './htmlUtils.js';
+import { getConfidenceLevel } from './delayPredictor.js';
+
+const REFRESH_SECONDS = 20;    // Intervalle entre deux calculs des départs
+const DEPARTURE_LIMIT = 60;    // Départs demandés au moteur, toutes lignes confondues
+const DEPARTURES_PER_ROW = 3;  // Départs affichés par ligne et sens
+const COUNTDOWN_MINUTES = 60;  // Au-delà, l'heure de départ remplace le décompte
+
+const CONFIDENCE_LABELS = { high: 'fiabilité bonne', medium: 'fiabilité moyenne', low: 'fiabilité faible' };
+
+let dataManager;
+let feedClient;
+let timeManager;
+let masterStop = null;
+let stopIds = [];
+let departures = null;       // Dernier calcul du moteur (null : pas encore reçu)
+let lastRefreshSeconds = null;
+let refreshing = false;
+let realtimeStatusByKind = {}; // Dernier événement "realtime" par type de flux
+
+async function init() {
+    dataManager = new DataManager();
+    feedClient = new FeedClient(dataManager);
+    feedClient.addListener((type, data) => {
+        if (type !== 'realtime') return;
+        if (data.kind === 'alerts' && data.status === 'ok') {
+            dataManager.serviceAlerts.setAlerts(data.alerts);
+        }
+        realtimeStatusByKind[data.kind] = data;
+        lastRefreshSeconds = null; // Nouvelles prévisions : recalcul au prochain tick
+    });
+
+    if (!await feedClient.load()) {
+        setStatus("Impossible de charger les données GTFS (voir la console).");
+        return;
+    }
+
+    const params = new URLSearchParams(location.search);
+    const requestedStop = params.get('stop');
+    masterStop = requestedStop ? dataManager.getMasterStop(requestedStop) : null;
+    if (!masterStop) {
+        showStopPicker(requestedStop);
+        return;
+    }
+    stopIds = dataManager.groupedStopMap[masterStop.stop_id] || [masterStop.stop_id];
+    document.title = `Départs - ${masterStop.stop_name}`;
+    document.getElementById('board-title').textContent = masterStop.stop_name;
+
+    timeManager = new TimeManager();
+    timeManager.setTimeZone(dataManager.timezone);
+    const time = params.get('time');
+    if (/^\d{1,2}:\d{2}$/.test(time || '')) {
+        timeManager.setMode('simulated');
+        timeManager.setTime(dataManager.timeToSeconds(`${time}:00`));
+    } else {
+        timeManager.setMode('real');
+    }
+    timeManager.addListener(onTick);
+    timeManager.play();
+}
+
+function setStatus(html) {
+    document.getElementById('board-status').innerHTML = html;
+}
+
+/**
+ * Sans arrêt valide dans l'URL : liste des arrêts, le choix recharge la page
+ */
+function showStopPicker(requestedStop) {
+    setStatus(requestedStop
+        ? `Arrêt inconnu : ${escapeHtml(requestedStop)}. <a href="index.html">Retour à la carte</a>`
+        : `Choisissez un arrêt, ou ouvrez board.html?stop=&lt;stop_id&gt;. <a href="index.html">Retour à la carte</a>`);
+
+    const stops = [...dataManager.masterStops].sort((a, b) => a.stop_name.localeCompare(b.stop_name, 'fr'));
+    document.getElementById('board').innerHTML = `
+        <div class="stop-picker">
+            <input type="search" id="stop-picker" list="stop-picker-list" placeholder="Nom de l'arrêt" aria-label="Arrêt">
+            <datalist id="stop-picker-list">
+                ${stops.map(stop => `<option value="${escapeHtml(stop.stop_name)}"></option>`).join('')}
+            </datalist>
+        </div>`;
+    document.getElementById('stop-picker').addEventListener('change', (e) => {
+        const stop = stops.find(candidate => candidate.stop_name === e.target.value);
+        if (stop) {
+            location.search = `?stop=${encodeURIComponent(stop.stop_id)}`;
+        }
+    });
+}
+
+function onTick({ seconds, timeString, date }) {
+    document.getElementById('board-clock').textContent = timeString.substring(0, 5);
+
+    // Nouveau calcul périodique, ou si l'heure a reculé (minuit, heure simulée changée)
+    if (lastRefreshSeconds === null || seconds < lastRefreshSeconds || seconds - lastRefreshSeconds >= REFRESH_SECONDS) {
+        refreshDepartures(seconds, date);
+    }
+    renderBoard(seconds);
+    renderAlerts(getServiceDayStart(date, dataManager.timezone) + seconds);
+}
+
+async function refreshDepartures(seconds, date) {
+    if (refreshing) return;
+    refreshing = true;
+    lastRefreshSeconds = seconds;
+    try {
+        departures = await feedClient.getUpcomingDepartures(stopIds, seconds, date, DEPARTURE_LIMIT);
+    } catch (error) {
+        console.error('Erreur lors du calcul des prochains départs:', error);
+        departures ??= [];
+    } finally {
+        refreshing = false;
+    }
+    updateStatus();
+}
+
+/**
+ * Quais de l'arrêt et état du temps réel (heure de la dernière relève)
+ */
+function updateStatus() {
+    const received = Object.values(realtimeStatusByKind).filter(entry => entry.status === 'ok' && entry.kind !== 'alerts');
+    let realtimeText = 'Horaires théoriques';
+    if (received.length > 0) {
+        const latest = Math.max(...received.map(entry => entry.timestamp || 0));
+        realtimeText = latest
+            ? `Temps réel ${new Date(latest * 1000).toLocaleTimeString('fr-FR', { timeZone: dataManager.timezone || undefined, hour: '2-digit', minute: '2-digit' })}`
+            : 'Temps réel';
+    }
+    setStatus(`${stopIds.length} quai(s) · ${realtimeText} · <a href="index.html">Carte</a>`);
+}
+
+/**
+ * Départs à venir groupés par ligne et sens (direction_id, sinon girouette),
+ * dans l'ordre des lignes
+ * @returns {Array<{routeId, routeShortName, routeColor, routeTextColor, headsigns: Array<string>, platforms: Array<string>, departures: Array}>}
+ */
+function groupDepartures(list) {
+    const groups = new Map();
+    list.forEach(dep => {
+        const key = `${dep.routeId}|${dep.directionId ?? dep.headsign}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                routeId: dep.routeId,
+                routeShortName: dep.routeShortName,
+                routeColor: dep.routeColor,
+                routeTextColor: dep.routeTextColor,
+                directionId: dep.directionId,
+                headsigns: [],
+                platforms: [],
+                departures: []
+            });
+        }
+        const group = groups.get(key);
+        if (group.departures.length >= DEPARTURES_PER_ROW) return;
+        group.departures.push(dep);
+        if (!group.headsigns.includes(dep.headsign)) group.headsigns.push(dep.headsign);
+        if (dep.platformCode && !group.platforms.includes(dep.platformCode)) group.platforms.push(dep.platformCode);
+    });
+    return [...groups.values()].sort((a, b) =>
+        (a.routeShortName || '').localeCompare(b.routeShortName || '', 'fr', { numeric: true }) ||
+        String(a.directionId ?? '').localeCompare(String(b.directionId ?? '')));
+}
+
+function renderBoard(currentSeconds) {
+    const board = document.getElementById('board');
+    let html;
+    if (departures === null) {
+        html = `<p class="empty">Calcul des prochains départs...</p>`;
+    } else {
+        const groups = groupDepartures(departures.filter(dep => dep.departureSeconds >= currentSeconds));
+        html = groups.length === 0
+            ? `<p class="empty">Aucun départ prévu dans les prochaines heures.</p>`
+            : groups.map(group => createRowHtml(group, currentSeconds)).join('');
+    }
+    // Pas de réécriture si rien n'a changé (le tableau est rafraîchi à chaque seconde)
+    if (board.dataset.html !== html) {
+        board.innerHTML = html;
+        board.dataset.html = html;
+    }
+}
+
+function createRowHtml(group, currentSeconds) {
+    const platforms = group.platforms.length > 0
+        ? `<span class="platform">Quai ${escapeHtml(group.platforms.join(', '))}</span>`
+        : '';
+    return `
+        <div class="board-row">
+            <span class="line-badge" style="background-color: #${escapeHtml(group.routeColor || '3B82F6')}; color: #${escapeHtml(group.routeTextColor || 'ffffff')};">
+                ${escapeHtml(group.routeShortName || group.routeId)}
+            </span>
+            <div class="direction">
+                → ${escapeHtml(group.headsigns.join(' / '))}
+                ${platforms}
+            </div>
+            <div class="countdowns">
+                ${group.departures.map(dep => createCountdownHtml(dep, currentSeconds)).join('')}
+            </div>
+        </div>`;
+}
+
+/**
+ * Décompte d'un départ : minutes restantes (heure au-delà de COUNTDOWN_MINUTES),
+ * avec en légende le retard prévu, "théorique" ou "supprimé"
+ */
+function createCountdownHtml(dep, currentSeconds) {
+    const time = dep.time.substring(0, 5);
+    if (dep.canceled) {
+        return `<div class="countdown canceled">${dep.scheduledTime.substring(0, 5)}<small>supprimé</small></div>`;
+    }
+
+    const waitMinutes = Math.floor((dep.departureSeconds - currentSeconds) / 60);
+    let value = `${waitMinutes} min`;
+    if (waitMinutes === 0) value = 'Imminent';
+    if (waitMinutes > COUNTDOWN_MINUTES) value = time;
+
+    const classes = ['countdown'];
+    if (waitMinutes === 0) classes.push('imminent');
+    let caption = 'théorique';
+    let title = `Horaire théorique ${time}`;
+    if (dep.realtime) {
+        const level = getConfidenceLevel(dep.confidence);
+        const predicted = !dep.observed && level && dep.confidence < 1;
+        classes.push('realtime');
+        if (predicted) classes.push('predicted');
+        caption = formatDelay(dep.delay);
+        title = predicted
+            ? `Prévision ${time} (${formatDelay(dep.delay)}, ${CONFIDENCE_LABELS[level]})`
+            : `Temps réel ${time} (${formatDelay(dep.delay)})`;
+    }
+    return `<div class="${classes.join(' ')}" title="${title}">${value}<small>${caption}</small></div>`;
+}
+
+/**
+ * Perturbations en cours de l'arrêt et des lignes qui le desservent
+ * @param {number} now - Secondes POSIX
+ */
+function renderAlerts(now) {
+    const alerts = new Map();
+    dataManager.serviceAlerts.getStopAlerts(stopIds, now).forEach(alert => alerts.set(alert.id, alert));
+    new Set((departures || []).map(dep => dep.routeId)).forEach(routeId => {
+        dataManager.serviceAlerts.getRouteAlerts(routeId, now).forEach(alert => alerts.set(alert.id, alert));
+    });
+
+    const container = document.getElementById('board-alerts');
+    const html = [...alerts.values()].map(alert => `
+        <div class="board-alert alert-${getAlertLevel(alert)}">
+            <strong>${escapeHtml(alert.header)}</strong>
+            ${alert.description ? `<p>${escapeHtml(alert.description)}</p>` : ''}
+        </div>`).join('');
+    if (container.dataset.html !== html) {
+        container.innerHTML = html;
+        container.dataset.html = html;
+    }
+}
+
+init();
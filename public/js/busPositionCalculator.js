@@ -2,6 +2,8 @@
  * busPositionCalculator.js
  * * Calcule les positions géographiques interpolées des bus entre deux arrêts
  * * CORRIGÉ: S'adapte au tripScheduler V3 (qui retourne 'segment' ou 'position')
+ * * AJOUT: Interpolation le long du tracé du trip (shapes.txt + shape_dist_traveled),
+ * * puis repli sur le tracé map.geojson de la ligne, puis sur la ligne droite.
  */
 
 export class BusPositionCalculator {
@@ -11,8 +13,11 @@ export class BusPositionCalculator {
 
     /**
      * Calcule la position interpolée d'un bus entre deux arrêts
+     * @param {Object} segment - Segment "moving" du TripScheduler
+     * @param {string} [routeId] - Pour le repli sur le tracé map.geojson
+     * @param {string} [tripId] - Pour le tracé propre du trip (shapes.txt)
      */
-    calculatePosition(segment, routeId = null) {
+    calculatePosition(segment, routeId = null, tripId = null) {
         if (!segment || !segment.fromStopInfo || !segment.toStopInfo) {
             return null;
         }
@@ -29,12 +34,20 @@ export class BusPositionCalculator {
 
         const progress = segment.progress;
 
+        // Tracé du trip (shapes.txt) : suit la bonne variante de la ligne
+        if (tripId) {
+            const position = this.interpolateAlongShape(tripId, segment);
+            if (position) {
+                return position;
+            }
+        }
+
         // Tenter d'utiliser le tracé GeoJSON si disponible
         if (routeId) {
-            const routeGeometry = this.dataManager.getRouteGeometry(routeId);
-            if (routeGeometry && routeGeometry.length > 0) {
+            const routeCoordinates = this.getRouteCoordinates(routeId, fromLat, fromLon, toLat, toLon);
+            if (routeCoordinates && routeCoordinates.length > 0) {
                 const position = this.interpolateAlongRoute(
-                    routeGeometry, 
+                    routeCoordinates, 
                     fromLat, fromLon, 
                     toLat, toLon, 
                     progress
@@ -56,6 +69,71 @@ export class BusPositionCalculator {
         };
     }
 
+    /**
+     * Interpole la position sur le tracé du trip, entre les distances
+     * (shape_dist_traveled) des deux arrêts du segment
+     */
+    interpolateAlongShape(tripId, segment) {
+        const shape = this.dataManager.getTripShape(tripId);
+        const stopDistances = this.dataManager.getStopShapeDistances(tripId);
+        if (!shape || !stopDistances || segment.fromIndex === undefined) {
+            return null;
+        }
+
+        const fromDistance = stopDistances[segment.fromIndex];
+        const toDistance = stopDistances[segment.toIndex];
+        if (!(toDistance > fromDistance)) {
+            return null;
+        }
+
+        const targetDistance = fromDistance + (toDistance - fromDistance) * segment.progress;
+        const { points, distances } = shape;
+
+        // Recherche dichotomique du segment du tracé qui contient la distance cible
+        let low = 0;
+        let high = distances.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (distances[mid] <= targetDistance) low = mid;
+            else high = mid;
+        }
+
+        const span = distances[high] - distances[low];
+        const ratio = span > 0 ? Math.max(0, Math.min(1, (targetDistance - distances[low]) / span)) : 0;
+        const from = points[low];
+        const to = points[high];
+
+        return {
+            lat: from.lat + (to.lat - from.lat) * ratio,
+            lon: from.lon + (to.lon - from.lon) * ratio,
+            progress: segment.progress,
+            bearing: this.computeBearing(from.lat, from.lon, to.lat, to.lon)
+        };
+    }
+
+    /**
+     * Coordonnées ([lon, lat]) du tracé map.geojson d'une ligne. Pour un
+     * MultiLineString, on garde la partie la plus proche des deux arrêts.
+     */
+    getRouteCoordinates(routeId, fromLat, fromLon, toLat, toLon) {
+        const geometry = this.dataManager.getRouteGeometry(routeId);
+        if (!geometry) return null;
+        if (geometry.type === 'LineString') return geometry.coordinates;
+        if (geometry.type !== 'MultiLineString') return null;
+
+        const dm = this.dataManager;
+        let best = null;
+        geometry.coordinates.forEach(line => {
+            const fromIndex = dm.findNearestPointOnRoute(line, fromLat, fromLon);
+            const toIndex = dm.findNearestPointOnRoute(line, toLat, toLon);
+            if (fromIndex === null || toIndex === null) return;
+            const offset = dm.calculateDistance(fromLat, fromLon, line[fromIndex][1], line[fromIndex][0]) +
+                           dm.calculateDistance(toLat, toLon, line[toIndex][1], line[toIndex][0]);
+            if (!best || offset < best.offset) best = { line, offset };
+        });
+        return best ? best.line : null;
+    }
+
     /**
      * Interpole la position le long d'un tracé GeoJSON
      */
@@ -143,6 +221,13 @@ export class BusPositionCalculator {
         const toLat = parseFloat(segment.toStopInfo.stop_lat);
         const toLon = parseFloat(segment.toStopInfo.stop_lon);
 
+        return this.computeBearing(fromLat, fromLon, toLat, toLon);
+    }
+
+    /**
+     * Cap (degrés, 0 = nord) d'un point vers un autre
+     */
+    computeBearing(fromLat, fromLon, toLat, toLon) {
         const fromLatRad = this.dataManager.toRad(fromLat);
         const fromLonRad = this.dataManager.toRad(fromLon);
         const toLatRad = this.dataManager.toRad(toLat);
@@ -169,9 +254,9 @@ export class BusPositionCalculator {
             let bearing = 0;
 
             if (bus.segment) {
-                // Cas 1: Bus en mouvement
-                position = this.calculatePosition(bus.segment, routeId);
-                bearing = this.calculateBearing(bus.segment);
+                // Cas 1: Bus en mouvement (cap du tracé s'il est connu)
+                position = this.calculatePosition(bus.segment, routeId, bus.tripId);
+                bearing = position?.bearing ?? this.calculateBearing(bus.segment);
             } else if (bus.position) {
                 // Cas 2: Bus en attente à un arrêt (fourni par tripScheduler)
                 position = bus.position;
@@ -0,0 +1,194 @@
+/**
+ * calendarPanel.js
+ * * Panneau "Calendrier des services"
+ * * Un mois par grille : chaque jour affiche une pastille par horaire
+ * * (service_id) qui circule ce jour-là, exceptions calendar_dates comprises.
+ * * Un clic sur un jour détaille ses services et ses exceptions.
+ */
+
+import { getZonedDateTime } from './timeManager.js';
+
+// Une couleur par service, dans l'ordre de DataManager.getServices
+const SERVICE_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777', '#4b5563', '#65a30d'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const WEEKDAY_LABELS = ['Lu', 'Ma', 'Me', 'Je', 'Ve', 'Sa', 'Di'];
+
+export class CalendarPanel {
+    constructor(panelId, dataManager) {
+        this.panel = document.getElementById(panelId);
+        this.dataManager = dataManager;
+
+        this.legendContainer = document.getElementById('calendar-legend');
+        this.monthsContainer = document.getElementById('calendar-months');
+        this.dayContainer = document.getElementById('calendar-day-details');
+
+        this.services = [];
+        this.colorByService = new Map();
+        this.selectedDateKey = null;
+
+        this.monthsContainer.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-date-key]');
+            if (cell) this.showDay(cell.dataset.dateKey);
+        });
+    }
+
+    /**
+     * (Re)construit le panneau à partir des données chargées
+     */
+    render() {
+        const dm = this.dataManager;
+        this.services = dm.getServices();
+        this.colorByService = new Map(this.services.map((service, index) =>
+            [service.serviceId, SERVICE_COLORS[index % SERVICE_COLORS.length]]));
+
+        this.renderLegend();
+
+        const range = dm.getCalendarRange();
+        if (!range) {
+            this.monthsContainer.innerHTML = `<p class="calendar-empty">Aucun calendrier de service n'est disponible.</p>`;
+            this.dayContainer.innerHTML = '';
+            return;
+        }
+
+        const start = dm.parseDateKey(range.startDate);
+        const end = dm.parseDateKey(range.endDate);
+        const months = [];
+        for (let month = new Date(start.getFullYear(), start.getMonth(), 1); month <= end; month.setMonth(month.getMonth() + 1)) {
+            months.push(this.createMonthHtml(month.getFullYear(), month.getMonth(), range));
+        }
+        this.monthsContainer.innerHTML = months.join('');
+
+        // Par défaut : aujourd'hui s'il est couvert, sinon le premier jour
+        const todayKey = dm.formatDateKey(getZonedDateTime(new Date(), dm.timezone));
+        const inRange = todayKey >= range.startDate && todayKey <= range.endDate;
+        this.showDay(this.selectedDateKey || (inRange ? todayKey : range.startDate));
+    }
+
+    /** Légende : un service par ligne, avec ses jours réguliers et son nombre de trips */
+    renderLegend() {
+        const dm = this.dataManager;
+        this.legendContainer.innerHTML = this.services.map(service => {
+            let days;
+            if (service.calendar) {
+                days = WEEKDAYS.map((day, index) => `<span class="calendar-weekday ${service.calendar[day] === '1' ? 'active' : ''}">${WEEKDAY_LABELS[index]}</span>`).join('');
+                days += ` <span class="calendar-period">${this.formatShortDate(dm.parseDateKey(service.calendar.start_date))} – ${this.formatShortDate(dm.parseDateKey(service.calendar.end_date))}</span>`;
+            } else {
+                days = `<span class="calendar-period">Dates particulières uniquement</span>`;
+            }
+            return `
+                <li>
+                    <span class="calendar-swatch" style="background: ${this.colorByService.get(service.serviceId)};"></span>
+                    <div>
+                        <strong>${this.getServiceLabel(service.serviceId)}</strong>
+                        <span class="calendar-trip-count">${service.tripCount} trips</span>
+                        <div class="calendar-days">${days}</div>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /** Grille d'un mois (semaines du lundi au dimanche) */
+    createMonthHtml(year, month, range) {
+        const dm = this.dataManager;
+        const first = new Date(year, month, 1);
+        const dayCount = new Date(year, month + 1, 0).getDate();
+        const offset = (first.getDay() + 6) % 7; // lundi = 0
+        const todayKey = dm.formatDateKey(getZonedDateTime(new Date(), dm.timezone));
+
+        const cells = [];
+        for (let i = 0; i < offset; i++) cells.push('<div class="calendar-cell empty"></div>');
+
+        for (let day = 1; day <= dayCount; day++) {
+            const date = new Date(year, month, day);
+            const dateKey = dm.formatDateKey(date);
+            if (dateKey < range.startDate || dateKey > range.endDate) {
+                cells.push(`<div class="calendar-cell out-of-range">${day}</div>`);
+                continue;
+            }
+
+            const serviceIds = dm.getActiveServiceIds(date);
+            const dots = this.services
+                .filter(service => serviceIds.has(service.serviceId))
+                .map(service => `<span class="calendar-dot" style="background: ${this.colorByService.get(service.serviceId)};"></span>`)
+                .join('');
+            const classes = ['calendar-cell'];
+            if (serviceIds.size === 0) classes.push('no-service');
+            if (dm.getServiceExceptions(dateKey).length > 0) classes.push('has-exception');
+            if (dateKey === todayKey) classes.push('today');
+
+            cells.push(`
+                <button type="button" class="${classes.join(' ')}" data-date-key="${dateKey}">
+                    <span class="calendar-day-number">${day}</span>
+                    <span class="calendar-dots">${dots}</span>
+                </button>
+            `);
+        }
+
+        const monthName = first.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+        return `
+            <section class="calendar-month">
+                <h4>${monthName}</h4>
+                <div class="calendar-grid">
+                    ${WEEKDAY_LABELS.map(label => `<div class="calendar-cell header">${label}</div>`).join('')}
+                    ${cells.join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Détail d'un jour : services actifs et exceptions calendar_dates
+     * @param {string} dateKey - "YYYYMMDD"
+     */
+    showDay(dateKey) {
+        const dm = this.dataManager;
+        this.selectedDateKey = dateKey;
+        this.monthsContainer.querySelectorAll('[data-date-key]').forEach(cell => {
+            cell.classList.toggle('selected', cell.dataset.dateKey === dateKey);
+        });
+
+        const date = dm.parseDateKey(dateKey);
+        const serviceIds = dm.getActiveServiceIds(date);
+        const exceptions = dm.getServiceExceptions(dateKey);
+
+        const servicesHtml = serviceIds.size === 0
+            ? `<p class="calendar-empty">Aucun service ne circule ce jour-là.</p>`
+            : `<ul class="calendar-service-list">${this.services
+                .filter(service => serviceIds.has(service.serviceId))
+                .map(service => `
+                    <li>
+                        <span class="calendar-swatch" style="background: ${this.colorByService.get(service.serviceId)};"></span>
+                        ${this.getServiceLabel(service.serviceId)} <span class="calendar-trip-count">${service.tripCount} trips</span>
+                    </li>
+                `).join('')}</ul>`;
+
+        const exceptionsHtml = exceptions.length === 0 ? '' : `
+            <p class="calendar-exceptions-title">Exceptions (calendar_dates) :</p>
+            <ul class="calendar-exceptions">
+                ${exceptions.map(exception => `
+                    <li class="${exception.exception_type === '1' ? 'added' : 'removed'}">
+                        ${exception.exception_type === '1' ? '+ ajouté' : '− supprimé'} : ${this.getServiceLabel(exception.service_id)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        const title = date.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+        this.dayContainer.innerHTML = `
+            <h4>${title}</h4>
+            ${servicesHtml}
+            ${exceptionsHtml}
+        `;
+    }
+
+    /** "CA_GRAND_PERIGUEUX:Timetable:9" -> "Timetable:9" (préfixe de l'agence retiré) */
+    getServiceLabel(serviceId) {
+        const parts = serviceId.split(':');
+        return parts.length > 2 ? parts.slice(1).join(':') : serviceId;
+    }
+
+    formatShortDate(date) {
+        return date.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' });
+    }
+}
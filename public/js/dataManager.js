@@ -4,21 +4,133 @@
  *
  * NOTE (V6):
  * - Logique "block_id" (tripsByBlockId, findNextTripInBlock) SUPPRIMÉE
+ * (rétablie en V11)
  * - AJOUT (V7): Fonctions calculateDistance et findStopsWithinRadius
  * pour le LocalPathfinder.
+ * - AJOUT (V8): Graphe de correspondances (transfers.txt s'il existe,
+ * sinon cheminements piétons générés entre arrêts proches).
+ * - AJOUT (V9): Réseau piéton OSM optionnel (streets.geojson, voir StreetRouter)
+ * pour des distances de marche réelles.
+ * - AJOUT (V10): Accessibilité fauteuil roulant (wheelchair_boarding des
+ * arrêts, wheelchair_accessible des trips).
+ * - AJOUT (V11): Logique "block_id" RÉTABLIE (tripsByBlockId,
+ * findNextTripInBlock, findPreviousTripInBlock) : continuité du véhicule
+ * sur la carte et correspondances sans descendre du bus.
+ * - AJOUT (V12): Plusieurs services actifs le même jour : getServiceId
+ * remplacé par getActiveServiceIds (ensemble des service_id du jour).
+ * - CORRIGÉ (V13): Exceptions calendar_dates appliquées service par service
+ * (ajout / suppression), services définis uniquement par calendar_dates.
+ * - AJOUT (V14): Tracés shapes.txt (optionnel) indexés par shape_id, position
+ * de chaque arrêt le long du tracé de son trip (shape_dist_traveled, sinon
+ * projection) et findNearestPointOnRoute pour le repli sur map.geojson.
+ * - AJOUT (V15): Archive GTFS .zip (data/gtfs.zip ou fichier déposé par
+ * l'utilisateur) décompressée dans le navigateur avec JSZip ; loadAllData
+ * peut être rappelée pour remplacer le flux sans recharger la page.
+ * - AJOUT (V16): Plusieurs flux fusionnés (data/feeds.json ou plusieurs
+ * archives déposées) : identifiants en collision préfixés par flux,
+ * exploitants (agency.txt), cheminements piétons entre réseaux.
+ * - CORRIGÉ (V17): Trips après minuit (horaires > 24:00:00) : carte et
+ * prochains départs évaluent aussi le jour de service de la veille
+ * (getServiceDays), heures affichées ramenées sur 24 h (formatTime).
+ * - AJOUT (V18): Fuseau du réseau (agency_timezone), lu par TimeManager et
+ * le calcul d'itinéraire à la place du fuseau du navigateur.
+ * - AJOUT (V19): Cache IndexedDB du flux prétraité (voir FeedCache), indexé
+ * par l'empreinte des fichiers : démarrage à chaud sans PapaParse.
+ * - AJOUT (V20): Lecture du flux dans un Web Worker (voir FeedEngine) : l'interface
+ * installe le modèle prétraité reçu avec loadModel, sans graphe de correspondances.
+ * - AJOUT (V21): Prévisions GTFS-Realtime (voir TripUpdates) : trips actifs,
+ * battements et prochains départs utilisent les horaires recalculés
+ * (getTripStopTimes), les trips supprimés sont écartés.
+ * - AJOUT (V22): Positions mesurées GTFS-Realtime (voir VehiclePositions) ;
+ * trips actifs et battements portent leur jour de service (`serviceDate`).
+ * - AJOUT (V23): Perturbations (voir ServiceAlerts), GTFS-Realtime ou JSON
+ * local ; toutes les adresses de realtime.json sont relatives à ./data/.
+ * - AJOUT (V24): Prévision des retards (voir DelayPredictor) : getTripStopTimes
+ * prolonge les retards connus sur la suite du trip et sur les trips suivants du
+ * véhicule ; les prochains départs portent leur fiabilité (`confidence`).
+ * - AJOUT (V25): Les prochains départs portent ligne, sens, girouette et quai
+ * (tableau des départs, voir boardPage.js) ; getMasterStop résout un quai en arrêt.
  */
 
+import { StreetRouter } from './streetRouter.js';
+import { FeedCache } from './feedCache.js';
+import { TripUpdates } from './tripUpdates.js';
+import { VehiclePositions } from './vehiclePositions.js';
+import { ServiceAlerts } from './serviceAlerts.js';
+import { DelayPredictor } from './delayPredictor.js';
+
+const DEFAULT_WALKING_SPEED = 1.25;          // m/s (~4.5 km/h)
+const DEFAULT_MAX_FOOTPATH_DISTANCE = 400;   // m, cheminements générés entre arrêts maîtres
+const MIN_TRANSFER_SECONDS = 60;             // temps minimum pour changer de quai
+const MAX_LAYOVER_SECONDS = 1800;            // s, au-delà le véhicule quitte le terminus (dépôt)
+const SECONDS_PER_DAY = 86400;               // Les horaires GTFS peuvent dépasser 24:00:00 (service de nuit)
+
+// Fichiers lus pour chaque flux : [table du modèle, fichier, obligatoire]
+const GTFS_FILES = [
+    ['agencies', 'agency.txt', false],
+    ['routes', 'routes.txt', true],
+    ['trips', 'trips.txt', true],
+    ['stopTimes', 'stop_times.txt', true],
+    ['stops', 'stops.txt', true],
+    ['calendar', 'calendar.txt', false],
+    ['calendarDates', 'calendar_dates.txt', false],
+    ['transfers', 'transfers.txt', false],
+    ['shapes', 'shapes.txt', false]
+];
+
+// Fusion de flux : tables qui définissent chaque type d'identifiant...
+const ID_SOURCES = {
+    agency: [['agencies', 'agency_id']],
+    route: [['routes', 'route_id']],
+    trip: [['trips', 'trip_id']],
+    stop: [['stops', 'stop_id']],
+    service: [['calendar', 'service_id'], ['calendarDates', 'service_id']],
+    shape: [['shapes', 'shape_id']],
+    block: [['trips', 'block_id']]
+};
+// ... et champs qui le référencent (renommés ensemble en cas de collision)
+const ID_FIELDS = {
+    agency: ['agency_id'],
+    route: ['route_id', 'from_route_id', 'to_route_id'],
+    trip: ['trip_id', 'from_trip_id', 'to_trip_id'],
+    stop: ['stop_id', 'parent_station', 'from_stop_id', 'to_stop_id'],
+    service: ['service_id'],
+    shape: ['shape_id'],
+    block: ['block_id']
+};
+
+// Accessibilité GTFS : 0/vide = non renseignée, 1 = accessible, 2 = non accessible
+export const ACCESSIBILITY = {
+    ACCESSIBLE: 'ACCESSIBLE',
+    NOT_ACCESSIBLE: 'NOT_ACCESSIBLE',
+    UNKNOWN: 'UNKNOWN'
+};
+
 export class DataManager {
-    constructor() {
+    /**
+     * @param {{walkingSpeed?: number, maxFootpathDistance?: number, cache?: boolean, dataUrl?: string}} [options]
+     * `cache: false` désactive le cache IndexedDB du flux prétraité ; `dataUrl` est
+     * l'adresse du dossier data (absolue dans un worker, dont les chemins relatifs
+     * partent du script et non de la page)
+     */
+    constructor(options = {}) {
+        this.agencies = [];
+        this.timezone = null; // agency_timezone (null : fuseau du navigateur)
         this.routes = [];
         this.trips = [];
         this.stopTimes = [];
         this.stops = [];
         this.geoJson = null;
         this.isLoaded = false;
+
+        // Flux fusionnés (voir mergeFeeds)
+        this.feeds = [];      // [{ id, agencyIds, routeCount, tripCount, renamedCount }]
+        this.renamedIds = {}; // feedId -> { trip: Map(id d'origine -> id fusionné), ... }
         
         this.calendar = [];
         this.calendarDates = [];
+        this.calendarDatesByDate = {};         // "YYYYMMDD" -> [lignes de calendar_dates]
+        this.activeServicesByDate = new Map(); // "YYYYMMDD" -> Set(service_id), cache de getActiveServiceIds
 
         this.masterStops = []; 
         this.groupedStopMap = {}; 
@@ -27,36 +139,147 @@ export class DataManager {
         this.tripsByTripId = {}; // Stocke les trips par ID
         this.stopTimesByTrip = {}; // Stocke les stop_times par trip_id
 
-        // tripsByBlockId a été supprimé
+        // Tracés (voir buildShapes)
+        this.shapesById = {};              // shape_id -> { points: [{lat, lon}], distances: [], measured }
+        this.stopShapeDistances = new Map(); // tripId -> distance le long du tracé, par arrêt (cache)
+
+        this.tripsByBlockId = {}; // block_id -> [{ tripId, trip, startTime, endTime }] triés par départ
+        this.latestTripEnd = SECONDS_PER_DAY; // Dernière arrivée du flux (> 86400 avec un service de nuit)
+
+        this.tripUpdates = new TripUpdates(this); // Prévisions GTFS-Realtime (voir FeedEngine)
+        this.vehiclePositions = new VehiclePositions(this); // Positions mesurées GTFS-Realtime
+        this.serviceAlerts = new ServiceAlerts(this); // Perturbations (lignes, arrêts, trips)
+        this.delayPredictor = new DelayPredictor(this); // Retards prévus (TripUpdates, positions, block)
+
+        // Graphe de correspondances (voir buildTransferGraph)
+        this.transfers = [];              // Lignes brutes de transfers.txt (optionnel)
+        this.shapes = [];                 // Lignes brutes de shapes.txt (pour createCacheModel)
+        this.transfersByStop = {};        // stopId -> [{ toStopId, duration, distance, source }]
+        this.transfersToStop = {};        // stopId -> [{ fromStopId, duration, distance, source }]
+        this.minTransferTimes = {};       // "from>to" -> secondes (même quai inclus)
+        this.forbiddenTransfers = new Set(); // "from>to" ou "from>to|routeA>routeB"
+
+        this.streetRouter = null;         // Réseau piéton (si ./data/streets.geojson existe)
+        this.footpathTrees = new Map();   // Cache temporaire de generateFootpaths
+
+        this.walkingSpeed = options.walkingSpeed ?? DEFAULT_WALKING_SPEED;
+        this.maxFootpathDistance = options.maxFootpathDistance ?? DEFAULT_MAX_FOOTPATH_DISTANCE;
+
+        this.feedCache = options.cache === false ? null : new FeedCache();
+        this.dataUrl = options.dataUrl ?? './data/';
     }
 
     /**
      * Charge tous les fichiers GTFS et GeoJSON
+     * @param {File|Blob|ArrayBuffer|Array|null} [archives] - Archive(s) GTFS .zip à charger
+     * à la place du dossier data (glisser-déposer, sélecteur de fichier), fusionnées s'il y
+     * en a plusieurs. Peut être rappelée pour remplacer le flux : tous les index sont reconstruits.
+     * @returns {Promise<boolean>} false si le flux n'a pas pu être lu (le flux précédent
+     * reste alors en place)
      */
-    async loadAllData() {
+    async loadAllData(archives = null) {
+        let feed;
         try {
             console.log('📦 Chargement des données GTFS et GeoJSON...');
-            
-            const [routes, trips, stopTimes, stops, calendar, calendarDates, geoJson] = await Promise.all([
-                this.loadGTFSFile('routes.txt'),
-                this.loadGTFSFile('trips.txt'),
-                this.loadGTFSFile('stop_times.txt'),
-                this.loadGTFSFile('stops.txt'),
-                this.loadGTFSFile('calendar.txt'), 
-                this.loadGTFSFile('calendar_dates.txt'), 
-                this.loadGeoJSON()
-            ]);
+            feed = await this.readFeed(archives);
+        } catch (error) {
+            console.error('Erreur lors de la lecture du flux GTFS:', error);
+            if (!this.isLoaded) {
+                this.showError('Erreur de chargement des données', 'Vérifiez que les fichiers GTFS (ou gtfs.zip) sont présents dans /data/ et que map.geojson est dans /data/.');
+            }
+            return false;
+        }
+        return this.indexFeed(feed);
+    }
+
+    /**
+     * Installe un modèle prétraité (voir createCacheModel), ex. reçu du worker qui a
+     * lu le flux. map.geojson est lu ici au premier appel ; le graphe de correspondances,
+     * qui ne sert qu'au calcul d'itinéraire, n'est pas construit.
+     * @returns {Promise<boolean>}
+     */
+    async loadModel(model) {
+        const geoJson = this.isLoaded ? undefined : await this.loadGeoJSON();
+        this.feeds = model.feeds;
+        this.renamedIds = model.renamedIds;
+        return this.indexFeed({ ...model.tables, indexes: model.indexes, geoJson, streets: null }, { routing: false });
+    }
+
+    /**
+     * Modèle mis en cache après un chargement complet : tables fusionnées et index
+     * coûteux. Les lignes sont partagées entre tables et index ; IndexedDB conserve
+     * ce partage dans un même enregistrement. Les index légers (par id, blocks,
+     * tracés, correspondances) sont reconstruits à chaque chargement.
+     * Sert aussi à transmettre le flux du worker à l'interface (voir loadModel).
+     */
+    createCacheModel() {
+        return {
+            feeds: this.feeds,
+            renamedIds: this.renamedIds,
+            tables: {
+                agencies: this.agencies,
+                routes: this.routes,
+                trips: this.trips,
+                stopTimes: this.stopTimes,
+                stops: this.stops,
+                calendar: this.calendar,
+                calendarDates: this.calendarDates,
+                transfers: this.transfers,
+                shapes: this.shapes
+            },
+            indexes: {
+                stopTimesByTrip: this.stopTimesByTrip,
+                stopTimesByStop: this.stopTimesByStop,
+                masterStops: this.masterStops,
+                groupedStopMap: this.groupedStopMap
+            }
+        };
+    }
+
+    /**
+     * Installe les tables d'un flux et construit tous les index
+     * @param {Object} feed - Tables (voir readFeed) ; `indexes` si elles viennent du cache
+     * @param {{routing?: boolean}} [options] - routing: false saute le graphe de correspondances
+     * @returns {boolean}
+     */
+    indexFeed(feed, { routing = true } = {}) {
+        try {
+            const { agencies, routes, trips, stopTimes, stops, calendar, calendarDates, transfers, shapes, geoJson, streets, indexes, cacheKey } = feed;
 
+            this.agencies = agencies;
             this.routes = routes;
             this.trips = trips;
             this.stopTimes = stopTimes;
             this.stops = stops;
             this.calendar = calendar;
             this.calendarDates = calendarDates;
-            this.geoJson = geoJson;
+            this.calendarDatesByDate = calendarDates.reduce((acc, exception) => {
+                (acc[exception.date] = acc[exception.date] || []).push(exception);
+                return acc;
+            }, {});
+            this.transfers = transfers;
+            this.shapes = shapes;
+            if (geoJson !== undefined) {
+                this.geoJson = geoJson;
+                this.streetRouter = streets ? new StreetRouter(streets, this.walkingSpeed) : null;
+            }
+
+            // Caches du flux précédent
+            this.activeServicesByDate.clear();
+            this.stopShapeDistances.clear();
+            this.footpathTrees.clear();
+            this.tripUpdates.clear(); // Identifiants du flux précédent
+            this.vehiclePositions.clear();
+            this.serviceAlerts.clear();
 
             console.log('🛠️  Pré-traitement des données...');
 
+            this.agenciesById = this.agencies.reduce((acc, agency) => {
+                acc[agency.agency_id] = agency;
+                return acc;
+            }, {});
+            this.timezone = this.resolveTimezone();
+
             // Indexer les routes pour un accès rapide
             this.routesById = this.routes.reduce((acc, route) => {
                 acc[route.route_id] = route;
@@ -69,50 +292,297 @@ export class DataManager {
                 return acc;
             }, {});
 
-            // Regrouper les stop_times par trip_id (TRÈS IMPORTANT)
-            this.stopTimes.forEach(st => {
-                if (!this.stopTimesByTrip[st.trip_id]) {
-                    this.stopTimesByTrip[st.trip_id] = [];
-                }
-                this.stopTimesByTrip[st.trip_id].push(st);
-            });
-            // Trier les stop_times par sequence
-            for (const tripId in this.stopTimesByTrip) {
-                this.stopTimesByTrip[tripId].sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence));
+            if (indexes) {
+                // Démarrage à chaud : index lus depuis le cache (voir createCacheModel)
+                Object.assign(this, indexes);
+            } else {
+                this.buildStopTimeIndexes();
             }
 
             // Indexer les trips
+            this.tripsByTripId = {};
             this.trips.forEach(trip => {
                 this.tripsByTripId[trip.trip_id] = trip;
             });
+            this.latestTripEnd = this.getDailyServiceBounds().latestEnd;
+
+            // Tracés des trips (shapes.txt)
+            this.buildShapes(shapes);
+
+            // Enchaînements de trips d'un même véhicule (block_id)
+            this.buildBlocks();
 
             // Regrouper les arrêts (logique V4 améliorée)
-            this.groupNearbyStops();
+            if (!indexes) this.groupNearbyStops();
 
-            // Prétraiter les stop_times par arrêt (pour les popups d'arrêt)
-            this.preprocessStopTimesByStop();
+            // Graphe de correspondances (dépend du regroupement)
+            if (routing) this.buildTransferGraph();
 
             console.log('✅ Données chargées et traitées.');
             this.isLoaded = true;
 
+            if (!indexes && cacheKey) {
+                // En tâche de fond : l'affichage n'attend pas l'écriture
+                this.feedCache.put(cacheKey, this.createCacheModel());
+            }
+
         } catch (error) {
             console.error('Erreur fatale lors du chargement des données:', error);
-            this.showError('Erreur de chargement des données', 'Vérifiez que les fichiers GTFS sont présents dans /data/gtfs/ et que map.geojson est dans /data/.');
+            this.showError('Erreur de chargement des données', 'Le flux GTFS a été lu mais n\'a pas pu être indexé (voir la console).');
             this.isLoaded = false;
         }
         return this.isLoaded;
     }
 
     /**
-     * Charge un fichier GTFS (CSV)
+     * Lit et fusionne les flux GTFS (voir getFeedSources et mergeFeeds), ou reprend
+     * le flux prétraité du cache si ses fichiers n'ont pas changé (`indexes` est
+     * alors fourni). map.geojson et streets.geojson ne sont lus qu'au premier
+     * chargement (ils ne font pas partie des archives) : undefined ensuite.
+     * @param {File|Blob|ArrayBuffer|Array|null} archives
      */
-    async loadGTFSFile(filename) {
-        // CORRECTION : Le chemin est ./data/ et non /public/data/
-        const response = await fetch(`./data/gtfs/${filename}`);
-        if (!response.ok) {
-            throw new Error(`Impossible de charger ${filename}: ${response.statusText}`);
+    async readFeed(archives) {
+        const sources = await this.getFeedSources(archives);
+        const files = [];
+        for (const source of sources) {
+            files.push(await this.fetchFeedFiles(source));
+        }
+        const [geoJson, streets] = this.isLoaded
+            ? [undefined, undefined]
+            : await Promise.all([this.loadGeoJSON(), this.loadStreetNetwork()]);
+
+        const cacheKey = this.feedCache ? await this.feedCache.computeKey(files) : null;
+        const cached = await this.feedCache?.get(cacheKey);
+        if (cached) {
+            console.log('⚡ Flux GTFS prétraité lu depuis le cache.');
+            this.feeds = cached.feeds;
+            this.renamedIds = cached.renamedIds;
+            return { ...cached.tables, indexes: cached.indexes, cacheKey, geoJson, streets };
+        }
+
+        const feeds = [];
+        // Un flux après l'autre : une seule archive décompressée à la fois
+        for (const feedFiles of files) {
+            feeds.push(await this.parseFeedFiles(feedFiles));
+        }
+        return { ...this.mergeFeeds(feeds), cacheKey, geoJson, streets };
+    }
+
+    /**
+     * Flux à charger, dans l'ordre :
+     * - les archives fournies (glisser-déposer, sélecteur de fichier), id = nom du fichier
+     * - sinon ceux de ./data/feeds.json, ex. [{ "id": "peribus", "path": "gtfs/" }, { "id": "ter", "path": "ter.zip" }]
+     * - sinon un seul flux : ./data/gtfs.zip s'il existe, sinon ./data/gtfs/
+     * @returns {Promise<Array<{id: string, path?: string|null, archive?: File|Blob|ArrayBuffer}>>}
+     */
+    async getFeedSources(archives) {
+        if (archives) {
+            const usedIds = new Set();
+            return [].concat(archives).map((archive, index) => {
+                const baseId = (archive.name || `flux${index + 1}`).replace(/\.zip$/i, '').replace(/[^\w-]/g, '_');
+                let id = baseId;
+                for (let n = 2; usedIds.has(id); n++) id = `${baseId}_${n}`;
+                usedIds.add(id);
+                return { id, archive };
+            });
+        }
+
+        const response = await fetch(`${this.dataUrl}feeds.json`);
+        if (response.ok) {
+            const sources = await response.json();
+            console.log(`🧩 feeds.json : ${sources.map(source => source.id).join(', ')}`);
+            return sources;
+        }
+        return [{ id: 'gtfs', path: null }];
+    }
+
+    /**
+     * Récupère les fichiers d'un flux sans les analyser : archive .zip (fournie ou
+     * sous ./data/) ou fichiers .txt d'un dossier de ./data/. `bytes` sert à
+     * l'empreinte du flux (clé du cache).
+     * @param {{id: string, path?: string|null, archive?: File|Blob|ArrayBuffer}} source
+     * @returns {Promise<{id: string, archive: ArrayBuffer|null, texts: Map<string, string>|null, bytes: ArrayBuffer|Uint8Array}>}
+     */
+    async fetchFeedFiles(source) {
+        let archive = source.archive || null;
+        const isZipPath = !!source.path && /\.zip$/i.test(source.path);
+
+        if (!archive && (isZipPath || !source.path)) {
+            const zipPath = source.path || 'gtfs.zip';
+            const response = await fetch(`${this.dataUrl}${zipPath}`);
+            if (response.ok) {
+                archive = await response.arrayBuffer();
+            } else if (isZipPath) {
+                throw new Error(`Impossible de charger ${zipPath}: ${response.statusText}`);
+            } else {
+                console.log('ℹ️ gtfs.zip absent : lecture des fichiers de data/gtfs/.');
+            }
+        }
+        if (archive) {
+            if (typeof archive.arrayBuffer === 'function') archive = await archive.arrayBuffer();
+            return { id: source.id, archive, texts: null, bytes: archive };
+        }
+
+        // Dossier : fichier obligatoire manquant = erreur, optionnel manquant = null
+        const folder = source.path ? source.path.replace(/\/?$/, '/') : 'gtfs/';
+        const texts = new Map(await Promise.all(GTFS_FILES.map(async ([, filename, required]) => {
+            // CORRECTION : Le chemin est ./data/ et non /public/data/
+            const response = await fetch(`${this.dataUrl}${folder}${filename}`);
+            if (!response.ok && required) {
+                throw new Error(`Impossible de charger ${filename}: ${response.statusText}`);
+            }
+            return [filename, response.ok ? await response.text() : null];
+        })));
+        const bytes = new TextEncoder().encode(
+            Array.from(texts, ([filename, text]) => `${filename}\n${text ?? ''}`).join('\n'));
+        return { id: source.id, archive: null, texts, bytes };
+    }
+
+    /**
+     * Analyse les fichiers d'un flux (voir fetchFeedFiles) en tables
+     * @param {{id: string, archive: ArrayBuffer|null, texts: Map<string, string>|null}} feedFiles
+     */
+    async parseFeedFiles(feedFiles) {
+        const entries = feedFiles.archive ? await this.openArchive(feedFiles.archive) : null;
+        const tables = await Promise.all(GTFS_FILES.map(([, filename, required]) =>
+            this.loadGTFSFile(filename, { optional: !required, entries, texts: feedFiles.texts })));
+
+        const feed = { id: feedFiles.id };
+        GTFS_FILES.forEach(([table], index) => {
+            feed[table] = tables[index];
+        });
+        // GTFS : au moins l'un des deux fichiers de calendrier
+        if (feed.calendar.length === 0 && feed.calendarDates.length === 0) {
+            throw new Error(`Le flux ${feedFiles.id} ne contient ni calendar.txt ni calendar_dates.txt`);
+        }
+        return feed;
+    }
+
+    /**
+     * Fusionne les flux lus (réseaux multi-exploitants). Le premier flux garde ses
+     * identifiants ; dans les suivants, un identifiant déjà utilisé par un flux
+     * précédent est préfixé par l'id du flux ("ter:GARE"), dans toutes les tables
+     * qui le référencent. Exploitants, lignes, trips, arrêts et correspondances
+     * reçoivent feed_id.
+     */
+    mergeFeeds(feeds) {
+        const merged = { agencies: [], routes: [], trips: [], stopTimes: [], stops: [], calendar: [], calendarDates: [], transfers: [], shapes: [] };
+        const usedIds = Object.fromEntries(Object.keys(ID_SOURCES).map(kind => [kind, new Set()]));
+        this.feeds = [];
+        this.renamedIds = {};
+
+        feeds.forEach(feed => {
+            // Exploitant implicite d'un flux sans agency.txt (ou sans agency_id)
+            if (feed.agencies.length === 0) feed.agencies.push({ agency_name: feed.id });
+            feed.agencies.forEach(agency => {
+                if (!agency.agency_id) agency.agency_id = feed.id;
+            });
+            // agency_id est facultatif dans routes.txt pour un flux mono-exploitant
+            feed.routes.forEach(route => {
+                if (!route.agency_id) route.agency_id = feed.agencies[0].agency_id;
+            });
+
+            const renames = {};
+            Object.entries(ID_SOURCES).forEach(([kind, sources]) => {
+                const ids = new Set();
+                sources.forEach(([table, field]) => feed[table].forEach(row => {
+                    if (row[field]) ids.add(row[field]);
+                }));
+                renames[kind] = new Map();
+                ids.forEach(id => {
+                    if (usedIds[kind].has(id)) renames[kind].set(id, `${feed.id}:${id}`);
+                });
+                ids.forEach(id => usedIds[kind].add(renames[kind].get(id) || id));
+            });
+
+            const renamedCount = Object.values(renames).reduce((sum, map) => sum + map.size, 0);
+            if (renamedCount > 0) {
+                const renamedFields = Object.entries(ID_FIELDS).filter(([kind]) => renames[kind].size > 0);
+                Object.keys(merged).forEach(table => feed[table].forEach(row => {
+                    renamedFields.forEach(([kind, fields]) => fields.forEach(field => {
+                        const id = row[field];
+                        if (id && renames[kind].has(id)) row[field] = renames[kind].get(id);
+                    }));
+                }));
+            }
+            ['agencies', 'routes', 'trips', 'stops', 'transfers'].forEach(table => feed[table].forEach(row => {
+                row.feed_id = feed.id;
+            }));
+            Object.keys(merged).forEach(table => {
+                merged[table] = merged[table].concat(feed[table]);
+            });
+
+            this.renamedIds[feed.id] = renames;
+            this.feeds.push({ id: feed.id, agencyIds: feed.agencies.map(agency => agency.agency_id), routeCount: feed.routes.length, tripCount: feed.trips.length, renamedCount });
+        });
+
+        if (this.feeds.length > 1) {
+            this.feeds.forEach(feed => console.log(`🧩 Flux ${feed.id} : ${feed.routeCount} lignes, ${feed.tripCount} trips, ${feed.renamedCount} identifiant(s) renommé(s).`));
+        }
+        return merged;
+    }
+
+    /**
+     * Identifiant fusionné d'une entité d'un flux (ex. trip_id reçu d'une source
+     * propre à ce flux) : préfixé si mergeFeeds a dû le renommer
+     * @param {string} feedId
+     * @param {'agency'|'route'|'trip'|'stop'|'service'|'shape'|'block'} kind
+     * @param {string} id - Identifiant d'origine dans le flux
+     */
+    getFeedEntityId(feedId, kind, id) {
+        return this.renamedIds[feedId]?.[kind]?.get(id) ?? id;
+    }
+
+    /**
+     * Décompresse une archive GTFS dans le navigateur (JSZip). Les fichiers sont
+     * indexés par nom, même rangés dans un sous-dossier de l'archive.
+     * @param {File|Blob|ArrayBuffer} archive
+     * @returns {Promise<Map<string, Object>>} nom de fichier -> entrée JSZip
+     */
+    async openArchive(archive) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip n\'est pas chargé : impossible de lire une archive .zip');
+        }
+        const zip = await JSZip.loadAsync(archive);
+        const entries = new Map();
+        zip.forEach((path, entry) => {
+            const name = path.split('/').pop();
+            // Ignore les dossiers et les fichiers parasites de macOS (__MACOSX/._stops.txt)
+            if (entry.dir || !name.endsWith('.txt') || name.startsWith('._')) return;
+            entries.set(name, entry);
+        });
+        console.log(`🗜️ Archive GTFS : ${entries.size} fichiers (${[...entries.keys()].join(', ')})`);
+        return entries;
+    }
+
+    /**
+     * Analyse un fichier GTFS (CSV), depuis une archive ouverte ou les fichiers
+     * d'un dossier déjà récupérés (voir fetchFeedFiles)
+     * @param {{optional?: boolean, entries?: Map<string, Object>|null, texts?: Map<string, string>|null}} [options]
+     * Un fichier optionnel absent donne []
+     */
+    async loadGTFSFile(filename, options = {}) {
+        let csv;
+        if (options.entries) {
+            const entry = options.entries.get(filename);
+            if (!entry && options.optional) {
+                console.log(`ℹ️ ${filename} absent de l'archive (optionnel).`);
+                return [];
+            }
+            if (!entry) {
+                throw new Error(`${filename} absent de l'archive GTFS`);
+            }
+            csv = await entry.async('string');
+        } else {
+            csv = options.texts?.get(filename);
+            if (csv == null) {
+                if (!options.optional) {
+                    throw new Error(`Impossible de charger ${filename}`);
+                }
+                console.log(`ℹ️ ${filename} absent (optionnel).`);
+                return [];
+            }
         }
-        const csv = await response.text();
         return new Promise((resolve) => {
             Papa.parse(csv, {
                 header: true,
@@ -128,7 +598,7 @@ export class DataManager {
      * Charge le fichier GeoJSON
      */
     async loadGeoJSON() {
-        const response = await fetch('./data/map.geojson');
+        const response = await fetch(`${this.dataUrl}map.geojson`);
         if (!response.ok) {
             console.warn(`map.geojson non trouvé ou invalide: ${response.statusText}. Les tracés de route ne seront pas disponibles.`);
             return null; // N'est pas une erreur fatale
@@ -136,10 +606,47 @@ export class DataManager {
         return await response.json();
     }
 
+    /**
+     * Charge le réseau piéton (export OSM en GeoJSON), optionnel
+     */
+    async loadStreetNetwork() {
+        const response = await fetch(`${this.dataUrl}streets.geojson`);
+        if (!response.ok) {
+            console.log('ℹ️ streets.geojson absent (optionnel) : marche calculée à vol d\'oiseau.');
+            return null;
+        }
+        return await response.json();
+    }
+
+    /**
+     * Flux GTFS-Realtime à relever (./data/realtime.json, optionnel), ex.
+     * [{ "feed": "peribus", "tripUpdates": "https://exemple.fr/trip-updates.pb", "interval": 30 }]
+     * `feed` : id du flux GTFS (feeds.json) auquel se rapportent les identifiants ;
+     * une adresse relative est lue dans ./data/ (fichiers .pb enregistrés).
+     * `alerts` : ServiceAlerts protobuf, ou fichier .json (voir alertsFromJson)
+     * @returns {Promise<Array<{feed?: string, tripUpdates?: string, vehiclePositions?: string, alerts?: string, interval?: number}>>}
+     */
+    async getRealtimeSources() {
+        const response = await fetch(`${this.dataUrl}realtime.json`);
+        if (!response.ok) {
+            console.log('ℹ️ realtime.json absent (optionnel) : horaires théoriques uniquement.');
+            return [];
+        }
+        const sources = await response.json();
+        const resolve = (url) => (url && !/^[a-z]+:/i.test(url) ? `${this.dataUrl}${url}` : url);
+        return [].concat(sources).map(source => ({
+            ...source,
+            tripUpdates: resolve(source.tripUpdates),
+            vehiclePositions: resolve(source.vehiclePositions),
+            alerts: resolve(source.alerts)
+        }));
+    }
+
     /**
      * Affiche une erreur non-bloquante
      */
     showError(title, message) {
+        if (typeof document === 'undefined') return; // Worker : l'interface affiche l'erreur
         const errorElement = document.getElementById('instructions');
         if (errorElement) {
             errorElement.classList.remove('hidden');
@@ -198,10 +705,245 @@ export class DataManager {
         console.log(`Arrêts regroupés: ${this.masterStops.length} arrêts maîtres.`);
     }
 
+    /**
+     * Construit le graphe de correspondances entre quais :
+     * 1. Quais d'un même arrêt maître (regroupement parent_station)
+     * 2. transfers.txt s'il est présent (min_transfer_time, correspondances interdites)
+     * 3. Sinon, cheminements piétons générés entre arrêts maîtres proches ;
+     *    avec plusieurs flux, toujours générés entre réseaux (gare <-> arrêt de bus)
+     */
+    buildTransferGraph() {
+        this.transfersByStop = {};
+        this.transfersToStop = {};
+        this.minTransferTimes = {};
+        this.forbiddenTransfers = new Set();
+
+        const walkDuration = (distance) => Math.max(MIN_TRANSFER_SECONDS, Math.round(distance / this.walkingSpeed));
+
+        // 1. Quais d'un même arrêt maître
+        Object.values(this.groupedStopMap).forEach(quayIds => {
+            quayIds.forEach(fromId => {
+                quayIds.forEach(toId => {
+                    if (fromId === toId) return;
+                    const distance = this.getStopDistance(fromId, toId);
+                    if (distance === null) return;
+                    this.setTransfer(fromId, toId, walkDuration(distance), distance, 'station');
+                });
+            });
+        });
+
+        if (this.transfers.length > 0) {
+            // 2. transfers.txt (les arrêts maîtres sont développés en quais)
+            const expand = (stopId) => {
+                const stop = this.stopsById[stopId];
+                return stop && stop.location_type === '1' ? (this.groupedStopMap[stopId] || []) : [stopId];
+            };
+
+            this.transfers.forEach(row => {
+                const type = row.transfer_type || '0';
+                const hasRoutes = !!(row.from_route_id || row.to_route_id);
+
+                expand(row.from_stop_id).forEach(fromId => {
+                    expand(row.to_stop_id).forEach(toId => {
+                        if (type === '3') {
+                            this.forbiddenTransfers.add(hasRoutes
+                                ? `${fromId}>${toId}|${row.from_route_id || ''}>${row.to_route_id || ''}`
+                                : `${fromId}>${toId}`);
+                            if (!hasRoutes) this.removeTransfer(fromId, toId);
+                            return;
+                        }
+                        if (type !== '0' && type !== '1' && type !== '2') return;
+
+                        const distance = this.getStopDistance(fromId, toId) ?? 0;
+                        let duration = walkDuration(distance);
+                        if (type === '1') duration = 0; // Correspondance garantie (cadencée)
+                        if (type === '2' && row.min_transfer_time) duration = parseInt(row.min_transfer_time, 10);
+
+                        this.minTransferTimes[`${fromId}>${toId}`] = duration;
+                        if (fromId !== toId) {
+                            this.setTransfer(fromId, toId, duration, distance, 'transfers.txt');
+                        }
+                    });
+                });
+            });
+        }
+
+        // 3. Cheminements piétons générés entre arrêts maîtres proches : flux sans
+        // transfers.txt, et arrêts de flux différents
+        const feedsWithTransfers = new Set(this.transfers.map(row => row.feed_id));
+        if (feedsWithTransfers.size === 0 || this.feeds.length > 1) {
+            this.generateFootpaths((a, b) => a.feed_id !== b.feed_id || !feedsWithTransfers.has(a.feed_id));
+        }
+        if (this.feeds.length > 1) {
+            const crossFeedLinks = Object.entries(this.transfersByStop).reduce((sum, [fromId, links]) =>
+                sum + links.filter(link => this.stopsById[link.toStopId]?.feed_id !== this.stopsById[fromId]?.feed_id).length, 0);
+            console.log(`🔗 ${crossFeedLinks} correspondances à pied entre réseaux.`);
+        }
+
+        const linkCount = Object.values(this.transfersByStop).reduce((sum, list) => sum + list.length, 0);
+        console.log(`🚶 Graphe de correspondances: ${linkCount} liens (${this.transfers.length > 0 ? 'transfers.txt' : 'cheminements générés'}), ${this.forbiddenTransfers.size} interdits.`);
+    }
+
+    /**
+     * Génère des cheminements piétons entre quais d'arrêts maîtres distincts
+     * distants de moins de maxFootpathDistance (vitesse de marche : walkingSpeed).
+     * Avec un réseau piéton, la distance est celle du trajet par les rues.
+     * @param {function(Object, Object): boolean} [shouldLink] - Filtre sur la paire d'arrêts maîtres
+     */
+    generateFootpaths(shouldLink = () => true) {
+        const masters = this.masterStops.map(stop => ({
+            stop,
+            lat: parseFloat(stop.stop_lat),
+            lon: parseFloat(stop.stop_lon)
+        }));
+
+        for (let i = 0; i < masters.length; i++) {
+            for (let j = i + 1; j < masters.length; j++) {
+                const a = masters[i];
+                const b = masters[j];
+                if (!shouldLink(a.stop, b.stop)) continue;
+                if (this.calculateDistance(a.lat, a.lon, b.lat, b.lon) > this.maxFootpathDistance) continue;
+
+                const quaysA = this.groupedStopMap[a.stop.stop_id] || [a.stop.stop_id];
+                const quaysB = this.groupedStopMap[b.stop.stop_id] || [b.stop.stop_id];
+                quaysA.forEach(fromId => {
+                    quaysB.forEach(toId => {
+                        const distance = this.getWalkingDistance(fromId, toId);
+                        if (distance === null || distance > this.maxFootpathDistance) return;
+                        const duration = Math.max(MIN_TRANSFER_SECONDS, Math.round(distance / this.walkingSpeed));
+                        this.setTransfer(fromId, toId, duration, distance, 'footpath');
+                        this.setTransfer(toId, fromId, duration, distance, 'footpath');
+                    });
+                });
+            }
+        }
+        this.footpathTrees.clear();
+    }
+
+    /**
+     * Ajoute (ou remplace) un lien de correspondance orienté
+     */
+    setTransfer(fromStopId, toStopId, duration, distance, source) {
+        this.removeTransfer(fromStopId, toStopId);
+        if (!this.transfersByStop[fromStopId]) this.transfersByStop[fromStopId] = [];
+        if (!this.transfersToStop[toStopId]) this.transfersToStop[toStopId] = [];
+        this.transfersByStop[fromStopId].push({ toStopId, duration, distance, source });
+        this.transfersToStop[toStopId].push({ fromStopId, duration, distance, source });
+    }
+
+    /**
+     * Supprime un lien de correspondance orienté
+     */
+    removeTransfer(fromStopId, toStopId) {
+        if (this.transfersByStop[fromStopId]) {
+            this.transfersByStop[fromStopId] = this.transfersByStop[fromStopId].filter(t => t.toStopId !== toStopId);
+        }
+        if (this.transfersToStop[toStopId]) {
+            this.transfersToStop[toStopId] = this.transfersToStop[toStopId].filter(t => t.fromStopId !== fromStopId);
+        }
+    }
+
+    /**
+     * Correspondances à pied au départ d'un quai
+     */
+    getTransfers(stopId) {
+        return this.transfersByStop[stopId] || [];
+    }
+
+    /**
+     * Correspondances à pied arrivant à un quai (recherche inversée)
+     */
+    getTransfersTo(stopId) {
+        return this.transfersToStop[stopId] || [];
+    }
+
+    /**
+     * Temps minimum de correspondance imposé par transfers.txt (null si aucun)
+     */
+    getMinTransferTime(fromStopId, toStopId) {
+        return this.minTransferTimes[`${fromStopId}>${toStopId}`] ?? null;
+    }
+
+    /**
+     * Vérifie si une correspondance est interdite (transfer_type = 3)
+     */
+    isTransferForbidden(fromStopId, toStopId, fromRouteId = '', toRouteId = '') {
+        return this.forbiddenTransfers.has(`${fromStopId}>${toStopId}`) ||
+               this.forbiddenTransfers.has(`${fromStopId}>${toStopId}|${fromRouteId}>${toRouteId}`) ||
+               this.forbiddenTransfers.has(`${fromStopId}>${toStopId}|${fromRouteId}>`) ||
+               this.forbiddenTransfers.has(`${fromStopId}>${toStopId}|>${toRouteId}`);
+    }
+
+    /**
+     * Distance à pied (m) entre deux arrêts : par les rues si le réseau piéton
+     * est chargé (et les arrêts raccordés), sinon à vol d'oiseau
+     */
+    getWalkingDistance(fromStopId, toStopId) {
+        if (this.streetRouter) {
+            const from = this.stopsById[fromStopId];
+            const to = this.stopsById[toStopId];
+            if (from && to) {
+                const tree = this.getFootpathTree(fromStopId);
+                const distance = tree ? this.streetRouter.distanceFromTree(tree, { lat: to.stop_lat, lon: to.stop_lon }) : null;
+                if (distance !== null) return distance;
+            }
+        }
+        return this.getStopDistance(fromStopId, toStopId);
+    }
+
+    /**
+     * Arbre des plus courts chemins piétons depuis un quai (mis en cache
+     * pendant generateFootpaths)
+     */
+    getFootpathTree(stopId) {
+        if (!this.footpathTrees.has(stopId)) {
+            const stop = this.stopsById[stopId];
+            this.footpathTrees.set(stopId, this.streetRouter.shortestPaths(
+                { lat: stop.stop_lat, lon: stop.stop_lon }, this.maxFootpathDistance
+            ));
+        }
+        return this.footpathTrees.get(stopId);
+    }
+
+    /**
+     * Distance (m) entre deux arrêts par leur ID (null si inconnu)
+     */
+    getStopDistance(fromStopId, toStopId) {
+        const from = this.stopsById[fromStopId];
+        const to = this.stopsById[toStopId];
+        if (!from || !to) return null;
+        return this.calculateDistance(
+            parseFloat(from.stop_lat), parseFloat(from.stop_lon),
+            parseFloat(to.stop_lat), parseFloat(to.stop_lon)
+        );
+    }
+
+    /**
+     * Regroupe les stop_times par trip (triés par stop_sequence) et par arrêt
+     */
+    buildStopTimeIndexes() {
+        // Regrouper les stop_times par trip_id (TRÈS IMPORTANT)
+        this.stopTimesByTrip = {};
+        this.stopTimes.forEach(st => {
+            if (!this.stopTimesByTrip[st.trip_id]) {
+                this.stopTimesByTrip[st.trip_id] = [];
+            }
+            this.stopTimesByTrip[st.trip_id].push(st);
+        });
+        // Trier les stop_times par sequence
+        for (const tripId in this.stopTimesByTrip) {
+            this.stopTimesByTrip[tripId].sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence));
+        }
+
+        // Prétraiter les stop_times par arrêt (pour les popups d'arrêt)
+        this.preprocessStopTimesByStop();
+    }
+
     /**
      * Prétraite les stop_times par stop_id pour des recherches rapides
      */
     preprocessStopTimesByStop() {
+        this.stopTimesByStop = {};
         this.stopTimes.forEach(st => {
             if (!this.stopTimesByStop[st.stop_id]) {
                 this.stopTimesByStop[st.stop_id] = [];
@@ -211,29 +953,69 @@ export class DataManager {
     }
 
     /**
-     * Récupère les prochains départs pour une liste d'arrêts (V4)
+     * Récupère les prochains départs pour une liste d'arrêts (V4), sans les
+     * passages au terminus du trip ni ceux où la montée est interdite (pickup_type 1)
+     * `departureSeconds` est l'heure du jour (un départ à 25:10:00 de la veille
+     * donne 4200), `time` l'heure affichable "HH:MM:SS"
+     * Avec une prévision temps réel : `realtime` true, `time` prévu, `scheduledTime`
+     * théorique, `delay` (s), `confidence` (fiabilité 0 à 1, voir DelayPredictor) et
+     * `observed` (heure donnée par le flux) ; un départ supprimé (trip supprimé ou arrêt non
+     * desservi) reste listé à son heure théorique avec `canceled: true`
+     * Chaque départ porte sa ligne (`routeId`, `routeShortName`...), son sens (`directionId`,
+     * `headsign` : trip_headsign, sinon terminus) et son quai (`platformCode`, voir getPlatformCode)
      */
     getUpcomingDepartures(stopIds, currentSeconds, date, limit = 5) {
-        const serviceId = this.getServiceId(date);
-        if (!serviceId) return [];
-
         let allDepartures = [];
 
-        stopIds.forEach(stopId => {
-            const stops = this.stopTimesByStop[stopId] || [];
-            stops.forEach(st => {
-                const trip = this.tripsByTripId[st.trip_id];
-                if (trip && trip.service_id === serviceId) {
-                    const departureSeconds = this.timeToSeconds(st.departure_time);
-                    if (departureSeconds >= currentSeconds) {
-                        allDepartures.push({
-                            tripId: st.trip_id,
-                            stopId: stopId,
-                            time: st.departure_time,
-                            departureSeconds: departureSeconds
-                        });
+        this.getServiceDays(date, currentSeconds).forEach(({ date: serviceDate, serviceIds, offset }) => {
+            const serviceSeconds = currentSeconds + offset;
+            stopIds.forEach(stopId => {
+                const stops = this.stopTimesByStop[stopId] || [];
+                stops.forEach(st => {
+                    // Terminus du trip ou montée interdite : une arrivée, pas un départ
+                    const tripStopTimes = this.stopTimesByTrip[st.trip_id];
+                    if (st.pickup_type === '1' || st === tripStopTimes[tripStopTimes.length - 1]) return;
+
+                    const trip = this.tripsByTripId[st.trip_id];
+                    if (trip && serviceIds.has(trip.service_id)) {
+                        const scheduledSeconds = this.timeToSeconds(st.departure_time);
+                        let departureSeconds = scheduledSeconds;
+                        let delay = null;
+                        let confidence = null;
+                        let observed = false;
+                        let canceled = false;
+
+                        const { stopTimes, realtime, canceled: tripCanceled } = this.getTripStopTimes(st.trip_id, serviceDate);
+                        if (tripCanceled) {
+                            canceled = true;
+                        } else if (realtime) {
+                            const predicted = stopTimes[tripStopTimes.indexOf(st)];
+                            if (predicted?.skipped) {
+                                canceled = true;
+                            } else if (predicted && predicted.delay !== null) {
+                                departureSeconds = this.timeToSeconds(predicted.departure_time);
+                                delay = predicted.delay;
+                                confidence = predicted.confidence ?? null;
+                                observed = predicted.observed;
+                            }
+                        }
+
+                        if (departureSeconds >= serviceSeconds) {
+                            allDepartures.push({
+                                tripId: st.trip_id,
+                                stopId: stopId,
+                                time: this.formatTime(departureSeconds),
+                                departureSeconds: departureSeconds - offset,
+                                scheduledTime: this.formatTime(scheduledSeconds),
+                                realtime: delay !== null,
+                                delay,
+                                confidence,
+                                observed,
+                                canceled
+                            });
+                        }
                     }
-                }
+                });
             });
         });
 
@@ -250,9 +1032,13 @@ export class DataManager {
             
             return {
                 ...dep,
+                routeId: route.route_id,
                 routeShortName: route.route_short_name,
                 routeColor: route.route_color,
                 routeTextColor: route.route_text_color,
+                directionId: trip.direction_id ?? null,
+                headsign: trip.trip_headsign || destination,
+                platformCode: this.getPlatformCode(dep.stopId),
                 destination: destination
             };
         });
@@ -265,6 +1051,51 @@ export class DataManager {
         return this.routesById[routeId] || null;
     }
 
+    /**
+     * Fuseau du réseau : agency_timezone (identique pour tous les exploitants d'un
+     * flux GTFS ; avec des flux fusionnés, celui du premier exploitant l'emporte)
+     * @returns {string|null} Fuseau IANA, null s'il est absent ou inconnu du navigateur
+     */
+    resolveTimezone() {
+        const timezones = [...new Set(this.agencies.map(agency => agency.agency_timezone).filter(Boolean))];
+        if (timezones.length === 0) {
+            console.warn('⚠️ agency_timezone absent : heure du navigateur utilisée.');
+            return null;
+        }
+        if (timezones.length > 1) {
+            console.warn(`⚠️ Plusieurs fuseaux horaires (${timezones.join(', ')}) : ${timezones[0]} utilisé.`);
+        }
+        try {
+            new Intl.DateTimeFormat('fr-FR', { timeZone: timezones[0] });
+        } catch (error) {
+            console.warn(`⚠️ Fuseau horaire inconnu "${timezones[0]}" : heure du navigateur utilisée.`);
+            return null;
+        }
+        return timezones[0];
+    }
+
+    /**
+     * Récupère l'exploitant d'une ligne (agency.txt)
+     */
+    getRouteAgency(route) {
+        return this.agenciesById[route.agency_id] || null;
+    }
+
+    /**
+     * Lignes regroupées par exploitant, dans l'ordre des flux puis de agency.txt
+     * @returns {Array<{agency: Object, routes: Array}>} (exploitants sans ligne exclus)
+     */
+    getRoutesByAgency() {
+        const groups = new Map(this.agencies.map(agency => [agency.agency_id, { agency, routes: [] }]));
+        this.routes.forEach(route => {
+            if (!groups.has(route.agency_id)) {
+                groups.set(route.agency_id, { agency: { agency_id: route.agency_id, agency_name: route.agency_id }, routes: [] });
+            }
+            groups.get(route.agency_id).routes.push(route);
+        });
+        return [...groups.values()].filter(group => group.routes.length > 0);
+    }
+
     /**
      * Récupère les informations d'un arrêt par ID
      */
@@ -272,12 +1103,50 @@ export class DataManager {
         return this.stopsById[stopId] || null;
     }
 
+    /**
+     * Arrêt affiché pour un arrêt ou un quai (son arrêt parent), ou null
+     * @param {string} stopId
+     */
+    getMasterStop(stopId) {
+        const stop = this.getStop(stopId);
+        if (!stop) return null;
+        return (stop.parent_station && this.getStop(stop.parent_station)) || stop;
+    }
+
+    /**
+     * Code affiché d'un quai : platform_code, sinon stop_code (code du poteau), ou null
+     */
+    getPlatformCode(stopId) {
+        const stop = this.getStop(stopId);
+        return stop?.platform_code || stop?.stop_code || null;
+    }
+
     /**
      * Récupère les stop_times pour un tripId
      */
     getStopTimes(tripId) {
         return this.stopTimesByTrip[tripId] || [];
     }
+
+    /**
+     * Horaires d'un trip un jour de service : prévision (voir DelayPredictor)
+     * s'il a un retard connu ou reporté, sinon stop_times théoriques
+     * @param {string} tripId
+     * @param {Date} serviceDate
+     * @returns {{stopTimes: Array, realtime: boolean, canceled: boolean, source: string|null}}
+     * `source` : origine de la prévision ('tripUpdates', 'vehiclePositions', 'block'), null sans prévision
+     */
+    getTripStopTimes(tripId, serviceDate) {
+        const update = this.tripUpdates.get(tripId, serviceDate);
+        if (update?.canceled) {
+            return { stopTimes: update.stopTimes, realtime: false, canceled: true, source: null };
+        }
+        const prediction = this.delayPredictor.get(tripId, serviceDate);
+        if (!prediction) {
+            return { stopTimes: this.getStopTimes(tripId), realtime: false, canceled: false, source: null };
+        }
+        return { stopTimes: prediction.stopTimes, realtime: true, canceled: false, source: prediction.source };
+    }
     
     /**
      * Récupère la géométrie (GeoJSON) d'une route
@@ -294,6 +1163,133 @@ export class DataManager {
         return feature ? feature.geometry : null;
     }
 
+    /**
+     * Indexe shapes.txt par shape_id. Les distances cumulées viennent de
+     * shape_dist_traveled s'il est renseigné partout (`measured`), sinon
+     * elles sont calculées en mètres.
+     */
+    buildShapes(rows) {
+        this.shapesById = {};
+        this.stopShapeDistances.clear();
+
+        const rowsByShape = {};
+        rows.forEach(row => {
+            if (!rowsByShape[row.shape_id]) rowsByShape[row.shape_id] = [];
+            rowsByShape[row.shape_id].push(row);
+        });
+
+        Object.entries(rowsByShape).forEach(([shapeId, shapeRows]) => {
+            shapeRows.sort((a, b) => parseInt(a.shape_pt_sequence) - parseInt(b.shape_pt_sequence));
+            const points = shapeRows.map(row => ({ lat: parseFloat(row.shape_pt_lat), lon: parseFloat(row.shape_pt_lon) }));
+            const measured = shapeRows.every(row => row.shape_dist_traveled !== undefined && row.shape_dist_traveled !== '');
+
+            let distances;
+            if (measured) {
+                distances = shapeRows.map(row => parseFloat(row.shape_dist_traveled));
+            } else {
+                distances = [0];
+                for (let i = 1; i < points.length; i++) {
+                    distances.push(distances[i - 1] + this.calculateDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon));
+                }
+            }
+
+            if (points.length >= 2) {
+                this.shapesById[shapeId] = { points, distances, measured };
+            }
+        });
+
+        if (rows.length > 0) {
+            console.log(`〰️ ${Object.keys(this.shapesById).length} tracés (shapes.txt) indexés.`);
+        }
+    }
+
+    /**
+     * Tracé d'un trip (shapes.txt), ou null
+     */
+    getTripShape(tripId) {
+        const trip = this.tripsByTripId[tripId];
+        return (trip && trip.shape_id && this.shapesById[trip.shape_id]) || null;
+    }
+
+    /**
+     * Distance de chaque arrêt d'un trip le long de son tracé (unité du tracé).
+     * shape_dist_traveled des stop_times si le tracé est mesuré dans la même
+     * unité, sinon projection des arrêts sur le tracé, dans l'ordre du trip.
+     * @returns {number[]|null} null si le trip n'a pas de tracé
+     */
+    getStopShapeDistances(tripId) {
+        if (this.stopShapeDistances.has(tripId)) {
+            return this.stopShapeDistances.get(tripId);
+        }
+
+        const shape = this.getTripShape(tripId);
+        const stopTimes = this.stopTimesByTrip[tripId];
+        let distances = null;
+
+        if (shape && stopTimes) {
+            const fromStopTimes = shape.measured && stopTimes.every(st => st.shape_dist_traveled !== undefined && st.shape_dist_traveled !== '');
+            distances = fromStopTimes
+                ? stopTimes.map(st => parseFloat(st.shape_dist_traveled))
+                : this.projectStopsOnShape(shape, stopTimes);
+        }
+
+        this.stopShapeDistances.set(tripId, distances);
+        return distances;
+    }
+
+    /**
+     * Projette les arrêts d'un trip sur son tracé. La recherche avance avec
+     * le trip (un arrêt ne peut pas être placé avant le précédent), ce qui
+     * évite de confondre l'aller et le retour d'une boucle.
+     */
+    projectStopsOnShape(shape, stopTimes) {
+        const { points, distances } = shape;
+        let startSegment = 0;
+
+        return stopTimes.map(st => {
+            const stop = this.stopsById[st.stop_id];
+            if (!stop) return distances[startSegment];
+            const lat = parseFloat(stop.stop_lat);
+            const lon = parseFloat(stop.stop_lon);
+            const cosLat = Math.cos(this.toRad(lat));
+
+            let best = null;
+            for (let i = startSegment; i < points.length - 1; i++) {
+                // Projection plane locale (suffisante à l'échelle d'un segment)
+                const ax = (points[i].lon - lon) * cosLat, ay = points[i].lat - lat;
+                const bx = (points[i + 1].lon - lon) * cosLat, by = points[i + 1].lat - lat;
+                const dx = bx - ax, dy = by - ay;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+                const px = ax + t * dx, py = ay + t * dy;
+                const offset = px * px + py * py;
+                if (!best || offset < best.offset) {
+                    best = { offset, segment: i, t };
+                }
+            }
+
+            startSegment = best.segment;
+            return distances[best.segment] + best.t * (distances[best.segment + 1] - distances[best.segment]);
+        });
+    }
+
+    /**
+     * Index du point d'un tracé GeoJSON ([lon, lat]) le plus proche d'une position
+     * @returns {number|null} null si le tracé est vide
+     */
+    findNearestPointOnRoute(routeCoordinates, lat, lon) {
+        let nearestIndex = null;
+        let nearestDistance = Infinity;
+        routeCoordinates.forEach(([pointLon, pointLat], index) => {
+            const distance = this.calculateDistance(lat, lon, pointLat, pointLon);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestIndex = index;
+            }
+        });
+        return nearestIndex;
+    }
+
     /**
      * Convertit le temps HH:MM:SS en secondes
      */
@@ -304,10 +1300,12 @@ export class DataManager {
     }
     
     /**
-     * Formate les secondes en HH:MM:SS
+     * Formate les secondes en HH:MM:SS, ramenées sur 24 h : 25:10:00 (service
+     * de nuit) s'affiche 01:10:00, comme l'heure de l'horloge
      */
     formatTime(seconds) {
-        const hours = Math.floor(seconds / 3600) % 24;
+        seconds = ((seconds % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+        const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
         const secs = Math.floor(seconds % 60);
         return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
@@ -365,65 +1363,326 @@ export class DataManager {
 
 
     /**
-     * Récupère le service_id pour la date donnée
+     * Récupère les service_id qui circulent à la date donnée (plusieurs
+     * horaires peuvent se superposer : quotidien + mercredi, etc.)
+     * @returns {Set<string>} vide si aucun service ce jour-là
      */
-    getServiceId(date) {
+    getActiveServiceIds(date) {
+        const dateString = this.formatDateKey(date);
+        if (this.activeServicesByDate.has(dateString)) {
+            return this.activeServicesByDate.get(dateString);
+        }
+
         const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()];
-        const dateString = date.getFullYear() +
-                           String(date.getMonth() + 1).padStart(2, '0') +
-                           String(date.getDate()).padStart(2, '0');
 
-        // Gérer les exceptions (calendar_dates)
-        const exception = this.calendarDates.find(d => d.date === dateString);
-        if (exception) {
-            return exception.exception_type === '1' ? exception.service_id : null;
-        }
+        // Calendrier régulier
+        const serviceIds = new Set(this.calendar
+            .filter(s =>
+                s[dayOfWeek] === '1' &&
+                s.start_date <= dateString &&
+                s.end_date >= dateString
+            )
+            .map(s => s.service_id));
+
+        // Exceptions (calendar_dates), propres à chaque service :
+        // 1 = service ajouté ce jour-là (même sans ligne calendar.txt), 2 = service supprimé
+        this.getServiceExceptions(dateString).forEach(exception => {
+            if (exception.exception_type === '1') serviceIds.add(exception.service_id);
+            if (exception.exception_type === '2') serviceIds.delete(exception.service_id);
+        });
+
+        this.activeServicesByDate.set(dateString, serviceIds);
+        return serviceIds;
+    }
+
+    /**
+     * Exceptions calendar_dates d'une date
+     * @param {string} dateKey - "YYYYMMDD"
+     */
+    getServiceExceptions(dateKey) {
+        return this.calendarDatesByDate[dateKey] || [];
+    }
+
+    /**
+     * Tous les services connus (calendar.txt et calendar_dates.txt), avec
+     * leurs jours réguliers (null si défini uniquement par calendar_dates)
+     * et leur nombre de trips
+     * @returns {Array<{serviceId: string, calendar: Object|null, tripCount: number}>}
+     */
+    getServices() {
+        const tripCounts = {};
+        this.trips.forEach(trip => {
+            tripCounts[trip.service_id] = (tripCounts[trip.service_id] || 0) + 1;
+        });
+
+        const serviceIds = new Set([
+            ...this.calendar.map(s => s.service_id),
+            ...this.calendarDates.map(d => d.service_id)
+        ]);
 
-        // Gérer le calendrier régulier
-        const service = this.calendar.find(s => 
-            s[dayOfWeek] === '1' &&
-            s.start_date <= dateString &&
-            s.end_date >= dateString
+        return Array.from(serviceIds)
+            .map(serviceId => ({
+                serviceId,
+                calendar: this.calendar.find(s => s.service_id === serviceId) || null,
+                tripCount: tripCounts[serviceId] || 0
+            }))
+            .sort((a, b) => a.serviceId.localeCompare(b.serviceId, undefined, { numeric: true }));
+    }
+
+    /**
+     * Convertit une date en clé GTFS "YYYYMMDD"
+     */
+    formatDateKey(date) {
+        return date.getFullYear() +
+               String(date.getMonth() + 1).padStart(2, '0') +
+               String(date.getDate()).padStart(2, '0');
+    }
+
+    /**
+     * Convertit une clé GTFS "YYYYMMDD" en Date (minuit, heure locale)
+     */
+    parseDateKey(dateKey) {
+        return new Date(
+            parseInt(dateKey.substring(0, 4)),
+            parseInt(dateKey.substring(4, 6)) - 1,
+            parseInt(dateKey.substring(6, 8))
         );
+    }
+
+    /**
+     * Période couverte par les horaires (calendar + calendar_dates)
+     * @returns {{startDate: string, endDate: string} | null} clés "YYYYMMDD"
+     */
+    getCalendarRange() {
+        const dateKeys = [];
+        this.calendar.forEach(s => dateKeys.push(s.start_date, s.end_date));
+        this.calendarDates
+            .filter(d => d.exception_type === '1')
+            .forEach(d => dateKeys.push(d.date));
 
-        return service ? service.service_id : null;
+        if (dateKeys.length === 0) return null;
+        dateKeys.sort();
+        return { startDate: dateKeys[0], endDate: dateKeys[dateKeys.length - 1] };
+    }
+
+    /**
+     * Vérifie qu'une date est couverte par les horaires
+     */
+    isDateInCalendarRange(date) {
+        const range = this.getCalendarRange();
+        if (!range) return false;
+        const dateKey = this.formatDateKey(date);
+        return dateKey >= range.startDate && dateKey <= range.endDate;
     }
 
     /**
      * Récupère tous les trips actifs pour un temps et une date (V4)
+     * Les trips de la veille encore en route après minuit sont inclus :
+     * `serviceSeconds` est l'heure dans le jour de service du trip (ex. 25:10:00).
+     * Les prévisions temps réel décalent la fenêtre de chaque trip (`realtime: true`,
+     * stop_times recalculés, `source` de la prévision) ; les trips supprimés sont exclus.
+     * @returns {Array<{tripId, trip, stopTimes, route, serviceSeconds, realtime, source}>}
      */
     getActiveTrips(currentSeconds, date) {
-        const serviceId = this.getServiceId(date);
-        if (!serviceId) {
+        const serviceDays = this.getServiceDays(date, currentSeconds).filter(day => day.serviceIds.size > 0);
+        if (serviceDays.length === 0) {
             return [];
         }
 
         const activeTrips = [];
 
         this.trips.forEach(trip => {
-            if (trip.service_id === serviceId) {
-                const stopTimes = this.stopTimesByTrip[trip.trip_id];
-                if (!stopTimes || stopTimes.length < 2) return;
+            serviceDays.forEach(({ date: serviceDate, serviceIds, offset }) => {
+                if (!serviceIds.has(trip.service_id)) return;
+                const { stopTimes, realtime, canceled, source } = this.getTripStopTimes(trip.trip_id, serviceDate);
+                if (canceled || !stopTimes || stopTimes.length < 2) return;
 
                 const firstStop = stopTimes[0];
                 const lastStop = stopTimes[stopTimes.length - 1];
                 
                 const startTime = this.timeToSeconds(firstStop.departure_time);
                 const endTime = this.timeToSeconds(lastStop.arrival_time);
+                const serviceSeconds = currentSeconds + offset;
 
-                if (currentSeconds >= startTime && currentSeconds <= endTime) {
+                if (serviceSeconds >= startTime && serviceSeconds <= endTime) {
                     activeTrips.push({
                         tripId: trip.trip_id,
                         trip: trip,
                         stopTimes: stopTimes,
-                        route: this.routesById[trip.route_id]
+                        route: this.routesById[trip.route_id],
+                        serviceDate,
+                        serviceSeconds,
+                        realtime,
+                        source
                     });
                 }
-            }
+            });
         });
         return activeTrips;
     }
 
+    /**
+     * Jours de service à évaluer à une date : le jour même et, tant que des trips
+     * de la veille peuvent encore rouler (horaires GTFS au-delà de 24:00:00), la veille.
+     * `offset` convertit l'heure du jour (0-86399) en heure du jour de service.
+     * @param {Date} date
+     * @param {number} [currentSeconds] - Heure du jour ; sans elle, la veille est toujours incluse
+     * @returns {Array<{date: Date, serviceIds: Set<string>, offset: number}>}
+     */
+    getServiceDays(date, currentSeconds = null) {
+        const days = [{ date, serviceIds: this.getActiveServiceIds(date), offset: 0 }];
+        if (currentSeconds === null || currentSeconds + SECONDS_PER_DAY <= this.latestTripEnd) {
+            const previousDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+            days.push({ date: previousDay, serviceIds: this.getActiveServiceIds(previousDay), offset: SECONDS_PER_DAY });
+        }
+        return days;
+    }
+
+    /**
+     * Regroupe les trips par block_id (un block = les trips successifs d'un
+     * même véhicule). Un block_id peut être réutilisé d'un service à l'autre :
+     * les recherches ci-dessous filtrent donc les trips du jour.
+     */
+    buildBlocks() {
+        this.tripsByBlockId = {};
+
+        this.trips.forEach(trip => {
+            if (!trip.block_id) return;
+            const stopTimes = this.stopTimesByTrip[trip.trip_id];
+            if (!stopTimes || stopTimes.length < 2) return;
+
+            if (!this.tripsByBlockId[trip.block_id]) {
+                this.tripsByBlockId[trip.block_id] = [];
+            }
+            this.tripsByBlockId[trip.block_id].push({
+                tripId: trip.trip_id,
+                trip: trip,
+                startTime: this.timeToSeconds(stopTimes[0].departure_time),
+                endTime: this.timeToSeconds(stopTimes[stopTimes.length - 1].arrival_time)
+            });
+        });
+
+        Object.values(this.tripsByBlockId).forEach(blockTrips => blockTrips.sort((a, b) => a.startTime - b.startTime));
+        console.log(`🔗 ${Object.keys(this.tripsByBlockId).length} blocks (véhicules) indexés.`);
+    }
+
+    /**
+     * Trip suivant du même véhicule (block_id), ou null
+     * @param {string} tripId
+     * @param {Function} [isTripActive] - Filtre des trips du jour (par défaut : même service_id)
+     * @returns {{tripId, trip, startTime, endTime}|null}
+     */
+    findNextTripInBlock(tripId, isTripActive = null) {
+        const { blockTrips, current, isCandidate } = this.getBlockContext(tripId, isTripActive);
+        if (!current) return null;
+        return blockTrips.find(entry => entry !== current && entry.startTime >= current.endTime && isCandidate(entry)) || null;
+    }
+
+    /**
+     * Trip précédent du même véhicule (block_id), ou null
+     * @param {string} tripId
+     * @param {Function} [isTripActive] - Filtre des trips du jour (par défaut : même service_id)
+     * @returns {{tripId, trip, startTime, endTime}|null}
+     */
+    findPreviousTripInBlock(tripId, isTripActive = null) {
+        const { blockTrips, current, isCandidate } = this.getBlockContext(tripId, isTripActive);
+        if (!current) return null;
+        for (let i = blockTrips.length - 1; i >= 0; i--) {
+            const entry = blockTrips[i];
+            if (entry !== current && entry.endTime <= current.startTime && isCandidate(entry)) return entry;
+        }
+        return null;
+    }
+
+    getBlockContext(tripId, isTripActive) {
+        const trip = this.tripsByTripId[tripId];
+        const blockTrips = (trip && trip.block_id && this.tripsByBlockId[trip.block_id]) || [];
+        const current = blockTrips.find(entry => entry.tripId === tripId) || null;
+        const isCandidate = isTripActive
+            ? (entry) => isTripActive(entry.trip)
+            : (entry) => entry.trip.service_id === trip.service_id;
+        return { blockTrips, current, isCandidate };
+    }
+
+    /**
+     * Identifiant du véhicule qui assure un trip : le block (par service)
+     * s'il est connu, sinon le trip lui-même
+     */
+    getVehicleId(trip) {
+        return trip.block_id ? `${trip.service_id}:${trip.block_id}` : trip.trip_id;
+    }
+
+    /**
+     * Véhicules en battement au terminus : entre deux trips consécutifs de
+     * leur block, au plus MAX_LAYOVER_SECONDS (veille comprise, voir getServiceDays).
+     * Le trip à venir porte ses prévisions temps réel ; s'il est supprimé, le véhicule n'attend pas.
+     * @returns {Array<{tripId, trip, stopTimes, route, previousTripId, serviceSeconds, realtime, source}>} tripId = trip à venir
+     */
+    getLayoverTrips(currentSeconds, date) {
+        const layovers = [];
+        this.getServiceDays(date, currentSeconds).forEach(({ date: serviceDate, serviceIds, offset }) => {
+            if (serviceIds.size === 0) return;
+            const serviceSeconds = currentSeconds + offset;
+
+            Object.values(this.tripsByBlockId).forEach(blockTrips => {
+                const todays = blockTrips.filter(entry => serviceIds.has(entry.trip.service_id));
+                for (let i = 1; i < todays.length; i++) {
+                    const previous = todays[i - 1];
+                    const next = todays[i];
+                    if (serviceSeconds <= previous.endTime) continue;
+                    // Un départ retardé prolonge l'attente au terminus
+                    const { stopTimes, realtime, canceled, source } = this.getTripStopTimes(next.tripId, serviceDate);
+                    if (serviceSeconds >= this.timeToSeconds(stopTimes[0].departure_time)) continue;
+                    if (next.startTime - previous.endTime > MAX_LAYOVER_SECONDS) break;
+                    if (canceled) break;
+                    layovers.push({
+                        tripId: next.tripId,
+                        trip: next.trip,
+                        stopTimes,
+                        route: this.routesById[next.trip.route_id],
+                        previousTripId: previous.tripId,
+                        serviceDate,
+                        serviceSeconds,
+                        realtime,
+                        source
+                    });
+                    break;
+                }
+            });
+        });
+        return layovers;
+    }
+
+    /**
+     * Accessibilité d'un arrêt en fauteuil roulant (wheelchair_boarding).
+     * Un quai non renseigné hérite de son arrêt parent.
+     * @returns {string} Une valeur de ACCESSIBILITY
+     */
+    getStopAccessibility(stopId) {
+        const stop = this.stopsById[stopId];
+        if (!stop) return ACCESSIBILITY.UNKNOWN;
+
+        const value = this.parseAccessibility(stop.wheelchair_boarding);
+        if (value === ACCESSIBILITY.UNKNOWN && stop.parent_station) {
+            return this.getStopAccessibility(stop.parent_station);
+        }
+        return value;
+    }
+
+    /**
+     * Accessibilité d'un trip en fauteuil roulant (wheelchair_accessible)
+     * @returns {string} Une valeur de ACCESSIBILITY
+     */
+    getTripAccessibility(trip) {
+        return this.parseAccessibility(trip?.wheelchair_accessible);
+    }
+
+    parseAccessibility(value) {
+        if (value === '1') return ACCESSIBILITY.ACCESSIBLE;
+        if (value === '2') return ACCESSIBILITY.NOT_ACCESSIBLE;
+        return ACCESSIBILITY.UNKNOWN;
+    }
+
     /**
      * Récupère la destination finale d'un trip (V4)
      */
@@ -458,7 +1717,7 @@ export class DataManager {
         });
 
         if (earliestStart === Infinity) earliestStart = 0;
-        if (latestEnd === -Infinity) latestEnd = 86400;
+        if (latestEnd === -Infinity) latestEnd = SECONDS_PER_DAY;
 
         return { earliestStart, latestEnd };
     }
@@ -0,0 +1,258 @@
+/**
+ * delayPredictor.js
+ * Prévision des retards : un retard connu est prolongé sur la suite du trip,
+ * puis reporté sur les trips suivants du même véhicule (block_id)
+ *
+ * Observations, par trip et jour de service :
+ * - TripUpdates : les arrêts mis à jour par le flux (`observed`) gardent ses
+ *   heures ; au-delà, le retard n'est plus recopié tel quel mais propagé par
+ *   le modèle. Un retard de trip entier (TripUpdate.delay) vaut observation au
+ *   prochain arrêt du véhicule à l'heure du flux.
+ * - VehiclePositions, pour les trips sans TripUpdates : retard estimé au
+ *   prochain arrêt du véhicule (voir VehiclePositions.getEstimates)
+ * - block : retard prévu à l'arrivée du trip précédent du véhicule
+ *
+ * Modèle :
+ * - entre deux arrêts, le bus roule à l'horaire : le retard est conservé
+ * - à un point de passage (timepoint) : un bus en avance attend son heure de
+ *   départ, un bus en retard rattrape tout ou partie du temps d'arrêt prévu
+ * - au terminus, le battement prévu avant le trip suivant absorbe le retard,
+ *   au temps de retournement près (MIN_LAYOVER_SECONDS)
+ *
+ * Fiabilité (`confidence`, 0 à 1) : 1 pour une heure donnée par le flux,
+ * décroissante avec l'horizon de prévision et à chaque report sur le trip
+ * suivant (voir getConfidenceLevel pour l'affichage).
+ *
+ * Le calcul d'itinéraire garde les prévisions du flux (TripUpdates.get).
+ */
+
+import { getServiceDayStart } from './timeManager.js';
+
+const CONFIDENCE_HORIZON_SECONDS = 1800; // Fiabilité divisée par e toutes les 30 min d'horizon
+const POSITION_CONFIDENCE = 0.8;         // Retard estimé d'après une position (projection sur le parcours)
+const BLOCK_CONFIDENCE = 0.7;            // Facteur à chaque report sur le trip suivant du véhicule
+const MIN_CONFIDENCE = 0.15;             // En dessous, le retard n'est plus reporté
+const MIN_LAYOVER_SECONDS = 60;          // Temps de retournement minimal au terminus
+
+/**
+ * Niveau de fiabilité affiché
+ * @param {number|null} confidence
+ * @returns {'high'|'medium'|'low'|null} null sans prévision
+ */
+export function getConfidenceLevel(confidence) {
+    if (confidence === null || confidence === undefined) return null;
+    if (confidence >= 0.7) return 'high';
+    if (confidence >= 0.4) return 'medium';
+    return 'low';
+}
+
+export class DelayPredictor {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.predictionsByDate = new Map(); // "YYYYMMDD" -> Map(tripId -> prévision)
+        this.versionKey = null;             // Versions des flux temps réel des prévisions en cache
+    }
+
+    /**
+     * Horaires prévus d'un trip un jour de service
+     * @param {string} tripId
+     * @param {Date} serviceDate
+     * @returns {{stopTimes: Array, source: string}|null} null sans retard connu ni reporté ;
+     * `stopTimes` : colonnes de stop_times.txt plus `delay`, `skipped`, `observed` et
+     * `confidence` (null sur un arrêt sans prévision) ; `source` : 'tripUpdates',
+     * 'vehiclePositions' ou 'block'
+     */
+    get(tripId, serviceDate) {
+        const dm = this.dataManager;
+        if (dm.tripUpdates.updatesByTrip.size === 0 && dm.vehiclePositions.reportsByTrip.size === 0) {
+            return null;
+        }
+        return this.getPredictions(serviceDate).get(tripId) || null;
+    }
+
+    /**
+     * Prévisions d'un jour de service, recalculées à chaque nouveau flux temps réel
+     * @returns {Map<string, Object>}
+     */
+    getPredictions(serviceDate) {
+        const dm = this.dataManager;
+        const versionKey = `${dm.tripUpdates.version}|${dm.vehiclePositions.version}`;
+        if (versionKey !== this.versionKey) {
+            this.versionKey = versionKey;
+            this.predictionsByDate.clear();
+        }
+        const dateKey = dm.formatDateKey(serviceDate);
+        if (!this.predictionsByDate.has(dateKey)) {
+            this.predictionsByDate.set(dateKey, this.predictDay(serviceDate));
+        }
+        return this.predictionsByDate.get(dateKey);
+    }
+
+    predictDay(serviceDate) {
+        const dm = this.dataManager;
+        const predictions = new Map();
+        const dayStart = getServiceDayStart(serviceDate, dm.timezone);
+
+        // 1. Trips annoncés par les TripUpdates
+        dm.tripUpdates.getUpdatedTripIds(serviceDate).forEach(tripId => {
+            const update = dm.tripUpdates.get(tripId, serviceDate);
+            predictions.set(tripId, { stopTimes: this.refineTripUpdate(tripId, update, dayStart), source: 'tripUpdates' });
+        });
+
+        // 2. Trips suivis seulement par leur position (un trip supprimé n'est pas prévu)
+        dm.vehiclePositions.getEstimates(serviceDate).forEach(({ tripId, lateness, nextIndex }) => {
+            if (predictions.has(tripId) || dm.tripUpdates.get(tripId, serviceDate)) return;
+            predictions.set(tripId, {
+                stopTimes: this.propagate(dm.stopTimesByTrip[tripId], nextIndex, lateness, POSITION_CONFIDENCE),
+                source: 'vehiclePositions'
+            });
+        });
+
+        // 3. Report sur les trips suivants des mêmes véhicules
+        const serviceIds = dm.getActiveServiceIds(serviceDate);
+        const isTripActive = (trip) => serviceIds.has(trip.service_id);
+        [...predictions.keys()].forEach(tripId => this.carryOver(tripId, predictions, isTripActive, serviceDate));
+
+        return predictions;
+    }
+
+    /**
+     * Prévision TripUpdates : heures du flux aux arrêts mis à jour, modèle au-delà
+     */
+    refineTripUpdate(tripId, update, dayStart) {
+        const dm = this.dataManager;
+        const scheduled = dm.stopTimesByTrip[tripId];
+
+        // Retard du trip entier, sans arrêt mis à jour : observé au prochain arrêt à l'heure du flux
+        if (update.delay !== null && !update.stopTimes.some(st => st.observed)) {
+            const observedAt = update.timestamp - dayStart;
+            const index = scheduled.findIndex(st =>
+                dm.timeToSeconds(st.arrival_time || st.departure_time) + update.delay >= observedAt);
+            return this.propagate(scheduled, index >= 0 ? index : scheduled.length - 1, update.delay, 1);
+        }
+
+        let model = null; // Dernière heure connue : { delay, reference, confidence }
+        let previousDeparture = 0;
+        return update.stopTimes.map((st, index) => {
+            if (st.observed || st.delay === null || !model) {
+                const departure = dm.timeToSeconds(st.departure_time);
+                const scheduledDeparture = dm.timeToSeconds(scheduled[index].departure_time || scheduled[index].arrival_time);
+                // NO_DATA : horaire théorique ; avant la première mise à jour : heures du flux
+                model = st.observed
+                    ? { delay: departure - scheduledDeparture, reference: scheduledDeparture, confidence: 1 }
+                    : null;
+                previousDeparture = departure;
+                return { ...st, confidence: st.delay === null ? null : 1 };
+            }
+            const predicted = this.predictStop(scheduled[index], model.delay, previousDeparture);
+            model.delay = predicted.delay;
+            previousDeparture = predicted.departure;
+            return this.toStopTime(scheduled[index], predicted, this.decay(model.confidence, predicted.scheduledArrival - model.reference));
+        });
+    }
+
+    /**
+     * Heures prévues d'après un retard observé à l'arrivée au rang fromIndex ;
+     * les arrêts précédents (déjà desservis) gardent ce retard
+     * @param {Array} stopTimes - stop_times théoriques du trip
+     * @param {number} fromIndex
+     * @param {number} delay - secondes
+     * @param {number} confidence - Fiabilité au rang fromIndex
+     */
+    propagate(stopTimes, fromIndex, delay, confidence) {
+        const dm = this.dataManager;
+        const reference = dm.timeToSeconds(stopTimes[fromIndex].arrival_time || stopTimes[fromIndex].departure_time);
+        let currentDelay = delay;
+        let previousDeparture = 0;
+        return stopTimes.map((st, index) => {
+            const predicted = index < fromIndex
+                ? this.shiftStop(st, delay, previousDeparture)
+                : this.predictStop(st, currentDelay, previousDeparture);
+            if (index >= fromIndex) currentDelay = predicted.delay;
+            previousDeparture = predicted.departure;
+            return this.toStopTime(st, predicted, this.decay(confidence, predicted.scheduledArrival - reference));
+        });
+    }
+
+    /**
+     * Retard reporté sur les trips suivants du véhicule, tant qu'il n'est pas
+     * absorbé par le battement et que le trip n'a pas sa propre observation
+     */
+    carryOver(tripId, predictions, isTripActive, serviceDate) {
+        const dm = this.dataManager;
+        let previousId = tripId;
+        let previous = predictions.get(tripId);
+
+        for (;;) {
+            const next = dm.findNextTripInBlock(previousId, isTripActive);
+            if (!next || predictions.has(next.tripId) || dm.tripUpdates.get(next.tripId, serviceDate)?.canceled) return;
+
+            const last = previous.stopTimes[previous.stopTimes.length - 1];
+            if (last.delay === null) return;
+            const scheduledEnd = dm.timeToSeconds(dm.stopTimesByTrip[previousId].at(-1).arrival_time);
+            const predictedEnd = dm.timeToSeconds(last.arrival_time);
+            // Départ au plus tôt après le retournement, jamais plus tard que le retard à l'arrivée
+            const carried = Math.min(predictedEnd - scheduledEnd, predictedEnd + MIN_LAYOVER_SECONDS - next.startTime);
+            const confidence = (last.confidence ?? 1) * BLOCK_CONFIDENCE;
+            if (carried <= 0 || confidence < MIN_CONFIDENCE) return;
+
+            // Retard au départ du terminus : le premier arrêt est décalé tel quel, le modèle part du suivant
+            const stopTimes = dm.stopTimesByTrip[next.tripId];
+            previous = { stopTimes: this.propagate(stopTimes, Math.min(1, stopTimes.length - 1), carried, confidence), source: 'block' };
+            predictions.set(next.tripId, previous);
+            previousId = next.tripId;
+        }
+    }
+
+    /**
+     * Un arrêt avec le retard à l'arrivée : un point de passage retient le bus
+     * jusqu'à son heure de départ et absorbe le retard dans le temps d'arrêt prévu
+     * @returns {{scheduledArrival, arrival, departure, delay}} secondes ; delay : retard au départ
+     */
+    predictStop(st, arrivalDelay, previousDeparture) {
+        const dm = this.dataManager;
+        const scheduledArrival = dm.timeToSeconds(st.arrival_time || st.departure_time);
+        const scheduledDeparture = dm.timeToSeconds(st.departure_time || st.arrival_time);
+        const arrival = Math.max(scheduledArrival + arrivalDelay, previousDeparture);
+        const departure = this.isTimepoint(st)
+            ? Math.max(scheduledDeparture, arrival)
+            : Math.max(scheduledDeparture + arrivalDelay, arrival);
+        return { scheduledArrival, arrival, departure, delay: departure - scheduledDeparture };
+    }
+
+    /**
+     * Un arrêt décalé tel quel (arrêts déjà desservis)
+     */
+    shiftStop(st, delay, previousDeparture) {
+        const dm = this.dataManager;
+        const scheduledArrival = dm.timeToSeconds(st.arrival_time || st.departure_time);
+        const scheduledDeparture = dm.timeToSeconds(st.departure_time || st.arrival_time);
+        const arrival = Math.max(scheduledArrival + delay, previousDeparture);
+        const departure = Math.max(scheduledDeparture + delay, arrival);
+        return { scheduledArrival, arrival, departure, delay: departure - scheduledDeparture };
+    }
+
+    /**
+     * Point de passage : horaire exact (timepoint 1, ou non renseigné avec des heures)
+     */
+    isTimepoint(st) {
+        return String(st.timepoint ?? '') !== '0' && Boolean(st.arrival_time || st.departure_time);
+    }
+
+    decay(confidence, horizonSeconds) {
+        return confidence * Math.exp(-Math.max(0, horizonSeconds) / CONFIDENCE_HORIZON_SECONDS);
+    }
+
+    toStopTime(st, predicted, confidence) {
+        const tripUpdates = this.dataManager.tripUpdates;
+        return {
+            ...st,
+            arrival_time: tripUpdates.formatServiceTime(predicted.arrival),
+            departure_time: tripUpdates.formatServiceTime(predicted.departure),
+            delay: predicted.delay,
+            skipped: false,
+            observed: false,
+            confidence: Math.round(confidence * 100) / 100
+        };
+    }
+}
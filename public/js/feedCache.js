@@ -0,0 +1,123 @@
+/**
+ * feedCache.js
+ * Cache IndexedDB du flux GTFS prétraité : tables fusionnées et index coûteux
+ * (stopTimesByTrip, stopTimesByStop, regroupement des arrêts). Un démarrage
+ * suivant évite PapaParse et la reconstruction de ces index.
+ *
+ * La clé est l'empreinte SHA-256 des fichiers du flux (archives .zip ou fichiers
+ * .txt) : un flux modifié donne une autre clé, l'ancienne entrée est alors
+ * remplacée. Seul le dernier flux chargé est conservé.
+ *
+ * Sans IndexedDB ou sans crypto.subtle (page servie en http hors localhost),
+ * le cache est simplement désactivé. Une erreur de cache n'empêche jamais le
+ * chargement : le flux est alors lu normalement.
+ */
+
+const DB_NAME = 'gtfs-feed-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'feeds';
+
+// Format du modèle stocké : à incrémenter quand DataManager change ce qu'il y range
+const MODEL_VERSION = 1;
+
+export class FeedCache {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB et crypto.subtle sont-ils disponibles ?
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && !!globalThis.crypto?.subtle;
+    }
+
+    /**
+     * Clé d'un flux : version du modèle, puis id et empreinte de chaque source
+     * @param {Array<{id: string, bytes: ArrayBuffer|Uint8Array}>} sources
+     * @returns {Promise<string|null>} null si le cache est indisponible
+     */
+    async computeKey(sources) {
+        if (!this.isAvailable()) return null;
+        const hashes = [];
+        for (const source of sources) {
+            const digest = await crypto.subtle.digest('SHA-256', source.bytes);
+            const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+            hashes.push(`${source.id}:${hex}`);
+        }
+        return `v${MODEL_VERSION}|${hashes.join('|')}`;
+    }
+
+    /**
+     * Modèle stocké pour cette clé, ou null
+     */
+    async get(key) {
+        if (!key) return null;
+        try {
+            const db = await this.open();
+            const entry = await this.request(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key));
+            return entry ? entry.model : null;
+        } catch (error) {
+            console.warn('⚠️ Cache GTFS illisible :', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remplace le contenu du cache par ce modèle
+     * @returns {Promise<boolean>}
+     */
+    async put(key, model) {
+        if (!key) return false;
+        try {
+            const db = await this.open();
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            store.clear();
+            store.put({ key, createdAt: Date.now(), model });
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+            console.log('💾 Flux GTFS prétraité mis en cache.');
+            return true;
+        } catch (error) {
+            // Quota dépassé, navigation privée...
+            console.warn('⚠️ Impossible de mettre le flux GTFS en cache :', error);
+            return false;
+        }
+    }
+
+    /**
+     * Vide le cache (ex. pour forcer une relecture du flux)
+     */
+    async clear() {
+        if (!this.isAvailable()) return;
+        const db = await this.open();
+        await this.request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Un échec d'ouverture ne doit pas rester en cache
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * feedClient.js
+ * API asynchrone de l'interface vers FeedEngine : dans un Web Worker
+ * (feedWorker.js) si possible, sinon sur le thread principal (même API,
+ * mêmes promesses).
+ *
+ * Après chaque chargement, le modèle prétraité renvoyé par le moteur est
+ * installé dans le DataManager de l'interface (loadModel) : l'affichage garde
+ * ses accès synchrones (arrêts, lignes, tracés). Les calculs - véhicules
+ * actifs, prochains départs, itinéraires, isochrones - passent par le moteur.
+ * Les événements du moteur (ex. "realtime" après chaque relève GTFS-Realtime)
+ * sont transmis aux listeners (addListener).
+ */
+
+export class FeedClient {
+    /**
+     * @param {DataManager} dataManager - DataManager de l'interface
+     */
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.worker = null;
+        this.engine = null;        // Repli sans worker
+        this.pending = new Map();  // id -> { resolve, reject }
+        this.nextId = 1;
+        this.listeners = [];       // (type, données) => void
+        this.ready = this.start();
+    }
+
+    async start() {
+        const dm = this.dataManager;
+        const options = {
+            dataUrl: new URL(dm.dataUrl, location.href).href,
+            walkingSpeed: dm.walkingSpeed,
+            maxFootpathDistance: dm.maxFootpathDistance,
+            cache: dm.feedCache !== null
+        };
+
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./feedWorker.js', import.meta.url));
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (event) => this.handleWorkerError(event);
+                await this.send('init', [options]);
+                console.log('🧵 Moteur GTFS démarré dans un Web Worker.');
+                return;
+            } catch (error) {
+                console.warn('⚠️ Web Worker indisponible, moteur GTFS sur le thread principal :', error);
+                this.worker?.terminate();
+                this.worker = null;
+            }
+        }
+        const { FeedEngine } = await import('./feedEngine.js');
+        this.engine = new FeedEngine(options, (type, data) => this.notifyListeners(type, data));
+    }
+
+    /**
+     * Charge le flux dans le moteur puis installe le modèle dans l'interface
+     * @param {File|Blob|ArrayBuffer|Array|null} [archives]
+     * @returns {Promise<boolean>} false si le flux n'a pas pu être lu (le flux précédent reste en place)
+     */
+    async load(archives = null) {
+        let response;
+        try {
+            response = await this.request('load', archives);
+        } catch (error) {
+            console.error('Erreur lors de la lecture du flux GTFS:', error);
+            response = { ok: false };
+        }
+        if (!response.ok) {
+            if (!this.dataManager.isLoaded) {
+                this.dataManager.showError('Erreur de chargement des données', 'Vérifiez que les fichiers GTFS (ou gtfs.zip) sont présents dans /data/ et que map.geojson est dans /data/.');
+            }
+            return false;
+        }
+        return this.dataManager.loadModel(response.model);
+    }
+
+    /**
+     * Véhicules en service (voir TripScheduler.getActiveTrips)
+     * @returns {Promise<Array>}
+     */
+    getActiveTrips(currentSeconds, date) {
+        return this.request('getActiveTrips', currentSeconds, date);
+    }
+
+    /**
+     * Prochains départs à des quais (voir DataManager.getUpcomingDepartures)
+     * @returns {Promise<Array>}
+     */
+    getUpcomingDepartures(stopIds, currentSeconds, date, limit = 5) {
+        return this.request('getUpcomingDepartures', stopIds, currentSeconds, date, limit);
+    }
+
+    /**
+     * Itinéraires (voir LocalPathfinder.findItinerary)
+     * @returns {Promise<Object>}
+     */
+    findItinerary(startCoords, endCoords, date, options = {}) {
+        return this.request('findItinerary', startCoords, endCoords, date, options);
+    }
+
+    /**
+     * Trajets sur une plage horaire (voir LocalPathfinder.findItineraryRange)
+     * @returns {Promise<Object>}
+     */
+    findItineraryRange(startCoords, endCoords, windowStart, windowEnd, limit, options = {}) {
+        return this.request('findItineraryRange', startCoords, endCoords, windowStart, windowEnd, limit, options);
+    }
+
+    /**
+     * Zone accessible (voir LocalPathfinder.computeIsochrone)
+     * @returns {Promise<Object>}
+     */
+    computeIsochrone(originCoords, date, budgetSeconds, options = {}) {
+        return this.request('computeIsochrone', originCoords, date, budgetSeconds, options);
+    }
+
+    /**
+     * Fichier GTFS-Realtime .pb : prévisions et/ou positions (voir FeedEngine.loadRealtime)
+     * @param {File|Blob|ArrayBuffer} file
+     * @returns {Promise<{tripUpdates: Object|null, vehiclePositions: Object|null}>}
+     */
+    async loadRealtime(file) {
+        const buffer = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+        return this.request('loadRealtime', buffer);
+    }
+
+    /**
+     * Ajoute un listener des événements du moteur
+     * @param {Function} callback - (type, données) => void
+     */
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners(type, data) {
+        this.listeners.forEach(callback => callback(type, data));
+    }
+
+    async request(method, ...args) {
+        await this.ready;
+        if (this.engine) {
+            return this.engine[method](...args);
+        }
+        return this.send(method, args);
+    }
+
+    send(method, args) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    handleMessage({ id, result, error, event, data }) {
+        if (event) {
+            this.notifyListeners(event, data);
+            return;
+        }
+        const pending = this.pending.get(id);
+        if (!pending) return;
+        this.pending.delete(id);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    /**
+     * Erreur non rattrapée du worker (ex. bibliothèques CDN injoignables) :
+     * les requêtes en attente échouent
+     */
+    handleWorkerError(event) {
+        event.preventDefault?.();
+        const error = new Error(event.message || 'Erreur du worker GTFS');
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+}
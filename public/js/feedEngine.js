@@ -0,0 +1,163 @@
+/**
+ * feedEngine.js
+ * Moteur de données sans interface : lecture et index du flux (DataManager),
+ * véhicules actifs (TripScheduler), itinéraires et isochrones (LocalPathfinder).
+ *
+ * Exécuté dans un Web Worker (feedWorker.js) pour ne pas figer la carte :
+ * l'interface l'interroge par messages via FeedClient. Les réponses doivent
+ * donc rester des données simples (structured clone : pas de fonctions).
+ *
+ * Temps réel : les flux GTFS-Realtime de data/realtime.json sont relevés ici ;
+ * chaque relève est signalée à l'interface par un événement "realtime". Pour
+ * les perturbations (kind "alerts"), l'événement porte la liste complète
+ * (`alerts`) : l'interface en a besoin pour ses bandeaux et pastilles.
+ */
+
+import { DataManager } from './dataManager.js';
+import { TripScheduler } from './tripScheduler.js';
+import { LocalPathfinder } from './localPathfinder.js';
+import { decodeFeedMessage, RealtimePoller } from './gtfsRealtime.js';
+import { alertsFromJson } from './serviceAlerts.js';
+
+const DEFAULT_REALTIME_INTERVAL = 30; // s, entre deux relèves d'un flux GTFS-Realtime
+const REALTIME_KINDS = ['tripUpdates', 'vehiclePositions', 'alerts']; // Clés d'une source de realtime.json
+const textDecoder = new TextDecoder();
+
+/**
+ * Fichier d'alertes JSON (voir alertsFromJson) lu comme un flux protobuf
+ */
+function decodeAlertsJson(buffer) {
+    return alertsFromJson(JSON.parse(textDecoder.decode(buffer)));
+}
+
+export class FeedEngine {
+    /**
+     * @param {Object} [options] - Options du DataManager (dataUrl, walkingSpeed...)
+     * @param {Function} [onEvent] - (type, données) => void, événements envoyés à l'interface
+     */
+    constructor(options = {}, onEvent = () => {}) {
+        this.dataManager = new DataManager(options);
+        this.tripScheduler = new TripScheduler(this.dataManager);
+        this.pathfinder = null; // Reconstruit à chaque flux chargé
+        this.onEvent = onEvent;
+        this.realtimePollers = [];
+    }
+
+    /**
+     * Lit le flux (dossier data ou archives) et renvoie le modèle prétraité
+     * à installer côté interface (DataManager.loadModel)
+     * @param {File|Blob|ArrayBuffer|Array|null} [archives]
+     * @returns {Promise<{ok: boolean, model?: Object}>} ok: false si le flux n'a pas pu
+     * être lu (le flux précédent reste en place)
+     */
+    async load(archives = null) {
+        const loaded = await this.dataManager.loadAllData(archives);
+        if (!loaded) {
+            return { ok: false };
+        }
+        // Index RAPTOR à reconstruire pour le nouveau flux
+        this.pathfinder = new LocalPathfinder(this.dataManager);
+        // Prévisions effacées avec l'ancien flux : relève immédiate, sans attendre
+        this.startRealtime().catch(error => console.error('Erreur de configuration temps réel:', error));
+        return { ok: true, model: this.dataManager.createCacheModel() };
+    }
+
+    /**
+     * (Re)lance la relève des flux de data/realtime.json (TripUpdates, VehiclePositions,
+     * ServiceAlerts ou fichier d'alertes .json)
+     */
+    async startRealtime() {
+        this.realtimePollers.forEach(poller => poller.stop());
+        this.realtimePollers = [];
+
+        const sources = await this.dataManager.getRealtimeSources();
+        sources.forEach(source => {
+            REALTIME_KINDS.filter(kind => source[kind]).forEach(kind => {
+                const url = source[kind];
+                const poller = new RealtimePoller(
+                    url,
+                    source.interval || DEFAULT_REALTIME_INTERVAL,
+                    (message) => this.applyRealtime(message, kind, source.feed ?? null, url),
+                    (error) => {
+                        console.warn(`⚠️ Flux temps réel injoignable (${url}) :`, error);
+                        this.onEvent('realtime', { status: 'error', kind, source: url, message: error.message || String(error) });
+                    },
+                    kind === 'alerts' && /\.json(\?|$)/i.test(url) ? decodeAlertsJson : decodeFeedMessage
+                );
+                console.log(`📡 ${kind} : ${url} (toutes les ${poller.intervalSeconds} s)`);
+                this.realtimePollers.push(poller);
+                poller.start();
+            });
+        });
+    }
+
+    /**
+     * Fichier .pb déposé par l'utilisateur (identifiants du flux GTFS tels quels) :
+     * prévisions, positions et/ou alertes selon les entités qu'il contient
+     * @param {ArrayBuffer} buffer
+     * @returns {{tripUpdates: Object|null, vehiclePositions: Object|null, alerts: Object|null}}
+     * Bilans (voir TripUpdates.load, VehiclePositions.load, ServiceAlerts.load)
+     */
+    loadRealtime(buffer) {
+        const message = decodeFeedMessage(buffer);
+        const hasVehicles = message.entity.some(entity => entity.vehicle);
+        const hasAlerts = message.entity.some(entity => entity.alert);
+        const hasTripUpdates = message.entity.some(entity => entity.trip_update) || (!hasVehicles && !hasAlerts);
+        return {
+            tripUpdates: hasTripUpdates ? this.applyRealtime(message, 'tripUpdates', null, 'fichier') : null,
+            vehiclePositions: hasVehicles ? this.applyRealtime(message, 'vehiclePositions', null, 'fichier') : null,
+            alerts: hasAlerts ? this.applyRealtime(message, 'alerts', null, 'fichier') : null
+        };
+    }
+
+    applyRealtime(message, kind, feedId, source) {
+        const dm = this.dataManager;
+        let summary;
+        if (kind === 'vehiclePositions') {
+            summary = dm.vehiclePositions.load(message, feedId);
+            console.log(`📡 VehiclePositions (${source}) : ${summary.vehicleCount} véhicule(s), ${summary.matchedCount} rattaché(s) à un trip`);
+        } else if (kind === 'alerts') {
+            summary = dm.serviceAlerts.load(message, feedId);
+            console.log(`📡 ServiceAlerts (${source}) : ${summary.alertCount} alerte(s), ${summary.closureCount} fermeture(s)`);
+        } else {
+            summary = dm.tripUpdates.load(message, feedId);
+            console.log(`📡 TripUpdates (${source}) : ${summary.tripCount} trip(s), ${summary.canceledCount} supprimé(s), ${summary.unknownCount} inconnu(s)`);
+        }
+        const alerts = kind === 'alerts' ? { alerts: dm.serviceAlerts.getAlerts() } : {};
+        this.onEvent('realtime', { status: 'ok', kind, source, ...summary, ...alerts });
+        return summary;
+    }
+
+    /**
+     * Véhicules en service à un instant (voir TripScheduler.getActiveTrips)
+     */
+    getActiveTrips(currentSeconds, date) {
+        return this.tripScheduler.getActiveTrips(currentSeconds, date);
+    }
+
+    /**
+     * Prochains départs à des quais (voir DataManager.getUpcomingDepartures)
+     */
+    getUpcomingDepartures(stopIds, currentSeconds, date, limit) {
+        return this.dataManager.getUpcomingDepartures(stopIds, currentSeconds, date, limit);
+    }
+
+    findItinerary(startCoords, endCoords, date, options) {
+        return this.getPathfinder().findItinerary(startCoords, endCoords, date, options);
+    }
+
+    findItineraryRange(startCoords, endCoords, windowStart, windowEnd, limit, options) {
+        return this.getPathfinder().findItineraryRange(startCoords, endCoords, windowStart, windowEnd, limit, options);
+    }
+
+    computeIsochrone(originCoords, date, budgetSeconds, options) {
+        return this.getPathfinder().computeIsochrone(originCoords, date, budgetSeconds, options);
+    }
+
+    getPathfinder() {
+        if (!this.pathfinder) {
+            throw new Error('Aucun flux GTFS chargé');
+        }
+        return this.pathfinder;
+    }
+}
@@ -0,0 +1,360 @@
+/**
+ * feedValidator.js
+ * Contrôle de cohérence du flux GTFS chargé par DataManager
+ *
+ * Vérifications :
+ * - Références : trips -> routes / services, stop_times -> trips / stops
+ * - Horaires : heures manquantes, non croissantes le long d'un trip
+ * - Vitesses : trajets impossibles entre deux arrêts consécutifs
+ * - Tracés : arrêts éloignés du tracé de leur ligne (map.geojson, shapes.txt)
+ * - Calendrier : services sans calendrier, jamais actifs ou expirés
+ *
+ * Chaque constat porte `stopId` et/ou `routeId` pour que le rapport
+ * puisse centrer la carte dessus.
+ */
+
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+export const CATEGORIES = {
+    REFERENCES: 'Références',
+    TIMES: 'Horaires',
+    SPEED: 'Vitesses',
+    GEOMETRY: 'Tracés',
+    CALENDAR: 'Calendrier'
+};
+
+const MAX_SPEED = 100 / 3.6;              // m/s, au-delà un bus ne peut pas relier deux arrêts
+const MIN_DISTANCE_FOR_SPEED = 300;       // m, en dessous un temps nul reste plausible (arrêts voisins)
+const MAX_STOP_ROUTE_DISTANCE = 150;      // m, écart toléré entre un arrêt et le tracé de sa ligne
+
+export class FeedValidator {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.issues = [];
+    }
+
+    /**
+     * Lance toutes les vérifications
+     * @param {Date} [today] - Référence pour les services expirés
+     * @returns {Array<{severity, category, message, stopId?, routeId?, tripId?}>}
+     */
+    validate(today = new Date()) {
+        this.issues = [];
+
+        this.checkReferences();
+        this.checkStopTimes();
+        this.checkStopsNearRoutes();
+        this.checkCalendars(today);
+
+        console.log(`🩺 Validation GTFS : ${this.issues.length} constats.`);
+        return this.issues;
+    }
+
+    addIssue(severity, category, message, refs = {}) {
+        this.issues.push({ severity, category, message, ...refs });
+    }
+
+    /**
+     * Intégrité référentielle entre fichiers
+     */
+    checkReferences() {
+        const dm = this.dataManager;
+        const serviceIds = new Set([
+            ...dm.calendar.map(s => s.service_id),
+            ...dm.calendarDates.map(d => d.service_id)
+        ]);
+
+        const servicesWithoutCalendar = new Map(); // service_id -> nb de trips
+        dm.trips.forEach(trip => {
+            if (!dm.routesById[trip.route_id]) {
+                this.addIssue(SEVERITY.ERROR, CATEGORIES.REFERENCES,
+                    `Le trip ${trip.trip_id} référence une ligne inconnue (${trip.route_id}).`,
+                    { tripId: trip.trip_id });
+            }
+            if (!serviceIds.has(trip.service_id)) {
+                servicesWithoutCalendar.set(trip.service_id, (servicesWithoutCalendar.get(trip.service_id) || 0) + 1);
+            }
+            const stopTimes = dm.stopTimesByTrip[trip.trip_id];
+            if (!stopTimes || stopTimes.length < 2) {
+                this.addIssue(SEVERITY.WARNING, CATEGORIES.REFERENCES,
+                    `Le trip ${trip.trip_id} a moins de deux horaires d'arrêt : il ne peut pas circuler.`,
+                    { tripId: trip.trip_id, routeId: dm.routesById[trip.route_id] ? trip.route_id : undefined });
+            }
+        });
+
+        servicesWithoutCalendar.forEach((tripCount, serviceId) => {
+            this.addIssue(SEVERITY.ERROR, CATEGORIES.CALENDAR,
+                `Le service ${serviceId} (${tripCount} trips) n'est défini ni dans calendar.txt ni dans calendar_dates.txt.`);
+        });
+
+        // stop_times -> trips / stops (un constat par identifiant inconnu)
+        const unknownTrips = new Map();
+        const unknownStops = new Map();
+        dm.stopTimes.forEach(st => {
+            if (!dm.tripsByTripId[st.trip_id]) {
+                unknownTrips.set(st.trip_id, (unknownTrips.get(st.trip_id) || 0) + 1);
+            }
+            if (!dm.stopsById[st.stop_id]) {
+                unknownStops.set(st.stop_id, (unknownStops.get(st.stop_id) || 0) + 1);
+            }
+        });
+        unknownTrips.forEach((count, tripId) => {
+            this.addIssue(SEVERITY.ERROR, CATEGORIES.REFERENCES,
+                `${count} horaire(s) de stop_times.txt référencent un trip inconnu (${tripId}).`);
+        });
+        unknownStops.forEach((count, stopId) => {
+            this.addIssue(SEVERITY.ERROR, CATEGORIES.REFERENCES,
+                `${count} horaire(s) de stop_times.txt référencent un arrêt inconnu (${stopId}).`);
+        });
+
+        // Arrêts sans coordonnées (impossibles à placer sur la carte)
+        dm.stops.forEach(stop => {
+            if (isNaN(parseFloat(stop.stop_lat)) || isNaN(parseFloat(stop.stop_lon))) {
+                this.addIssue(SEVERITY.ERROR, CATEGORIES.REFERENCES,
+                    `L'arrêt ${stop.stop_name || stop.stop_id} n'a pas de coordonnées valides.`);
+            }
+        });
+    }
+
+    /**
+     * Horaires croissants et vitesses plausibles le long de chaque trip.
+     * Les vitesses impossibles sont regroupées par couple d'arrêts.
+     */
+    checkStopTimes() {
+        const dm = this.dataManager;
+        const speedIssues = new Map(); // "from>to" -> { from, to, distance, maxSpeed, tripIds, routeId }
+
+        dm.trips.forEach(trip => {
+            const stopTimes = dm.stopTimesByTrip[trip.trip_id];
+            if (!stopTimes || stopTimes.length < 2) return;
+            const routeId = dm.routesById[trip.route_id] ? trip.route_id : undefined;
+
+            let previous = null;
+            for (const st of stopTimes) {
+                if (!st.arrival_time && !st.departure_time) {
+                    // Arrêt non minuté (autorisé par GTFS hors extrémités) : non utilisable ici
+                    if (st === stopTimes[0] || st === stopTimes[stopTimes.length - 1]) {
+                        this.addIssue(SEVERITY.ERROR, CATEGORIES.TIMES,
+                            `Le trip ${trip.trip_id} n'a pas d'horaire à son ${st === stopTimes[0] ? 'premier' : 'dernier'} arrêt.`,
+                            { tripId: trip.trip_id, stopId: this.knownStopId(st.stop_id), routeId });
+                    }
+                    continue;
+                }
+
+                const arrival = dm.timeToSeconds(st.arrival_time || st.departure_time);
+                const departure = dm.timeToSeconds(st.departure_time || st.arrival_time);
+                if (departure < arrival) {
+                    this.addIssue(SEVERITY.ERROR, CATEGORIES.TIMES,
+                        `Trip ${trip.trip_id} : départ (${st.departure_time}) avant l'arrivée (${st.arrival_time}) à ${this.getStopName(st.stop_id)}.`,
+                        { tripId: trip.trip_id, stopId: this.knownStopId(st.stop_id), routeId });
+                }
+
+                if (previous) {
+                    const elapsed = arrival - previous.departure;
+                    if (elapsed < 0) {
+                        this.addIssue(SEVERITY.ERROR, CATEGORIES.TIMES,
+                            `Trip ${trip.trip_id} : l'heure recule entre ${this.getStopName(previous.stopId)} (${dm.formatTime(previous.departure)}) et ${this.getStopName(st.stop_id)} (${dm.formatTime(arrival)}).`,
+                            { tripId: trip.trip_id, stopId: this.knownStopId(st.stop_id), routeId });
+                    } else {
+                        this.collectSpeedIssue(speedIssues, previous.stopId, st.stop_id, elapsed, trip, routeId);
+                    }
+                }
+                previous = { stopId: st.stop_id, departure };
+            }
+        });
+
+        speedIssues.forEach(issue => {
+            const speedText = issue.maxSpeed === Infinity
+                ? 'en 0 min'
+                : `à ${Math.round(issue.maxSpeed * 3.6)} km/h`;
+            this.addIssue(SEVERITY.WARNING, CATEGORIES.SPEED,
+                `${this.getStopName(issue.from)} → ${this.getStopName(issue.to)} : ${Math.round(issue.distance)} m ${speedText} (${issue.tripIds.length} trip(s), ex. ${issue.tripIds[0]}).`,
+                { stopId: issue.to, routeId: issue.routeId, tripId: issue.tripIds[0] });
+        });
+    }
+
+    collectSpeedIssue(speedIssues, fromStopId, toStopId, elapsed, trip, routeId) {
+        const dm = this.dataManager;
+        const from = dm.stopsById[fromStopId];
+        const to = dm.stopsById[toStopId];
+        if (!from || !to) return;
+
+        const distance = dm.calculateDistance(from.stop_lat, from.stop_lon, to.stop_lat, to.stop_lon);
+        const speed = elapsed > 0 ? distance / elapsed : Infinity;
+        if (speed <= MAX_SPEED || (elapsed === 0 && distance < MIN_DISTANCE_FOR_SPEED)) return;
+
+        const key = `${fromStopId}>${toStopId}`;
+        if (!speedIssues.has(key)) {
+            speedIssues.set(key, { from: fromStopId, to: toStopId, distance, maxSpeed: speed, tripIds: [], routeId });
+        }
+        const issue = speedIssues.get(key);
+        issue.maxSpeed = Math.max(issue.maxSpeed, speed);
+        issue.tripIds.push(trip.trip_id);
+    }
+
+    /**
+     * Arrêts desservis loin du tracé de leur ligne (map.geojson et shapes.txt)
+     */
+    checkStopsNearRoutes() {
+        const dm = this.dataManager;
+
+        // Arrêts desservis par ligne
+        const stopsByRoute = new Map();
+        dm.trips.forEach(trip => {
+            if (!stopsByRoute.has(trip.route_id)) stopsByRoute.set(trip.route_id, new Set());
+            (dm.stopTimesByTrip[trip.trip_id] || []).forEach(st => stopsByRoute.get(trip.route_id).add(st.stop_id));
+        });
+
+        stopsByRoute.forEach((stopIds, routeId) => {
+            const route = dm.routesById[routeId];
+            if (!route) return;
+
+            const lines = this.getRouteLines(routeId);
+            if (lines.length === 0) {
+                this.addIssue(SEVERITY.INFO, CATEGORIES.GEOMETRY,
+                    `La ligne ${this.getRouteName(routeId)} n'a pas de tracé (map.geojson ou shapes.txt).`,
+                    { routeId });
+                return;
+            }
+
+            stopIds.forEach(stopId => {
+                const stop = dm.stopsById[stopId];
+                if (!stop) return;
+                const distance = this.distanceToLines(parseFloat(stop.stop_lat), parseFloat(stop.stop_lon), lines);
+                if (distance > MAX_STOP_ROUTE_DISTANCE) {
+                    this.addIssue(SEVERITY.WARNING, CATEGORIES.GEOMETRY,
+                        `L'arrêt ${stop.stop_name} est à ${Math.round(distance)} m du tracé de la ligne ${this.getRouteName(routeId)}.`,
+                        { stopId, routeId });
+                }
+            });
+        });
+    }
+
+    /**
+     * Tracés d'une ligne : entités map.geojson de la ligne et shapes de ses trips
+     * @returns {Array<Array<{lat: number, lon: number}>>}
+     */
+    getRouteLines(routeId) {
+        const dm = this.dataManager;
+        const lines = [];
+
+        (dm.geoJson?.features || [])
+            .filter(feature => feature.properties?.route_id === routeId && feature.geometry)
+            .forEach(feature => {
+                const { type, coordinates } = feature.geometry;
+                const parts = type === 'LineString' ? [coordinates] : type === 'MultiLineString' ? coordinates : [];
+                parts.forEach(part => lines.push(part.map(([lon, lat]) => ({ lat, lon }))));
+            });
+
+        const shapeIds = new Set(dm.trips.filter(trip => trip.route_id === routeId && trip.shape_id).map(trip => trip.shape_id));
+        shapeIds.forEach(shapeId => {
+            if (dm.shapesById[shapeId]) lines.push(dm.shapesById[shapeId].points);
+        });
+
+        return lines.filter(line => line.length >= 2);
+    }
+
+    /**
+     * Distance (m) d'un point à un ensemble de polylignes (projection plane locale)
+     */
+    distanceToLines(lat, lon, lines) {
+        const metersPerDegree = 111320;
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        let best = Infinity;
+
+        lines.forEach(line => {
+            for (let i = 0; i < line.length - 1; i++) {
+                const ax = (line[i].lon - lon) * cosLat, ay = line[i].lat - lat;
+                const bx = (line[i + 1].lon - lon) * cosLat, by = line[i + 1].lat - lat;
+                const dx = bx - ax, dy = by - ay;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+                const px = ax + t * dx, py = ay + t * dy;
+                best = Math.min(best, Math.sqrt(px * px + py * py) * metersPerDegree);
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Services jamais actifs ou expirés
+     */
+    checkCalendars(today) {
+        const dm = this.dataManager;
+        const todayKey = dm.formatDateKey(today);
+
+        if (dm.calendar.length === 0 && dm.calendarDates.length === 0) {
+            this.addIssue(SEVERITY.ERROR, CATEGORIES.CALENDAR, `Ni calendar.txt ni calendar_dates.txt : aucun service ne peut circuler.`);
+            return;
+        }
+
+        dm.getServices().forEach(({ serviceId, calendar, tripCount }) => {
+            const lastDay = this.getLastServiceDay(serviceId, calendar);
+            if (!lastDay) {
+                this.addIssue(SEVERITY.WARNING, CATEGORIES.CALENDAR,
+                    `Le service ${serviceId} n'a aucun jour de circulation.`);
+            } else if (lastDay < todayKey) {
+                this.addIssue(SEVERITY.WARNING, CATEGORIES.CALENDAR,
+                    `Le service ${serviceId} est expiré depuis le ${this.formatDateKey(lastDay)}.`);
+            }
+            if (tripCount === 0) {
+                this.addIssue(SEVERITY.INFO, CATEGORIES.CALENDAR,
+                    `Le service ${serviceId} n'est utilisé par aucun trip.`);
+            }
+        });
+
+        const range = dm.getCalendarRange();
+        if (range && range.endDate < todayKey) {
+            this.addIssue(SEVERITY.ERROR, CATEGORIES.CALENDAR,
+                `Tous les horaires sont expirés (fin le ${this.formatDateKey(range.endDate)}).`);
+        }
+    }
+
+    /**
+     * Dernier jour ("YYYYMMDD") où un service circule, exceptions comprises
+     */
+    getLastServiceDay(serviceId, calendar) {
+        const dm = this.dataManager;
+        let lastDay = null;
+
+        if (calendar) {
+            // On remonte depuis end_date jusqu'au dernier jour de semaine actif et non supprimé
+            const start = dm.parseDateKey(calendar.start_date);
+            for (let date = dm.parseDateKey(calendar.end_date); date >= start; date.setDate(date.getDate() - 1)) {
+                if (dm.getActiveServiceIds(date).has(serviceId)) {
+                    lastDay = dm.formatDateKey(date);
+                    break;
+                }
+            }
+        }
+
+        dm.calendarDates
+            .filter(d => d.service_id === serviceId && d.exception_type === '1')
+            .forEach(d => {
+                if (!lastDay || d.date > lastDay) lastDay = d.date;
+            });
+
+        return lastDay;
+    }
+
+    knownStopId(stopId) {
+        return this.dataManager.stopsById[stopId] ? stopId : undefined;
+    }
+
+    getStopName(stopId) {
+        return this.dataManager.stopsById[stopId]?.stop_name || stopId;
+    }
+
+    getRouteName(routeId) {
+        const route = this.dataManager.routesById[routeId];
+        return route?.route_short_name || routeId;
+    }
+
+    formatDateKey(dateKey) {
+        return this.dataManager.parseDateKey(dateKey).toLocaleDateString('fr-FR');
+    }
+}
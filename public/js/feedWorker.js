@@ -0,0 +1,40 @@
+/**
+ * feedWorker.js
+ * Web Worker (classique, pour importScripts) qui héberge FeedEngine : lecture
+ * du flux GTFS, véhicules actifs, départs et itinéraires hors du thread de la carte.
+ *
+ * Messages reçus : { id, method, args } ; réponse : { id, result } ou { id, error }.
+ * Le premier message est "init" (options du DataManager). Voir FeedClient.
+ * Événements spontanés du moteur (relève temps réel) : { event, data }.
+ */
+
+// Mêmes bibliothèques que index.html (globales Papa et JSZip lues par DataManager)
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'
+);
+
+const METHODS = new Set(['load', 'getActiveTrips', 'getUpcomingDepartures', 'findItinerary', 'findItineraryRange', 'computeIsochrone', 'loadRealtime']);
+
+let enginePromise = null;
+
+self.onmessage = async (event) => {
+    const { id, method, args } = event.data;
+    try {
+        if (method === 'init') {
+            enginePromise = import('./feedEngine.js').then(({ FeedEngine }) => new FeedEngine(args[0], (type, data) => self.postMessage({ event: type, data })));
+            await enginePromise;
+            self.postMessage({ id, result: true });
+            return;
+        }
+        if (!enginePromise || !METHODS.has(method)) {
+            throw new Error(`Méthode inconnue ou moteur non initialisé : ${method}`);
+        }
+        const engine = await enginePromise;
+        const result = await engine[method](...args);
+        self.postMessage({ id, result });
+    } catch (error) {
+        console.error(`Erreur du worker GTFS (${method}):`, error);
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
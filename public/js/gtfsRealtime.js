@@ -0,0 +1,363 @@
+/**
+ * gtfsRealtime.js
+ * Lecture des flux GTFS-Realtime (protobuf) sans bibliothèque : décodage du
+ * format binaire d'après le schéma gtfs-realtime.proto, et relève périodique
+ * d'une URL (RealtimePoller).
+ *
+ * Le message décodé garde les noms de champs du .proto (trip_update,
+ * stop_time_update...), comme les colonnes des fichiers GTFS. Les champs
+ * absents sont undefined, les énumérations restent numériques (voir les
+ * constantes exportées). Les champs inconnus (extensions) sont ignorés.
+ *
+ * Seuls les messages utilisés par l'application sont décrits dans SCHEMA.
+ */
+
+// Schéma : numéro de champ -> [nom, type, répété ?]. Un type en majuscule est un message.
+const SCHEMA = {
+    FeedMessage: {
+        1: ['header', 'FeedHeader'],
+        2: ['entity', 'FeedEntity', true]
+    },
+    FeedHeader: {
+        1: ['gtfs_realtime_version', 'string'],
+        2: ['incrementality', 'enum'],
+        3: ['timestamp', 'uint64']
+    },
+    FeedEntity: {
+        1: ['id', 'string'],
+        2: ['is_deleted', 'bool'],
+        3: ['trip_update', 'TripUpdate'],
+        4: ['vehicle', 'VehiclePosition'],
+        5: ['alert', 'Alert']
+    },
+    TripUpdate: {
+        1: ['trip', 'TripDescriptor'],
+        2: ['stop_time_update', 'StopTimeUpdate', true],
+        3: ['vehicle', 'VehicleDescriptor'],
+        4: ['timestamp', 'uint64'],
+        5: ['delay', 'int32']
+    },
+    StopTimeUpdate: {
+        1: ['stop_sequence', 'uint32'],
+        2: ['arrival', 'StopTimeEvent'],
+        3: ['departure', 'StopTimeEvent'],
+        4: ['stop_id', 'string'],
+        5: ['schedule_relationship', 'enum']
+    },
+    StopTimeEvent: {
+        1: ['delay', 'int32'],
+        2: ['time', 'int64'],
+        3: ['uncertainty', 'int32']
+    },
+    TripDescriptor: {
+        1: ['trip_id', 'string'],
+        2: ['start_time', 'string'],
+        3: ['start_date', 'string'],
+        4: ['schedule_relationship', 'enum'],
+        5: ['route_id', 'string'],
+        6: ['direction_id', 'uint32']
+    },
+    VehiclePosition: {
+        1: ['trip', 'TripDescriptor'],
+        2: ['position', 'Position'],
+        3: ['current_stop_sequence', 'uint32'],
+        4: ['current_status', 'enum'],
+        5: ['timestamp', 'uint64'],
+        7: ['stop_id', 'string'],
+        8: ['vehicle', 'VehicleDescriptor']
+    },
+    Position: {
+        1: ['latitude', 'float'],
+        2: ['longitude', 'float'],
+        3: ['bearing', 'float'],
+        4: ['odometer', 'double'],
+        5: ['speed', 'float']
+    },
+    Alert: {
+        1: ['active_period', 'TimeRange', true],
+        5: ['informed_entity', 'EntitySelector', true],
+        6: ['cause', 'enum'],
+        7: ['effect', 'enum'],
+        8: ['url', 'TranslatedString'],
+        10: ['header_text', 'TranslatedString'],
+        11: ['description_text', 'TranslatedString'],
+        14: ['severity_level', 'enum']
+    },
+    TimeRange: {
+        1: ['start', 'uint64'],
+        2: ['end', 'uint64']
+    },
+    EntitySelector: {
+        1: ['agency_id', 'string'],
+        2: ['route_id', 'string'],
+        3: ['route_type', 'int32'],
+        4: ['trip', 'TripDescriptor'],
+        5: ['stop_id', 'string'],
+        6: ['direction_id', 'uint32']
+    },
+    TranslatedString: {
+        1: ['translation', 'Translation', true]
+    },
+    Translation: {
+        1: ['text', 'string'],
+        2: ['language', 'string']
+    },
+    VehicleDescriptor: {
+        1: ['id', 'string'],
+        2: ['label', 'string'],
+        3: ['license_plate', 'string']
+    }
+};
+
+export const INCREMENTALITY = {
+    FULL_DATASET: 0,
+    DIFFERENTIAL: 1
+};
+
+// TripDescriptor.schedule_relationship
+export const TRIP_SCHEDULE_RELATIONSHIP = {
+    SCHEDULED: 0,
+    ADDED: 1,
+    UNSCHEDULED: 2,
+    CANCELED: 3,
+    REPLACEMENT: 5,
+    DUPLICATED: 6,
+    DELETED: 7
+};
+
+// StopTimeUpdate.schedule_relationship
+export const STOP_SCHEDULE_RELATIONSHIP = {
+    SCHEDULED: 0,
+    SKIPPED: 1,
+    NO_DATA: 2,
+    UNSCHEDULED: 3
+};
+
+// VehiclePosition.current_status
+export const VEHICLE_STOP_STATUS = {
+    INCOMING_AT: 0,
+    STOPPED_AT: 1,
+    IN_TRANSIT_TO: 2
+};
+
+// Alert.effect
+export const ALERT_EFFECT = {
+    NO_SERVICE: 1,
+    REDUCED_SERVICE: 2,
+    SIGNIFICANT_DELAYS: 3,
+    DETOUR: 4,
+    ADDITIONAL_SERVICE: 5,
+    MODIFIED_SERVICE: 6,
+    OTHER_EFFECT: 7,
+    UNKNOWN_EFFECT: 8,
+    STOP_MOVED: 9,
+    NO_EFFECT: 10,
+    ACCESSIBILITY_ISSUE: 11
+};
+
+// Alert.severity_level
+export const ALERT_SEVERITY = {
+    UNKNOWN_SEVERITY: 1,
+    INFO: 2,
+    WARNING: 3,
+    SEVERE: 4
+};
+
+const TWO_POW_32 = 4294967296;
+const textDecoder = new TextDecoder();
+
+/**
+ * Lecteur du format binaire protobuf (varints, longueurs préfixées, fixed32/64)
+ */
+class ProtobufReader {
+    constructor(bytes, start = 0, end = bytes.length) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = start;
+        this.end = end;
+    }
+
+    /**
+     * Varint sur 64 bits, en deux moitiés de 32 bits (un Number perd les
+     * négatifs, codés sur 10 octets)
+     * @returns {{lo: number, hi: number}} entiers non signés
+     */
+    readVarint() {
+        let lo = 0;
+        let hi = 0;
+        let shift = 0;
+        for (let i = 0; i < 10; i++) {
+            if (this.pos >= this.end) throw new Error('Varint tronqué');
+            const byte = this.bytes[this.pos++];
+            if (shift < 28) {
+                lo |= (byte & 0x7f) << shift;
+            } else if (shift === 28) {
+                lo |= (byte & 0x0f) << 28;
+                hi |= (byte & 0x7f) >>> 4;
+            } else {
+                hi |= (byte & 0x7f) << (shift - 32);
+            }
+            shift += 7;
+            if ((byte & 0x80) === 0) {
+                return { lo: lo >>> 0, hi: hi >>> 0 };
+            }
+        }
+        throw new Error('Varint invalide');
+    }
+
+    readLength() {
+        const { lo } = this.readVarint();
+        if (this.pos + lo > this.end) throw new Error('Champ tronqué');
+        return lo;
+    }
+
+    /**
+     * Saute un champ inconnu selon son type de fil
+     */
+    skip(wireType) {
+        switch (wireType) {
+            case 0: this.readVarint(); break;
+            case 1: this.pos += 8; break;
+            case 2: this.pos += this.readLength(); break;
+            case 5: this.pos += 4; break;
+            default: throw new Error(`Type de fil protobuf non géré : ${wireType}`);
+        }
+    }
+}
+
+/**
+ * Valeur d'un champ scalaire
+ */
+function readScalar(reader, type, wireType) {
+    if (type === 'string') {
+        const length = reader.readLength();
+        const value = textDecoder.decode(reader.bytes.subarray(reader.pos, reader.pos + length));
+        reader.pos += length;
+        return value;
+    }
+    if (type === 'float') {
+        const value = reader.view.getFloat32(reader.pos, true);
+        reader.pos += 4;
+        return value;
+    }
+    if (type === 'double') {
+        const value = reader.view.getFloat64(reader.pos, true);
+        reader.pos += 8;
+        return value;
+    }
+    if (wireType !== 0) {
+        throw new Error(`Champ ${type} attendu en varint`);
+    }
+    const { lo, hi } = reader.readVarint();
+    switch (type) {
+        case 'bool':
+            return lo !== 0 || hi !== 0;
+        case 'int32':
+        case 'enum':
+            return lo | 0;
+        case 'int64':
+            // Complément à deux sur 64 bits
+            return hi & 0x80000000
+                ? -((~hi >>> 0) * TWO_POW_32 + (~lo >>> 0) + 1)
+                : hi * TWO_POW_32 + lo;
+        default: // uint32, uint64
+            return hi * TWO_POW_32 + lo;
+    }
+}
+
+function decodeMessage(reader, messageType, end) {
+    const fields = SCHEMA[messageType];
+    const message = {};
+    while (reader.pos < end) {
+        const { lo: key } = reader.readVarint();
+        const fieldNumber = key >>> 3;
+        const wireType = key & 0x07;
+        const field = fields[fieldNumber];
+        if (!field) {
+            reader.skip(wireType);
+            continue;
+        }
+
+        const [name, type, repeated] = field;
+        let value;
+        if (SCHEMA[type]) {
+            const length = reader.readLength();
+            const messageEnd = reader.pos + length;
+            value = decodeMessage(reader, type, messageEnd);
+            reader.pos = messageEnd;
+        } else {
+            value = readScalar(reader, type, wireType);
+        }
+
+        if (repeated) {
+            (message[name] ||= []).push(value);
+        } else {
+            message[name] = value;
+        }
+    }
+    return message;
+}
+
+/**
+ * Décode un FeedMessage GTFS-Realtime
+ * @param {ArrayBuffer|Uint8Array} buffer - Contenu binaire (.pb)
+ * @returns {Object} { header, entity: [...] } (entity vide si le flux n'a aucune entité)
+ * @throws {Error} si le contenu n'est pas un protobuf valide
+ */
+export function decodeFeedMessage(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const reader = new ProtobufReader(bytes);
+    const message = decodeMessage(reader, 'FeedMessage', bytes.length);
+    if (!message.header) {
+        throw new Error('FeedMessage GTFS-Realtime invalide (en-tête absent)');
+    }
+    message.entity ||= [];
+    return message;
+}
+
+/**
+ * Relève périodique d'un flux GTFS-Realtime. Une erreur (réseau, protobuf
+ * invalide) est signalée à onError ; la relève continue au prochain intervalle.
+ */
+export class RealtimePoller {
+    /**
+     * @param {string} url - Adresse du flux (.pb)
+     * @param {number} intervalSeconds
+     * @param {Function} onMessage - (message décodé) => void
+     * @param {Function} onError - (erreur) => void
+     * @param {Function} [decode] - (ArrayBuffer) => FeedMessage, pour un format autre que protobuf
+     */
+    constructor(url, intervalSeconds, onMessage, onError, decode = decodeFeedMessage) {
+        this.url = url;
+        this.intervalSeconds = intervalSeconds;
+        this.onMessage = onMessage;
+        this.onError = onError;
+        this.decode = decode;
+        this.timer = null;
+    }
+
+    start() {
+        this.stop();
+        this.poll();
+        this.timer = setInterval(() => this.poll(), this.intervalSeconds * 1000);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        try {
+            const response = await fetch(this.url, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            this.onMessage(this.decode(await response.arrayBuffer()));
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+}
@@ -0,0 +1,15 @@
+/**
+ * htmlUtils.js
+ * Outils partagés pour construire du HTML à partir des données affichées.
+ *
+ * Les textes des flux (GTFS déposé par l'utilisateur, extrait OSM, alertes
+ * temps réel) ne sont pas fiables : ils sont échappés avant d'aller dans
+ * innerHTML.
+ */
+
+/**
+ * Échappe un texte pour l'insérer dans du HTML (contenu ou attribut)
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
@@ -0,0 +1,137 @@
+/**
+ * isochronePanel.js
+ * * Panneau "Zone accessible" (isochrones)
+ * * Le point de départ est choisi par un clic sur la carte (panneau ouvert)
+ * * ou par géolocalisation. Le calcul est délégué à main.js (computeCallback),
+ * * qui interroge LocalPathfinder.computeIsochrone et dessine le résultat.
+ */
+
+import { getZonedDateTime } from './timeManager.js';
+
+// Couleurs des tranches, de la plus proche à la plus lointaine
+export const ISOCHRONE_BAND_COLORS = ['#16a34a', '#facc15', '#f97316', '#dc2626'];
+
+export class IsochronePanel {
+    constructor(panelId, dataManager, mapRenderer, computeCallback, clearCallback) {
+        this.panel = document.getElementById(panelId);
+        this.dataManager = dataManager;
+        this.mapRenderer = mapRenderer;
+        this.computeCallback = computeCallback; // (coords, options) => main.js
+        this.clearCallback = clearCallback;
+
+        this.origin = null; // Dernier point de départ choisi
+
+        this.dateInput = document.getElementById('isochrone-date');
+        this.timeInput = document.getElementById('isochrone-time');
+        this.budgetSelect = document.getElementById('isochrone-budget');
+        this.locateButton = document.getElementById('btn-isochrone-locate');
+        this.clearButton = document.getElementById('btn-isochrone-clear');
+        this.summaryContainer = document.getElementById('isochrone-summary');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        // Clic sur la carte : nouveau point de départ (uniquement panneau ouvert)
+        this.mapRenderer.map.on('click', (e) => {
+            if (!this.isOpen()) return;
+            this.setOrigin({ lat: e.latlng.lat, lon: e.latlng.lng });
+        });
+
+        this.locateButton.addEventListener('click', () => {
+            this.mapRenderer.map.locate({ setView: false, maxZoom: 16 })
+                .once('locationfound', (e) => this.setOrigin({ lat: e.latlng.lat, lon: e.latlng.lng }))
+                .once('locationerror', () => alert("Impossible de vous localiser."));
+        });
+
+        this.clearButton.addEventListener('click', () => {
+            this.origin = null;
+            this.summaryContainer.innerHTML = '';
+            this.clearCallback();
+        });
+
+        // Recalcul quand les paramètres changent
+        [this.dateInput, this.timeInput, this.budgetSelect].forEach(input => {
+            input.addEventListener('change', () => {
+                if (this.origin) this.setOrigin(this.origin);
+            });
+        });
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * Remet la date et l'heure à "maintenant" et borne la date à la période des horaires
+     */
+    resetDateTime() {
+        const range = this.dataManager.getCalendarRange();
+        if (range) {
+            this.dateInput.min = this.formatDateInputValue(this.dataManager.parseDateKey(range.startDate));
+            this.dateInput.max = this.formatDateInputValue(this.dataManager.parseDateKey(range.endDate));
+        }
+        if (this.dateInput.value && this.timeInput.value) return;
+
+        const now = getZonedDateTime(new Date(), this.dataManager.timezone); // Heure du réseau
+        this.dateInput.value = this.formatDateInputValue(now);
+        this.timeInput.value = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /** Date -> "YYYY-MM-DD" (valeur d'un <input type="date">) */
+    formatDateInputValue(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    setOrigin(coords) {
+        this.origin = coords;
+        this.summaryContainer.innerHTML = `<p class="isochrone-loading">Calcul de la zone accessible...</p>`;
+        this.computeCallback(coords, {
+            date: this.dateInput.value || null,
+            time: this.timeInput.value || null,
+            budgetMinutes: parseInt(this.budgetSelect.value, 10)
+        });
+    }
+
+    /**
+     * Limites des tranches (secondes) : 3 tranches égales, 4 tranches d'un quart d'heure à partir d'1 h
+     */
+    getBandLimits(budgetSeconds) {
+        const bandCount = budgetSeconds >= 3600 ? 4 : 3;
+        return Array.from({ length: bandCount }, (_, index) => Math.round(budgetSeconds * (index + 1) / bandCount));
+    }
+
+    showError(message) {
+        this.summaryContainer.innerHTML = `<p style="color: red;">${message}</p>`;
+    }
+
+    /**
+     * Légende des tranches et nombre d'arrêts atteints
+     * @param {Object} isochrone - Résultat de LocalPathfinder.computeIsochrone
+     * @param {number[]} bandLimits - Limites des tranches (secondes)
+     */
+    displaySummary(isochrone, bandLimits) {
+        const stops = isochrone.reached.filter(point => point.stopId);
+        const masterCount = new Set(stops.map(point => {
+            const stop = this.dataManager.getStop(point.stopId);
+            return stop.parent_station || stop.stop_id;
+        })).size;
+
+        const legend = bandLimits.map((limit, index) => {
+            const from = index === 0 ? 0 : Math.round(bandLimits[index - 1] / 60);
+            return `
+                <li>
+                    <span class="isochrone-swatch" style="background: ${ISOCHRONE_BAND_COLORS[index]};"></span>
+                    ${from} – ${Math.round(limit / 60)} min
+                </li>
+            `;
+        }).join('');
+
+        this.summaryContainer.innerHTML = `
+            <p><strong>${masterCount}</strong> arrêts atteints en moins de ${Math.round(isochrone.budgetSeconds / 60)} min
+            (départ ${this.dataManager.formatTime(isochrone.departureSeconds).substring(0, 5)}).</p>
+            <ul class="isochrone-legend">${legend}</ul>
+            <p class="isochrone-hint">Marche comprise (${isochrone.maxWalkDistance} m au plus autour de chaque arrêt).</p>
+        `;
+    }
+}
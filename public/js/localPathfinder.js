@@ -0,0 +1,1217 @@
+/**
+ * localPathfinder.js
+ * Calcul d'itinéraire 100% LOCAL (algorithme RAPTOR)
+ *
+ * RAPTOR (Round-bAsed Public Transit Optimized Router) :
+ * - Round 0 : marche depuis le point de départ vers les quais proches
+ * - Round k : on autorise au plus k bus. Chaque round ne parcourt que les
+ *   "motifs" (séquences d'arrêts identiques) qui desservent un quai
+ *   amélioré au round précédent.
+ * - Après chaque round : correspondances à pied du graphe construit par
+ *   DataManager.buildTransferGraph (transfers.txt ou cheminements générés),
+ *   correspondances interdites et temps minimum de correspondance respectés.
+ *
+ * Alternatives (Pareto) :
+ * - chaque round donne naturellement le meilleur trajet avec k bus
+ *   (compromis arrivée / correspondances)
+ * - on relance la recherche avec des rayons d'accès réduits pour trouver
+ *   des trajets avec moins de marche
+ * - on ne garde que les trajets non dominés (arrivée, correspondances, marche)
+ *
+ * Mode "arriver avant" (options.arriveBy) :
+ * - même algorithme sur des motifs inversés (séquence d'arrêts à l'envers,
+ *   heures négatées) : "arriver le plus tôt" en temps négatif revient à
+ *   "partir le plus tard" en temps réel
+ * - la recherche part de la destination, puis les étapes sont remises à l'endroit
+ *
+ * Recherche par plage horaire (findItineraryRange, "rRAPTOR") :
+ * - on relance RAPTOR pour chaque heure de départ possible de la fenêtre,
+ *   de la plus tardive à la plus matinale, en conservant les labels :
+ *   seuls les trajets qui améliorent l'arrivée sont découverts
+ * - on garde les trajets non dominés en (départ plus tard, arrivée plus tôt)
+ *
+ * Marche sur le réseau piéton (si DataManager.streetRouter est chargé) :
+ * - temps d'accès / de sortie calculés par les rues (Dijkstra borné)
+ * - chaque étape WALK retenue reçoit son tracé (`geometry`) et ses
+ *   instructions pas à pas (`instructions`)
+ *
+ * Mode accessible (options.wheelchair) :
+ * - seuls les quais déclarés accessibles (wheelchair_boarding = 1, hérité du
+ *   parent) servent à monter, descendre ou changer
+ * - seuls les trips déclarés accessibles (wheelchair_accessible = 1) sont
+ *   empruntés, comme pour le filtre "Accessibles" de la carte ; l'étape BUS
+ *   porte `wheelchairAccessible` pour l'afficher
+ *
+ * Correspondances sans descendre (block_id) :
+ * - quand le trip emprunté arrive au terminus et que le même véhicule
+ *   repart en tant que trip suivant de son block (même arrêt), la
+ *   recherche continue à bord, dans le même round : ce n'est pas une
+ *   correspondance. L'étape BUS qui suit porte `inSeat: true`.
+ *
+ * Trips après minuit (horaires GTFS au-delà de 24:00:00) :
+ * - un trip qui roule encore après minuit est aussi indexé décalé d'un jour
+ *   (`dayOffset: -1`, heures moins 86400) : il est utilisable le lendemain
+ *   matin s'il circule la veille de la date recherchée
+ *
+ * Temps réel (DataManager.tripUpdates, GTFS-Realtime TripUpdates) :
+ * - pour le jour recherché, les trips annoncés roulent à leurs heures prévues
+ *   (applyTripUpdates) ; un arrêt non desservi n'autorise ni montée ni descente
+ * - les trips supprimés sont exclus ; un autre jour garde l'horaire théorique
+ * - l'étape BUS porte `realtime` et `delay` (retard prévu à la montée)
+ *
+ * Perturbations (DataManager.serviceAlerts) :
+ * - les arrêts, lignes et trips fermés (NO_SERVICE) à l'heure recherchée
+ *   sont évités : ni montée ni descente, trips exclus
+ * - l'étape BUS porte `alerts`, les alertes actives sur sa ligne, son trip
+ *   ou ses arrêts pendant le trajet (voir ServiceAlerts.getLegAlerts)
+ *
+ * Isochrone (computeIsochrone) :
+ * - une recherche RAPTOR depuis un point, sans destination
+ * - pour chaque quai atteint dans le budget, le temps restant donne un
+ *   rayon de marche (plafonné) : zone atteignable = union de ces cercles
+ *
+ * Dates et heures : heure murale du réseau (TimeManager), converties en
+ * secondes GTFS dans le fuseau agency_timezone (getServiceSeconds).
+ *
+ * Réponse : { status, itineraries, path, stats } (format lu par PlannerPanel.displayItinerary)
+ * `path` / `stats` reprennent le premier itinéraire (le plus rapide).
+ * Statuts : OK, NO_SERVICE, NO_START_STOPS, NO_END_STOPS, NO_ROUTE
+ */
+
+import { ACCESSIBILITY } from './dataManager.js';
+import { getServiceSeconds, getServiceDayStart } from './timeManager.js';
+import { summarizeAlert } from './serviceAlerts.js';
+
+const MAX_ACCESS_DISTANCE = 800;        // m, rayon de recherche des arrêts de départ/arrivée
+const MAX_DIRECT_WALK_DISTANCE = 2000;  // m, au-delà on ne propose pas le "tout à pied"
+const MAX_ROUNDS = 5;                   // nombre max de bus (donc 4 correspondances)
+const ACCESS_RADII = [MAX_ACCESS_DISTANCE, 400, 150]; // m, une recherche par rayon (alternatives "moins de marche")
+const WALK_TOLERANCE = 100;             // m, écart de marche en dessous duquel deux trajets sont équivalents
+const MAX_EXTRA_ARRIVAL = 3600;         // s, une alternative ne peut pas arriver plus d'1 h après la plus rapide
+const MAX_EXTRA_DURATION = 1800;        // s, ni durer plus de 30 min de plus que la plus courte (attente en route)
+const MAX_ALTERNATIVES = 4;
+const DEFAULT_RANGE_LIMIT = 5;          // nb de départs listés par findItineraryRange
+const MAX_ISOCHRONE_WALK = 800;         // m, marche maximale autour d'un quai atteint (isochrone)
+const MAX_IN_SEAT_TRIPS = 3;            // nb max de trips enchaînés à bord d'un même véhicule
+const SECONDS_PER_DAY = 86400;
+
+export class LocalPathfinder {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+
+        // Construits à la première recherche (voir buildPatterns)
+        this.patterns = null;
+        this.patternsByStop = null;
+        this.tripPatterns = null;          // clé de trip (voir tripKey) -> { pattern, trip } (correspondances à bord)
+
+        // Construits à la première recherche "arriver avant" (voir buildReversePatterns)
+        this.reversePatternsByStop = null;
+        this.reverseTripPatterns = null;
+
+        // Prévisions temps réel appliquées aux motifs (voir applyTripUpdates)
+        this.tripUpdatesKey = null;
+        this.realtimeTrips = [];
+    }
+
+    /**
+     * Regroupe les trips en "motifs" : tous les trips d'un motif desservent
+     * exactement la même séquence de quais. Les trips d'un motif sont triés
+     * par heure de départ (hypothèse FIFO : pas de dépassement).
+     * Les trips qui finissent après minuit y figurent une seconde fois, décalés
+     * d'un jour (`dayOffset: -1`), pour les recherches du lendemain.
+     */
+    buildPatterns() {
+        const dm = this.dataManager;
+        const patternsByKey = new Map();
+
+        dm.trips.forEach(trip => {
+            const stopTimes = dm.stopTimesByTrip[trip.trip_id];
+            if (!stopTimes || stopTimes.length < 2) return;
+
+            const stopIds = stopTimes.map(st => st.stop_id);
+            const key = `${trip.route_id}|${stopIds.join('|')}`;
+            if (!patternsByKey.has(key)) {
+                patternsByKey.set(key, {
+                    id: patternsByKey.size,
+                    routeId: trip.route_id,
+                    stopIds: stopIds,
+                    trips: []
+                });
+            }
+
+            const entry = {
+                tripId: trip.trip_id,
+                trip: trip,
+                dayOffset: 0,
+                arrivals: stopTimes.map(st => dm.timeToSeconds(st.arrival_time || st.departure_time)),
+                departures: stopTimes.map(st => dm.timeToSeconds(st.departure_time || st.arrival_time)),
+                canBoard: stopTimes.map(st => st.pickup_type !== '1'),
+                canAlight: stopTimes.map(st => st.drop_off_type !== '1')
+            };
+            patternsByKey.get(key).trips.push(entry);
+
+            // Service de la veille encore en route après minuit
+            if (entry.arrivals[entry.arrivals.length - 1] > SECONDS_PER_DAY) {
+                patternsByKey.get(key).trips.push({
+                    ...entry,
+                    dayOffset: -1,
+                    arrivals: entry.arrivals.map(t => t - SECONDS_PER_DAY),
+                    departures: entry.departures.map(t => t - SECONDS_PER_DAY)
+                });
+            }
+        });
+
+        this.patterns = Array.from(patternsByKey.values());
+        this.patternsByStop = {};
+        this.tripPatterns = new Map();
+
+        this.patterns.forEach(pattern => {
+            pattern.trips.sort((a, b) => a.departures[0] - b.departures[0]);
+            pattern.trips.forEach(trip => this.tripPatterns.set(this.tripKey(trip.tripId, trip.dayOffset), { pattern, trip }));
+            pattern.stopIds.forEach((stopId, index) => {
+                if (!this.patternsByStop[stopId]) {
+                    this.patternsByStop[stopId] = [];
+                }
+                this.patternsByStop[stopId].push({ pattern, index });
+            });
+        });
+
+        console.log(`🧭 LocalPathfinder: ${this.patterns.length} motifs de desserte construits.`);
+    }
+
+    /**
+     * Construit les motifs inversés pour la recherche "arriver avant" :
+     * quais dans l'ordre inverse, heures négatées, montée/descente échangées.
+     * Les trips restent triés par départ (négatif) croissant.
+     */
+    buildReversePatterns() {
+        this.reversePatternsByStop = {};
+        this.reverseTripPatterns = new Map();
+
+        this.patterns.forEach(pattern => {
+            const reversed = {
+                id: pattern.id,
+                routeId: pattern.routeId,
+                reversed: true,
+                stopIds: pattern.stopIds.slice().reverse(),
+                trips: pattern.trips.map(trip => ({
+                    tripId: trip.tripId,
+                    trip: trip.trip,
+                    dayOffset: trip.dayOffset,
+                    arrivals: trip.departures.map(t => -t).reverse(),
+                    departures: trip.arrivals.map(t => -t).reverse(),
+                    canBoard: trip.canAlight.slice().reverse(),
+                    canAlight: trip.canBoard.slice().reverse(),
+                    realtime: trip.realtime,
+                    delays: trip.delays?.slice().reverse()
+                }))
+            };
+            reversed.trips.sort((a, b) => a.departures[0] - b.departures[0]);
+            reversed.trips.forEach(trip => this.reverseTripPatterns.set(this.tripKey(trip.tripId, trip.dayOffset), { pattern: reversed, trip }));
+
+            reversed.stopIds.forEach((stopId, index) => {
+                if (!this.reversePatternsByStop[stopId]) {
+                    this.reversePatternsByStop[stopId] = [];
+                }
+                this.reversePatternsByStop[stopId].push({ pattern: reversed, index });
+            });
+        });
+    }
+
+    /**
+     * Clé d'un trip dans tripPatterns : le trip de la veille décalé a sa propre entrée
+     */
+    tripKey(tripId, dayOffset = 0) {
+        return dayOffset ? `${tripId}@${dayOffset}` : tripId;
+    }
+
+    /**
+     * Calcule les itinéraires non dominés entre deux points
+     * @param {{lat: number, lon: number}} startCoords
+     * @param {{lat: number, lon: number}} endCoords
+     * @param {Date} date - Date et heure de départ souhaitées (ou d'arrivée si arriveBy)
+     * @param {{arriveBy?: boolean, wheelchair?: boolean}} [options]
+     */
+    findItinerary(startCoords, endCoords, date, options = {}) {
+        const arriveBy = options.arriveBy === true;
+        const prepared = this.prepareSearch(startCoords, endCoords, date, options);
+        if (prepared.status !== 'OK') {
+            return prepared;
+        }
+        if (arriveBy && !this.reversePatternsByStop) {
+            this.buildReversePatterns();
+        }
+
+        const { accessStops, egressStops, isTripActive, isStopUsable } = prepared;
+        const timeSeconds = getServiceSeconds(date, this.dataManager.timezone);
+
+        // En "arriver avant", on cherche depuis la destination, en temps négatif
+        const search = arriveBy
+            ? { fromCoords: endCoords, toCoords: startCoords, fromStops: egressStops, toStops: accessStops,
+                startSeconds: -timeSeconds, patternsByStop: this.reversePatternsByStop }
+            : { fromCoords: startCoords, toCoords: endCoords, fromStops: accessStops, toStops: egressStops,
+                startSeconds: timeSeconds, patternsByStop: this.patternsByStop };
+
+        // 1. Une recherche RAPTOR par rayon d'accès, un candidat par round
+        const candidates = [];
+        ACCESS_RADII.forEach(radius => {
+            const access = search.fromStops.filter(a => a.distance <= radius);
+            const egress = search.toStops.filter(e => e.distance <= radius);
+            if (access.length === 0 || egress.length === 0) return;
+
+            const rounds = this.runRaptor(access, search.startSeconds, isTripActive, {
+                patternsByStop: search.patternsByStop,
+                reverse: arriveBy,
+                isStopUsable
+            });
+            this.findArrivalsByRound(rounds, egress).forEach(best => {
+                candidates.push(this.reconstructPath(rounds, best, search.fromCoords, search.toCoords));
+            });
+        });
+
+        // 2. Le "tout à pied" est un candidat comme un autre sur les petites distances
+        const directDistance = this.getWalkingDistance(startCoords, endCoords, MAX_DIRECT_WALK_DISTANCE);
+        if (directDistance <= MAX_DIRECT_WALK_DISTANCE) {
+            candidates.push([this.createWalkLeg({
+                fromCoords: search.fromCoords,
+                toCoords: search.toCoords,
+                distance: directDistance,
+                startTime: search.startSeconds
+            })]);
+        }
+
+        // 3. Front de Pareto (en "arriver avant" : le départ le plus tard d'abord)
+        let itineraries = this.selectParetoItineraries(candidates, arriveBy ? 'LATEST_DEPARTURE' : 'FASTEST');
+        if (itineraries.length === 0) {
+            return { status: 'NO_ROUTE' };
+        }
+        if (arriveBy) {
+            itineraries = itineraries.map(({ path, tags }) => {
+                const forwardPath = this.reversePath(path);
+                return { path: forwardPath, stats: this.computeStats(forwardPath), tags };
+            });
+        }
+        itineraries.forEach(itinerary => {
+            this.attachWalkingDirections(itinerary.path);
+            this.attachAlerts(itinerary.path, date);
+        });
+
+        return {
+            status: 'OK',
+            itineraries: itineraries,
+            path: itineraries[0].path,
+            stats: itineraries[0].stats
+        };
+    }
+
+    /**
+     * Liste les trajets optimaux qui partent dans une fenêtre horaire
+     * ("les 5 prochaines façons d'y aller entre 07:00 et 09:00")
+     * @param {Date} windowStart - Début de la fenêtre (date du trajet)
+     * @param {Date} windowEnd - Fin de la fenêtre (même jour de service)
+     * @param {number} [limit] - Nombre maximum de trajets retournés
+     * @param {{wheelchair?: boolean}} [options]
+     */
+    findItineraryRange(startCoords, endCoords, windowStart, windowEnd, limit = DEFAULT_RANGE_LIMIT, options = {}) {
+        const prepared = this.prepareSearch(startCoords, endCoords, windowStart, options);
+        if (prepared.status !== 'OK') {
+            return prepared;
+        }
+
+        const { accessStops, egressStops, isTripActive, isStopUsable } = prepared;
+        const startSeconds = getServiceSeconds(windowStart, this.dataManager.timezone);
+        const endSeconds = getServiceSeconds(windowEnd, this.dataManager.timezone);
+
+        // 1. Heures de départ candidates : chaque bus au départ d'un quai d'accès,
+        // moins le temps de marche pour l'atteindre
+        const departureTimes = new Set();
+        accessStops.forEach(access => {
+            (this.patternsByStop[access.stopId] || []).forEach(({ pattern, index }) => {
+                pattern.trips.forEach(trip => {
+                    if (!trip.canBoard[index] || !isTripActive(trip.trip, trip.dayOffset)) return;
+                    const departure = trip.departures[index] - access.duration;
+                    if (departure >= startSeconds && departure <= endSeconds) {
+                        departureTimes.add(departure);
+                    }
+                });
+            });
+        });
+
+        // 2. rRAPTOR : de la plus tardive à la plus matinale, labels conservés
+        const state = { rounds: [], bestArrival: new Map() };
+        const bestByRound = [];
+        const candidates = [];
+
+        Array.from(departureTimes).sort((a, b) => b - a).forEach(departureSeconds => {
+            this.runRaptor(accessStops, departureSeconds, isTripActive, { state, isStopUsable });
+
+            for (let k = 1; k < state.rounds.length; k++) {
+                let best = null;
+                egressStops.forEach(egress => {
+                    const label = state.rounds[k].get(egress.stopId);
+                    if (!label) return;
+                    const arrival = label.arrival + egress.duration;
+                    if (!best || arrival < best.arrival) {
+                        best = { round: k, stopId: egress.stopId, arrival, egress };
+                    }
+                });
+                if (best && best.arrival < (bestByRound[k] ?? Infinity)) {
+                    bestByRound[k] = best.arrival;
+                    candidates.push(this.reconstructPath(state.rounds, best, startCoords, endCoords));
+                }
+            }
+        });
+
+        // 3. Trajets non dominés (départ plus tard ET arrivée plus tôt), par ordre de départ
+        const itineraries = this.selectRangeItineraries(candidates, startSeconds, endSeconds).slice(0, limit);
+        if (itineraries.length === 0) {
+            return { status: 'NO_ROUTE' };
+        }
+        itineraries.forEach(itinerary => {
+            this.attachWalkingDirections(itinerary.path);
+            this.attachAlerts(itinerary.path, windowStart);
+        });
+
+        return {
+            status: 'OK',
+            itineraries: itineraries,
+            path: itineraries[0].path,
+            stats: itineraries[0].stats
+        };
+    }
+
+    /**
+     * Préparation commune aux recherches : motifs, service du jour, quais d'accès
+     * @param {{wheelchair?: boolean}} [options]
+     */
+    prepareSearch(startCoords, endCoords, date, options = {}) {
+        const service = this.prepareService(date, options);
+        if (service.status !== 'OK') {
+            return service;
+        }
+        const { isTripActive, isStopUsable } = service;
+
+        const accessStops = this.findAccessStops(startCoords).filter(access => isStopUsable(access.stopId));
+        if (accessStops.length === 0) {
+            return { status: 'NO_START_STOPS' };
+        }
+        const egressStops = this.findAccessStops(endCoords).filter(egress => isStopUsable(egress.stopId));
+        if (egressStops.length === 0) {
+            return { status: 'NO_END_STOPS' };
+        }
+
+        return {
+            status: 'OK',
+            accessStops,
+            egressStops,
+            isTripActive,
+            isStopUsable
+        };
+    }
+
+    /**
+     * Motifs, service du jour et filtres (trips actifs, quais utilisables).
+     * `isTripActive(trip, dayOffset)` : dayOffset -1 teste le service de la veille.
+     * Les fermetures (ServiceAlerts.getClosures) sont celles de l'heure recherchée.
+     * @param {{wheelchair?: boolean}} [options]
+     */
+    prepareService(date, options = {}) {
+        const dm = this.dataManager;
+        if (!this.patterns) {
+            this.buildPatterns();
+        }
+
+        const [today, previousDay] = dm.getServiceDays(date);
+        if (today.serviceIds.size === 0 && previousDay.serviceIds.size === 0) {
+            return { status: 'NO_SERVICE' };
+        }
+        this.applyTripUpdates(today, previousDay);
+        const canceledToday = dm.tripUpdates.getCanceledTripIds(today.date);
+        const canceledPreviousDay = dm.tripUpdates.getCanceledTripIds(previousDay.date);
+        const closures = dm.serviceAlerts.getClosures(
+            getServiceDayStart(date, dm.timezone) + getServiceSeconds(date, dm.timezone));
+        const isClosed = (trip) => closures.tripIds.has(trip.trip_id) || closures.routeIds.has(trip.route_id);
+        const isRunning = (trip, dayOffset = 0) => !isClosed(trip) && (dayOffset === 0
+            ? today.serviceIds.has(trip.service_id) && !canceledToday.has(trip.trip_id)
+            : previousDay.serviceIds.has(trip.service_id) && !canceledPreviousDay.has(trip.trip_id));
+
+        // Mode accessible : quais et trips déclarés accessibles uniquement
+        let isStopUsable = (stopId) => !closures.stopIds.has(stopId);
+        let isTripActive = isRunning;
+        if (options.wheelchair === true) {
+            const accessibleStops = new Set(Object.keys(this.patternsByStop)
+                .filter(stopId => dm.getStopAccessibility(stopId) === ACCESSIBILITY.ACCESSIBLE &&
+                    !closures.stopIds.has(stopId)));
+            isStopUsable = (stopId) => accessibleStops.has(stopId);
+            isTripActive = (trip, dayOffset = 0) => isRunning(trip, dayOffset) &&
+                dm.getTripAccessibility(trip) === ACCESSIBILITY.ACCESSIBLE;
+        }
+
+        return { status: 'OK', isTripActive, isStopUsable };
+    }
+
+    /**
+     * Heures prévues (TripUpdates) des trips du jour recherché et de la veille
+     * (entrées décalées d'un jour) : les tableaux du motif sont remplacés, l'horaire
+     * théorique est gardé dans `scheduled` et rétabli à la recherche suivante.
+     * Les motifs touchés sont retriés ; les motifs inversés seront reconstruits.
+     */
+    applyTripUpdates(today, previousDay) {
+        const dm = this.dataManager;
+        const key = `${dm.tripUpdates.version}|${dm.formatDateKey(today.date)}`;
+        if (key === this.tripUpdatesKey) return;
+        this.tripUpdatesKey = key;
+
+        const touchedPatterns = new Set();
+        this.realtimeTrips.forEach(({ pattern, trip }) => {
+            Object.assign(trip, trip.scheduled);
+            delete trip.scheduled;
+            touchedPatterns.add(pattern);
+        });
+        this.realtimeTrips = [];
+
+        [[today, 0], [previousDay, -1]].forEach(([day, dayOffset]) => {
+            dm.tripUpdates.getUpdatedTripIds(day.date).forEach(tripId => {
+                const entry = this.tripPatterns.get(this.tripKey(tripId, dayOffset));
+                if (!entry) return;
+                const { pattern, trip } = entry;
+                const { stopTimes } = dm.tripUpdates.get(tripId, day.date);
+                const shift = dayOffset * SECONDS_PER_DAY;
+
+                trip.scheduled = {
+                    arrivals: trip.arrivals,
+                    departures: trip.departures,
+                    canBoard: trip.canBoard,
+                    canAlight: trip.canAlight,
+                    realtime: false,
+                    delays: null
+                };
+                trip.arrivals = stopTimes.map(st => dm.timeToSeconds(st.arrival_time) + shift);
+                trip.departures = stopTimes.map(st => dm.timeToSeconds(st.departure_time) + shift);
+                trip.canBoard = trip.canBoard.map((allowed, i) => allowed && !stopTimes[i].skipped);
+                trip.canAlight = trip.canAlight.map((allowed, i) => allowed && !stopTimes[i].skipped);
+                trip.realtime = true;
+                trip.delays = trip.departures.map((departure, i) => departure - trip.scheduled.departures[i]);
+                this.realtimeTrips.push(entry);
+                touchedPatterns.add(pattern);
+            });
+        });
+
+        touchedPatterns.forEach(pattern => pattern.trips.sort((a, b) => a.departures[0] - b.departures[0]));
+        if (touchedPatterns.size > 0) {
+            this.reversePatternsByStop = null;
+            this.reverseTripPatterns = null;
+        }
+    }
+
+    /**
+     * Zones atteignables depuis un point en un temps donné (marche + bus)
+     * @param {{lat: number, lon: number}} originCoords
+     * @param {Date} date - Date et heure de départ
+     * @param {number} budgetSeconds - Temps de trajet maximum
+     * @param {{wheelchair?: boolean}} [options]
+     * @returns {Object} { status, origin, departureSeconds, budgetSeconds, walkingSpeed, maxWalkDistance, reached }
+     * `reached` : [{ stopId, coords, travelTime, radius }], l'origine (stopId null)
+     * puis les quais atteints, avec le rayon de marche permis par le temps restant.
+     */
+    computeIsochrone(originCoords, date, budgetSeconds, options = {}) {
+        const dm = this.dataManager;
+        const service = this.prepareService(date, options);
+        if (service.status !== 'OK') {
+            return service;
+        }
+        const { isTripActive, isStopUsable } = service;
+
+        const departureSeconds = getServiceSeconds(date, dm.timezone);
+        const walkRadius = (remaining) => Math.min(MAX_ISOCHRONE_WALK, remaining * dm.walkingSpeed);
+        const reached = [{ stopId: null, coords: originCoords, travelTime: 0, radius: walkRadius(budgetSeconds) }];
+
+        const accessStops = this.findAccessStops(originCoords)
+            .filter(access => isStopUsable(access.stopId) && access.duration <= budgetSeconds);
+        if (accessStops.length > 0) {
+            const rounds = this.runRaptor(accessStops, departureSeconds, isTripActive, { isStopUsable });
+
+            // Meilleure arrivée par quai, tous rounds confondus
+            const bestArrival = new Map();
+            rounds.forEach(round => round.forEach((label, stopId) => {
+                if (label.arrival < (bestArrival.get(stopId) ?? Infinity)) {
+                    bestArrival.set(stopId, label.arrival);
+                }
+            }));
+
+            bestArrival.forEach((arrival, stopId) => {
+                const travelTime = arrival - departureSeconds;
+                if (travelTime > budgetSeconds) return;
+                const stop = dm.getStop(stopId);
+                reached.push({
+                    stopId,
+                    coords: { lat: parseFloat(stop.stop_lat), lon: parseFloat(stop.stop_lon) },
+                    travelTime,
+                    radius: walkRadius(budgetSeconds - travelTime)
+                });
+            });
+        }
+
+        return {
+            status: 'OK',
+            origin: originCoords,
+            departureSeconds,
+            budgetSeconds,
+            walkingSpeed: dm.walkingSpeed,
+            maxWalkDistance: MAX_ISOCHRONE_WALK,
+            reached
+        };
+    }
+
+    /**
+     * Quais accessibles à pied autour d'un point (et desservis par au moins un motif).
+     * Avec le réseau piéton, la distance est celle du trajet par les rues.
+     */
+    findAccessStops(coords) {
+        const dm = this.dataManager;
+        const accessStops = [];
+        const tree = dm.streetRouter ? dm.streetRouter.shortestPaths(coords, MAX_ACCESS_DISTANCE) : null;
+
+        dm.findStopsWithinRadius(coords, MAX_ACCESS_DISTANCE).forEach(({ stop }) => {
+            const quayIds = dm.groupedStopMap[stop.stop_id] || [stop.stop_id];
+            quayIds.forEach(quayId => {
+                if (!this.patternsByStop[quayId]) return;
+                const quay = dm.getStop(quayId);
+                if (!quay) return;
+                const distance = tree
+                    ? dm.streetRouter.distanceFromTree(tree, { lat: quay.stop_lat, lon: quay.stop_lon })
+                    : dm.calculateDistance(coords.lat, coords.lon, quay.stop_lat, quay.stop_lon);
+                if (distance === null || distance > MAX_ACCESS_DISTANCE) return;
+                accessStops.push({
+                    stopId: quayId,
+                    distance: distance,
+                    duration: Math.round(distance / dm.walkingSpeed)
+                });
+            });
+        });
+
+        return accessStops;
+    }
+
+    /**
+     * Cœur de l'algorithme RAPTOR.
+     * Retourne rounds[k] : Map stopId -> label (meilleure arrivée avec k bus)
+     * @param {Object} [options]
+     * @param {Object} [options.patternsByStop] - Motifs à parcourir (inversés en "arriver avant")
+     * @param {boolean} [options.reverse] - Recherche inversée : les correspondances
+     * sont lues dans l'autre sens
+     * @param {{rounds: Array, bestArrival: Map}} [options.state] - Labels d'une recherche
+     * précédente à prolonger (recherche par plage horaire)
+     * @param {Function} [options.isStopUsable] - Quais où l'on peut monter, descendre
+     * ou changer (mode accessible)
+     */
+    runRaptor(accessStops, departureSeconds, isTripActive, options = {}) {
+        const {
+            patternsByStop = this.patternsByStop,
+            reverse = false,
+            state = null,
+            isStopUsable = () => true
+        } = options;
+        const bestArrival = state ? state.bestArrival : new Map();
+        const rounds = state ? state.rounds : [];
+
+        // Round 0 : marche d'accès
+        const round0 = rounds[0] || new Map();
+        let marked = new Set();
+        accessStops.forEach(access => {
+            const arrival = departureSeconds + access.duration;
+            if (arrival < (bestArrival.get(access.stopId) ?? Infinity)) {
+                round0.set(access.stopId, { type: 'ACCESS', arrival, access });
+                bestArrival.set(access.stopId, arrival);
+                marked.add(access.stopId);
+            }
+        });
+        rounds[0] = round0;
+
+        for (let k = 1; k <= MAX_ROUNDS && marked.size > 0; k++) {
+            const current = rounds[k] || new Map();
+            const reachedByBus = new Set();
+
+            // 1. Motifs à parcourir (depuis le premier quai marqué de chaque motif)
+            const queue = new Map();
+            marked.forEach(stopId => {
+                (patternsByStop[stopId] || []).forEach(({ pattern, index }) => {
+                    if (!queue.has(pattern) || index < queue.get(pattern)) {
+                        queue.set(pattern, index);
+                    }
+                });
+            });
+
+            // 2. Parcours de chaque motif
+            queue.forEach((startIndex, pattern) => {
+                let currentTrip = null;
+                let boardIndex = -1;
+
+                for (let i = startIndex; i < pattern.stopIds.length; i++) {
+                    const stopId = pattern.stopIds[i];
+
+                    // Descente : améliore-t-on l'arrivée à ce quai ?
+                    if (currentTrip && currentTrip.canAlight[i] && isStopUsable(stopId)) {
+                        const arrival = currentTrip.arrivals[i];
+                        if (arrival < (bestArrival.get(stopId) ?? Infinity)) {
+                            current.set(stopId, {
+                                type: 'BUS',
+                                arrival,
+                                pattern,
+                                trip: currentTrip,
+                                boardIndex,
+                                alightIndex: i,
+                                boardStopId: pattern.stopIds[boardIndex],
+                                routeId: pattern.routeId
+                            });
+                            bestArrival.set(stopId, arrival);
+                            reachedByBus.add(stopId);
+                        }
+                    }
+
+                    // Montée : peut-on attraper un trip plus tôt à ce quai ? (pas au
+                    // terminus du motif : on n'y ferait aucun arrêt)
+                    if (i === pattern.stopIds.length - 1) continue;
+                    const previous = this.getLabel(rounds, k - 1, stopId);
+                    if (!previous || !isStopUsable(stopId)) continue;
+                    if (this.isBoardingForbidden(previous, stopId, pattern.routeId, reverse)) continue;
+                    const readyTime = previous.arrival + this.getSameStopChangeTime(previous, stopId);
+                    if (!currentTrip || readyTime <= currentTrip.departures[i]) {
+                        const trip = this.findEarliestTrip(pattern, i, readyTime, isTripActive);
+                        if (trip && (!currentTrip || trip.departures[i] < currentTrip.departures[i])) {
+                            currentTrip = trip;
+                            boardIndex = i;
+                        }
+                    }
+                }
+
+                // 2b. Le véhicule continue sous un autre trip : on reste à bord
+                // (seulement après avoir roulé au moins jusqu'à un arrêt du trip emprunté)
+                if (currentTrip && boardIndex < pattern.stopIds.length - 1) {
+                    let ride = {
+                        pattern,
+                        trip: currentTrip,
+                        boardIndex,
+                        alightIndex: pattern.stopIds.length - 1,
+                        boardStopId: pattern.stopIds[boardIndex],
+                        routeId: pattern.routeId,
+                        continuedFrom: null
+                    };
+                    for (let n = 0; n < MAX_IN_SEAT_TRIPS; n++) {
+                        const next = this.findInSeatContinuation(ride, isTripActive, reverse);
+                        if (!next) break;
+
+                        const { pattern: nextPattern, trip: nextTrip } = next;
+                        for (let i = 1; i < nextPattern.stopIds.length; i++) {
+                            const stopId = nextPattern.stopIds[i];
+                            if (!nextTrip.canAlight[i] || !isStopUsable(stopId)) continue;
+                            const arrival = nextTrip.arrivals[i];
+                            if (arrival < (bestArrival.get(stopId) ?? Infinity)) {
+                                current.set(stopId, {
+                                    type: 'BUS',
+                                    arrival,
+                                    pattern: nextPattern,
+                                    trip: nextTrip,
+                                    boardIndex: 0,
+                                    alightIndex: i,
+                                    boardStopId: nextPattern.stopIds[0],
+                                    routeId: nextPattern.routeId,
+                                    continuedFrom: ride
+                                });
+                                bestArrival.set(stopId, arrival);
+                                reachedByBus.add(stopId);
+                            }
+                        }
+
+                        ride = {
+                            pattern: nextPattern,
+                            trip: nextTrip,
+                            boardIndex: 0,
+                            alightIndex: nextPattern.stopIds.length - 1,
+                            boardStopId: nextPattern.stopIds[0],
+                            routeId: nextPattern.routeId,
+                            continuedFrom: ride
+                        };
+                    }
+                }
+            });
+
+            // 3. Correspondances à pied (graphe de correspondances), toujours
+            // depuis l'arrivée en bus (un quai peut être amélioré par une marche
+            // dans ce même round : on n'enchaîne pas deux marches)
+            marked = new Set(reachedByBus);
+            const busLabels = new Map(Array.from(reachedByBus, stopId => [stopId, current.get(stopId)]));
+            busLabels.forEach((label, stopId) => {
+                this.getTransfers(stopId, reverse).forEach(transfer => {
+                    if (!isStopUsable(transfer.toStopId)) return;
+                    const arrival = label.arrival + transfer.duration;
+                    if (arrival < (bestArrival.get(transfer.toStopId) ?? Infinity)) {
+                        current.set(transfer.toStopId, {
+                            type: 'TRANSFER',
+                            arrival,
+                            fromStopId: stopId,
+                            fromRouteId: label.routeId,
+                            busLabel: label,
+                            distance: transfer.distance,
+                            duration: transfer.duration
+                        });
+                        bestArrival.set(transfer.toStopId, arrival);
+                        marked.add(transfer.toStopId);
+                    }
+                });
+            });
+
+            rounds[k] = current;
+        }
+
+        return rounds;
+    }
+
+    /**
+     * Premier trip actif d'un motif partant du quai `index` à partir de `time`
+     */
+    findEarliestTrip(pattern, index, time, isTripActive) {
+        for (const trip of pattern.trips) {
+            if (trip.departures[index] >= time && trip.canBoard[index] && isTripActive(trip.trip, trip.dayOffset)) {
+                return trip;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Trip suivant du même véhicule (block_id) sur lequel on peut rester à bord :
+     * il part du même arrêt (ou du même arrêt maître) que le terminus du trip
+     * emprunté. En recherche inversée, c'est le trip précédent du block.
+     * @returns {{pattern, trip}|null}
+     */
+    findInSeatContinuation(ride, isTripActive, reverse) {
+        const dm = this.dataManager;
+        // Les trips d'un block appartiennent au même jour de service
+        const { dayOffset } = ride.trip;
+        const isActive = (trip) => isTripActive(trip, dayOffset);
+        const next = reverse
+            ? dm.findPreviousTripInBlock(ride.trip.tripId, isActive)
+            : dm.findNextTripInBlock(ride.trip.tripId, isActive);
+        if (!next) return null;
+
+        const tripPatterns = reverse ? this.reverseTripPatterns : this.tripPatterns;
+        const continuation = tripPatterns.get(this.tripKey(next.tripId, dayOffset));
+        if (!continuation) return null;
+
+        const terminusId = ride.pattern.stopIds[ride.pattern.stopIds.length - 1];
+        const startId = continuation.pattern.stopIds[0];
+        if (this.getMasterStopId(terminusId) !== this.getMasterStopId(startId)) return null;
+        if (continuation.trip.departures[0] < ride.trip.arrivals[ride.alightIndex]) return null;
+
+        return continuation;
+    }
+
+    getMasterStopId(stopId) {
+        const stop = this.dataManager.getStop(stopId);
+        return stop?.parent_station || stopId;
+    }
+
+    /**
+     * Dernier label connu pour un quai au round k ou avant
+     */
+    getLabel(rounds, k, stopId) {
+        for (let r = k; r >= 0; r--) {
+            const label = rounds[r].get(stopId);
+            if (label) return label;
+        }
+        return null;
+    }
+
+    /**
+     * Correspondances à pied depuis un quai (graphe du DataManager), limitées
+     * aux quais desservis. En recherche inversée, on suit les liens à rebours.
+     */
+    getTransfers(stopId, reverse = false) {
+        const dm = this.dataManager;
+        const links = reverse
+            ? dm.getTransfersTo(stopId).map(t => ({ toStopId: t.fromStopId, distance: t.distance, duration: t.duration }))
+            : dm.getTransfers(stopId);
+
+        return links.filter(transfer => this.patternsByStop[transfer.toStopId]);
+    }
+
+    /**
+     * Temps minimum pour changer de bus sur le même quai (transfers.txt, sinon 0)
+     */
+    getSameStopChangeTime(previous, stopId) {
+        if (previous.type !== 'BUS') return 0;
+        return this.dataManager.getMinTransferTime(stopId, stopId) ?? 0;
+    }
+
+    /**
+     * Correspondance interdite (transfer_type = 3) entre le bus précédent et celui-ci ?
+     * En recherche inversée, le "bus précédent" est le suivant dans le temps réel.
+     */
+    isBoardingForbidden(previous, stopId, routeId, reverse) {
+        let fromStopId, fromRouteId;
+        if (previous.type === 'BUS') {
+            fromStopId = stopId;
+            fromRouteId = previous.routeId;
+        } else if (previous.type === 'TRANSFER') {
+            fromStopId = previous.fromStopId;
+            fromRouteId = previous.fromRouteId;
+        } else {
+            return false;
+        }
+
+        return reverse
+            ? this.dataManager.isTransferForbidden(stopId, fromStopId, routeId, fromRouteId)
+            : this.dataManager.isTransferForbidden(fromStopId, stopId, fromRouteId, routeId);
+    }
+
+    /**
+     * Meilleure arrivée à destination (marche finale incluse) pour chaque round.
+     * Seuls les rounds qui améliorent l'arrivée produisent un candidat. Un quai
+     * atteint par correspondance à pied n'est pas une fin de trajet : la marche
+     * finale s'y ajouterait (on n'enchaîne pas deux marches).
+     */
+    findArrivalsByRound(rounds, egressStops) {
+        const arrivals = [];
+        let bestSoFar = Infinity;
+
+        for (let k = 1; k < rounds.length; k++) {
+            let best = null;
+            egressStops.forEach(egress => {
+                const label = rounds[k].get(egress.stopId);
+                if (!label || label.type !== 'BUS') return;
+                const arrival = label.arrival + egress.duration;
+                if (!best || arrival < best.arrival) {
+                    best = { round: k, stopId: egress.stopId, arrival, egress };
+                }
+            });
+            if (best && best.arrival < bestSoFar) {
+                arrivals.push(best);
+                bestSoFar = best.arrival;
+            }
+        }
+        return arrivals;
+    }
+
+    /**
+     * Garde les itinéraires non dominés sur (arrivée, départ, correspondances, marche),
+     * triés par heure d'arrivée, et les étiquette pour l'affichage. À arrivée égale,
+     * partir plus tard est meilleur : un trajet qui attend longtemps en route n'est
+     * pas une alternative (voir MAX_EXTRA_DURATION).
+     * @param {string} firstTag - Étiquette du premier itinéraire (FASTEST ou LATEST_DEPARTURE)
+     */
+    selectParetoItineraries(paths, firstTag = 'FASTEST') {
+        const candidates = paths
+            .map(path => ({ path, stats: this.computeStats(path), key: this.getJourneyKey(path) }))
+            .sort((a, b) =>
+                a.stats.arrivalTime - b.stats.arrivalTime ||
+                b.stats.departureTime - a.stats.departureTime ||
+                a.stats.transfers - b.stats.transfers ||
+                a.stats.walkDistance - b.stats.walkDistance
+            );
+
+        const dominates = (a, b) =>
+            a.arrivalTime <= b.arrivalTime &&
+            a.departureTime >= b.departureTime &&
+            a.transfers <= b.transfers &&
+            a.walkDistance <= b.walkDistance + WALK_TOLERANCE;
+
+        const kept = [];
+        candidates.forEach(candidate => {
+            if (kept.length > 0 && candidate.stats.arrivalTime - kept[0].stats.arrivalTime > MAX_EXTRA_ARRIVAL) {
+                return;
+            }
+            if (kept.some(other => other.key === candidate.key || dominates(other.stats, candidate.stats))) {
+                return;
+            }
+            kept.push(candidate);
+        });
+
+        const minDuration = Math.min(...kept.map(candidate => candidate.stats.duration));
+        const itineraries = kept
+            .filter(candidate => candidate.stats.duration - minDuration <= MAX_EXTRA_DURATION)
+            .slice(0, MAX_ALTERNATIVES)
+            .map(({ path, stats }) => ({ path, stats, tags: [] }));
+        if (itineraries.length === 0) return itineraries;
+
+        // Une étiquette de critère ne va qu'à l'itinéraire qui bat tous les autres
+        // (de plus de `margin`) : à égalité, elle ne distinguerait rien
+        const tagBest = (tag, getValue, margin = 0) => {
+            const [best, ...others] = itineraries.slice().sort((a, b) => getValue(a) - getValue(b));
+            if (others.length > 0 && getValue(best) + margin < getValue(others[0])) {
+                best.tags.push(tag);
+            }
+        };
+        itineraries[0].tags.push(firstTag);
+        tagBest('FEWEST_TRANSFERS', it => it.stats.transfers);
+        tagBest('LEAST_WALKING', it => it.stats.walkDistance, WALK_TOLERANCE);
+
+        return itineraries;
+    }
+
+    /**
+     * Garde les trajets de la fenêtre qu'aucun autre ne bat à la fois au départ
+     * (plus tard) et à l'arrivée (plus tôt), triés par heure de départ.
+     * À départ et arrivée égaux, le moins de correspondances l'emporte.
+     */
+    selectRangeItineraries(paths, startSeconds, endSeconds) {
+        const candidates = paths
+            .map(path => ({ path, stats: this.computeStats(path), key: this.getJourneyKey(path) }))
+            .filter(({ stats }) => stats.departureTime >= startSeconds && stats.departureTime <= endSeconds)
+            .sort((a, b) =>
+                a.stats.arrivalTime - b.stats.arrivalTime ||
+                b.stats.departureTime - a.stats.departureTime ||
+                a.stats.transfers - b.stats.transfers
+            );
+
+        const kept = [];
+        candidates.forEach(candidate => {
+            const dominated = kept.some(other =>
+                other.key === candidate.key ||
+                (other.stats.departureTime >= candidate.stats.departureTime &&
+                 other.stats.arrivalTime <= candidate.stats.arrivalTime)
+            );
+            if (!dominated) kept.push(candidate);
+        });
+
+        return kept
+            .sort((a, b) => a.stats.departureTime - b.stats.departureTime)
+            .map(({ path, stats }) => ({ path, stats, tags: [] }));
+    }
+
+    /**
+     * Identifiant d'un trajet (trips empruntés), pour éliminer les doublons
+     */
+    getJourneyKey(path) {
+        return path
+            .map(leg => leg.type === 'BUS' ? `${leg.tripId}:${leg.fromStopId}:${leg.toStopId}` : 'WALK')
+            .join('>');
+    }
+
+    /**
+     * Remonte les labels pour produire la liste des étapes (WALK/BUS)
+     */
+    reconstructPath(rounds, best, startCoords, endCoords) {
+        const dm = this.dataManager;
+        const legs = [];
+        let k = best.round;
+        let stopId = best.stopId;
+        let nextLabel = null;
+
+        while (true) {
+            const label = nextLabel || rounds[k].get(stopId) || this.getLabel(rounds, k, stopId);
+            nextLabel = null;
+
+            if (label.type === 'ACCESS') {
+                break;
+            }
+
+            if (label.type === 'TRANSFER') {
+                legs.push(this.createWalkLeg({
+                    fromStopId: label.fromStopId,
+                    toStopId: stopId,
+                    distance: label.distance,
+                    startTime: label.busLabel.arrival,
+                    duration: label.duration
+                }));
+                stopId = label.fromStopId;
+                nextLabel = label.busLabel;
+                continue;
+            }
+
+            // label.type === 'BUS' (puis les trips précédents si l'on est resté à bord).
+            // Un trajet sans arrêt (montée au terminus) n'est pas une étape
+            const rides = [];
+            for (let ride = label; ride; ride = ride.continuedFrom) {
+                if (ride.boardIndex < ride.alightIndex) rides.push(ride);
+            }
+            rides.forEach((ride, index) => {
+                const leg = this.createBusLeg(ride);
+                legs.push(index < rides.length - 1 ? { ...leg, inSeat: true } : leg);
+            });
+            stopId = rides[rides.length - 1].boardStopId;
+            k -= 1;
+        }
+
+        legs.reverse();
+
+        // Marche d'accès : on part "au plus tard" pour attraper le premier bus
+        const firstBus = legs[0];
+        const access = this.getLabel(rounds, 0, firstBus.fromStopId).access;
+        legs.unshift(this.createWalkLeg({
+            fromCoords: startCoords,
+            toStopId: firstBus.fromStopId,
+            distance: access.distance,
+            startTime: firstBus.startTime - access.duration,
+            duration: access.duration
+        }));
+
+        // Marche finale
+        const lastBus = legs[legs.length - 1];
+        legs.push(this.createWalkLeg({
+            fromStopId: best.stopId,
+            toCoords: endCoords,
+            distance: best.egress.distance,
+            startTime: lastBus.endTime,
+            duration: best.egress.duration
+        }));
+
+        // Les marches de 0 m (départ pile sur le quai) n'apportent rien
+        return legs.filter(leg => leg.type !== 'WALK' || leg.distance >= 1);
+    }
+
+    /**
+     * Remet à l'endroit un chemin calculé par la recherche inversée :
+     * ordre des étapes, origine/destination et heures (négatives) inversés.
+     * `inSeat` passe à l'étape BUS suivante (la continuation dans le temps réel).
+     * reconstructPath a déjà écarté les trajets sans arrêt : aucune étape BUS
+     * ne peut donc finir après la descente finale une fois remise à l'endroit.
+     */
+    reversePath(path) {
+        const reversed = path.slice().reverse();
+        return reversed.map((leg, index) => ({
+            ...leg,
+            inSeat: leg.type === 'BUS' && reversed[index - 1]?.inSeat === true,
+            fromCoords: leg.toCoords,
+            toCoords: leg.fromCoords,
+            fromStopId: leg.toStopId,
+            toStopId: leg.fromStopId,
+            fromStopName: leg.toStopName,
+            toStopName: leg.fromStopName,
+            startTime: -leg.endTime,
+            endTime: -leg.startTime
+        }));
+    }
+
+    /**
+     * Construit une étape WALK
+     */
+    createWalkLeg({ fromCoords, toCoords, fromStopId, toStopId, distance, startTime, duration }) {
+        const dm = this.dataManager;
+        const walkDuration = duration ?? Math.round(distance / this.dataManager.walkingSpeed);
+        return {
+            type: 'WALK',
+            fromCoords: fromCoords || null,
+            toCoords: toCoords || null,
+            fromStopId: fromStopId || null,
+            toStopId: toStopId || null,
+            fromStopName: fromStopId ? dm.getStop(fromStopId)?.stop_name : null,
+            toStopName: toStopId ? dm.getStop(toStopId)?.stop_name : null,
+            distance: distance,
+            startTime: startTime,
+            endTime: startTime + walkDuration,
+            duration: walkDuration
+        };
+    }
+
+    /**
+     * Distance à pied entre deux points : par les rues si possible, sinon à vol d'oiseau
+     */
+    getWalkingDistance(fromCoords, toCoords, maxDistance) {
+        const dm = this.dataManager;
+        if (dm.streetRouter) {
+            const walk = dm.streetRouter.route(fromCoords, toCoords, maxDistance);
+            if (walk) return walk.distance;
+        }
+        return dm.calculateDistance(fromCoords.lat, fromCoords.lon, toCoords.lat, toCoords.lon);
+    }
+
+    /**
+     * Ajoute le tracé et les instructions piétonnes aux étapes WALK d'un chemin
+     * (sans changer leurs horaires, déjà calculés avec les distances réseau)
+     */
+    attachWalkingDirections(path) {
+        const dm = this.dataManager;
+        if (!dm.streetRouter) return;
+
+        const stopCoords = (stopId) => {
+            const stop = dm.getStop(stopId);
+            return { lat: parseFloat(stop.stop_lat), lon: parseFloat(stop.stop_lon) };
+        };
+
+        path.forEach(leg => {
+            if (leg.type !== 'WALK') return;
+            const from = leg.fromCoords || stopCoords(leg.fromStopId);
+            const to = leg.toCoords || stopCoords(leg.toStopId);
+            const walk = dm.streetRouter.route(from, to);
+            if (!walk) return;
+            leg.geometry = walk.coordinates;
+            leg.instructions = walk.instructions;
+        });
+    }
+
+    /**
+     * Ajoute aux étapes BUS d'un chemin les alertes actives pendant le trajet
+     * (`alerts`, vide sans perturbation)
+     * @param {Date} date - Date de la recherche (jour de service des heures du chemin)
+     */
+    attachAlerts(path, date) {
+        const dm = this.dataManager;
+        const dayStart = getServiceDayStart(date, dm.timezone);
+
+        path.forEach(leg => {
+            if (leg.type !== 'BUS') return;
+            const stopIds = dm.getStopTimes(leg.tripId).map(st => st.stop_id);
+            const boardIndex = stopIds.indexOf(leg.fromStopId);
+            const alightIndex = stopIds.indexOf(leg.toStopId, boardIndex + 1);
+            leg.alerts = dm.serviceAlerts.getLegAlerts({
+                routeId: leg.route?.route_id,
+                tripId: leg.tripId,
+                stopIds: boardIndex >= 0 && alightIndex >= 0
+                    ? stopIds.slice(boardIndex, alightIndex + 1)
+                    : [leg.fromStopId, leg.toStopId]
+            }, dayStart + leg.startTime).map(summarizeAlert);
+        });
+    }
+
+    /**
+     * Construit une étape BUS à partir d'un label RAPTOR
+     */
+    createBusLeg(label) {
+        const dm = this.dataManager;
+        const { trip, pattern, boardIndex, alightIndex } = label;
+        const fromStopId = pattern.stopIds[boardIndex];
+        const toStopId = pattern.stopIds[alightIndex];
+        const startTime = trip.departures[boardIndex];
+        const endTime = trip.arrivals[alightIndex];
+
+        return {
+            type: 'BUS',
+            tripId: trip.tripId,
+            route: dm.getRoute(pattern.routeId),
+            headsign: trip.trip.trip_headsign || dm.getTripDestination(dm.getStopTimes(trip.tripId)),
+            fromStopId: fromStopId,
+            toStopId: toStopId,
+            fromStopName: dm.getStop(fromStopId)?.stop_name,
+            toStopName: dm.getStop(toStopId)?.stop_name,
+            stopCount: alightIndex - boardIndex,
+            wheelchairAccessible: dm.getTripAccessibility(trip.trip),
+            inSeat: false,
+            realtime: trip.realtime === true,
+            // Retard à la montée (motif inversé : la montée réelle est la descente du label)
+            delay: trip.realtime === true ? trip.delays[pattern.reversed ? alightIndex : boardIndex] : null,
+            startTime: startTime,
+            endTime: endTime,
+            duration: endTime - startTime
+        };
+    }
+
+    /**
+     * Statistiques globales d'un itinéraire
+     */
+    computeStats(path) {
+        const departureTime = path[0].startTime;
+        const arrivalTime = path[path.length - 1].endTime;
+        const busLegs = path.filter(leg => leg.type === 'BUS');
+
+        return {
+            departureTime: departureTime,
+            arrivalTime: arrivalTime,
+            duration: arrivalTime - departureTime,
+            transfers: Math.max(0, busLegs.filter(leg => !leg.inSeat).length - 1),
+            walkDistance: path
+                .filter(leg => leg.type === 'WALK')
+                .reduce((sum, leg) => sum + leg.distance, 0)
+        };
+    }
+}
@@ -6,28 +6,51 @@
  * VERSION AUTONOME:
  * 1. "Visualisation" (par défaut, bus en temps réel)
  * 2. "Planification" (calcul d'itinéraire 100% LOCAL)
+ * 3. "Zone accessible" (isochrones depuis un point)
+ * + Calendrier des services (consultation, ne change pas de mode)
+ * + Archive(s) GTFS .zip déposée(s) sur la carte ou choisie(s) dans le panneau de
+ *   filtre : le flux est remplacé (plusieurs archives sont fusionnées) sans recharger la page
+ * + Lecture du flux, bus actifs, prochains passages et itinéraires calculés dans un
+ *   Web Worker (FeedClient) : la carte reste fluide pendant les calculs
+ * + Prévisions GTFS-Realtime (data/realtime.json ou fichier .pb déposé) : état
+ *   de la dernière relève dans la barre d'état
+ * + Perturbations (ServiceAlerts) : bandeau au-dessus de la carte (un clic passe
+ *   à l'alerte suivante) et pastilles dans le filtre des lignes
  */
 
-import { DataManager } from './dataManager.js';
-import { TimeManager } from './timeManager.js';
+import { DataManager, ACCESSIBILITY } from './dataManager.js';
+import { TimeManager, getServiceDayStart } from './timeManager.js';
 import { TripScheduler } from './tripScheduler.js';
 import { BusPositionCalculator } from './busPositionCalculator.js';
 import { MapRenderer } from './mapRenderer.js';
-// NOUVEAU: Import du calculateur d'itinéraire local
-import { LocalPathfinder } from './localPathfinder.js';
+import { FeedClient } from './feedClient.js';
 import { PlannerPanel } from './plannerPanel.js';
+import { IsochronePanel, ISOCHRONE_BAND_COLORS } from './isochronePanel.js';
+import { CalendarPanel } from './calendarPanel.js';
+import { getAlertLevel } from './serviceAlerts.js';
 
 let dataManager;
+let feedClient; // Moteur GTFS (Web Worker) : bus actifs, passages, itinéraires
 let timeManager;
 let tripScheduler;
 let busPositionCalculator;
 let mapRenderer;
 let visibleRoutes = new Set();
+let accessibleOnly = false; // Filtre "véhicules accessibles uniquement"
 
 // NOUVEAU: Modules de planification LOCALE
-let localPathfinder; // R.I.P. routingService
 let plannerPanel;
 let isPlannerMode = false; // Pour savoir si on est en mode itinéraire
+let itineraryEndpoints = null; // { startCoords, endCoords } de la dernière recherche
+let isochronePanel;
+let isIsochroneMode = false; // Zone accessible affichée (bus masqués)
+let calendarPanel;
+let busUpdatePending = false; // Requête des bus actifs en cours (voir updateData)
+let busUpdateQueued = false;
+let realtimeStatusByKind = {}; // Dernier événement "realtime" par type de flux (tripUpdates, vehiclePositions, alerts)
+let activeAlerts = [];        // Perturbations en cours (bandeau), voir updateAlerts
+let activeAlertsKey = null;   // Identifiants des alertes affichées (null : à redessiner)
+let bannerAlertIndex = 0;     // Alerte affichée dans le bandeau
 
 // Catégories de lignes (inchangé)
 const LINE_CATEGORIES = {
@@ -58,6 +81,12 @@ const LINE_CATEGORIES = {
     }
 };
 
+// Lignes hors catégories (lignes spéciales, autres réseaux)
+const OTHER_LINES_CATEGORY = {
+    name: 'Autres lignes',
+    color: '#64748b'
+};
+
 // Fonction getCategoryForRoute (inchangée)
 function getCategoryForRoute(routeShortName) {
     for (const [categoryId, category] of Object.entries(LINE_CATEGORIES)) {
@@ -70,28 +99,47 @@ function getCategoryForRoute(routeShortName) {
 
 async function initializeApp() {
     dataManager = new DataManager();
+    feedClient = new FeedClient(dataManager);
+    feedClient.addListener((type, data) => {
+        if (type !== 'realtime') return;
+        if (data.kind === 'alerts' && data.status === 'ok') {
+            dataManager.serviceAlerts.setAlerts(data.alerts);
+            activeAlertsKey = null;
+            if (timeManager) updateAlerts();
+        }
+        updateRealtimeStatus(data);
+    });
     
     try {
-        await dataManager.loadAllData();
+        await feedClient.load();
         
         timeManager = new TimeManager();
+        timeManager.setTimeZone(dataManager.timezone);
         
-        mapRenderer = new MapRenderer('map', dataManager, timeManager);
+        mapRenderer = new MapRenderer('map', dataManager, timeManager, feedClient);
         mapRenderer.initializeMap();
         
         tripScheduler = new TripScheduler(dataManager);
         busPositionCalculator = new BusPositionCalculator(dataManager);
-        
-        // NOUVEAU: Initialisation du pathfinder local
-        localPathfinder = new LocalPathfinder(dataManager);
 
         plannerPanel = new PlannerPanel(
             'planner-panel', 
             dataManager, 
             mapRenderer, 
-            handleItineraryRequest // Je passe la NOUVELLE fonction de recherche
+            handleItineraryRequest, // Je passe la NOUVELLE fonction de recherche
+            drawItinerary // Redessine l'alternative choisie
+        );
+
+        isochronePanel = new IsochronePanel(
+            'isochrone-panel',
+            dataManager,
+            mapRenderer,
+            handleIsochroneRequest,
+            exitIsochroneMode
         );
 
+        calendarPanel = new CalendarPanel('calendar-panel', dataManager);
+
         initializeRouteFilter();
         
         // Affiche les routes par défaut
@@ -124,22 +172,117 @@ function checkAndSetupTimeMode() {
     console.log('⏰ Mode TEMPS RÉEL activé.');
 }
 
-// Fonctions showModeBanner / hideModeBanner (inchangées)
-function showModeBanner(message) { /* ... */ }
-function hideModeBanner() { /* ... */ }
+/**
+ * Bandeau au-dessus de la carte
+ * @param {string} message
+ * @param {string} [className] - Style du bandeau (ex. "alert-severe")
+ */
+function showModeBanner(message, className = '') {
+    const banner = document.getElementById('mode-banner');
+    banner.textContent = message;
+    banner.className = className;
+}
+function hideModeBanner() {
+    const banner = document.getElementById('mode-banner');
+    banner.className = 'hidden';
+    banner.textContent = '';
+    banner.title = '';
+}
+
+/**
+ * Perturbations en cours à l'heure affichée : bandeau et pastilles du filtre
+ * des lignes, redessinés seulement quand la liste change
+ * @param {number} [currentSeconds]
+ * @param {Date} [currentDate]
+ */
+function updateAlerts(currentSeconds = timeManager.getCurrentSeconds(), currentDate = timeManager.getCurrentDate()) {
+    const now = getServiceDayStart(currentDate, dataManager.timezone) + currentSeconds;
+    const alerts = dataManager.serviceAlerts.getActiveAlerts(now);
+    const key = alerts.map(alert => `${alert.feedId}|${alert.id}`).join(',');
+    if (key === activeAlertsKey) return;
+    activeAlertsKey = key;
+    activeAlerts = alerts;
+    bannerAlertIndex = 0;
+
+    showAlertBanner();
+    document.querySelectorAll('.route-alert-badge').forEach(badge => {
+        const routeAlerts = dataManager.serviceAlerts.getRouteAlerts(badge.dataset.routeId, now);
+        badge.className = routeAlerts.length > 0
+            ? `material-icons route-alert-badge alert-${getAlertLevel(routeAlerts[0])}`
+            : 'material-icons route-alert-badge hidden';
+        badge.title = routeAlerts.map(alert => alert.header).join('\n');
+    });
+}
+
+/**
+ * Affiche l'alerte courante dans le bandeau (les plus graves d'abord)
+ */
+function showAlertBanner() {
+    if (activeAlerts.length === 0) {
+        hideModeBanner();
+        return;
+    }
+    bannerAlertIndex %= activeAlerts.length;
+    const alert = activeAlerts[bannerAlertIndex];
+    const position = activeAlerts.length > 1 ? ` (${bannerAlertIndex + 1}/${activeAlerts.length})` : '';
+    showModeBanner(`⚠️ ${alert.header}${position}`, `alert-${getAlertLevel(alert)}`);
+    document.getElementById('mode-banner').title = alert.description || alert.header;
+}
 
-// Fonction initializeRouteFilter (inchangée)
+/**
+ * Filtre des lignes : une section par exploitant s'il y en a plusieurs
+ * (flux fusionnés), puis les lignes par catégorie
+ */
 function initializeRouteFilter() {
     const routeCheckboxesContainer = document.getElementById('route-checkboxes');
     routeCheckboxesContainer.innerHTML = '';
     
     visibleRoutes.clear();
-    
+    activeAlertsKey = null; // Pastilles de perturbation recréées : à redessiner
+
+    const agencyGroups = dataManager.getRoutesByAgency();
+    agencyGroups.forEach((group, agencyIndex) => {
+        const agencyKey = `agency-${agencyIndex}`;
+        if (agencyGroups.length > 1) {
+            const agencyHeader = document.createElement('div');
+            agencyHeader.className = 'agency-header';
+            agencyHeader.innerHTML = `
+                <div class="category-title">
+                    <span class="material-icons">business</span>
+                    <strong>${group.agency.agency_name}</strong>
+                    <span class="category-count">(${group.routes.length})</span>
+                </div>
+                <div class="category-actions">
+                    <button class="btn-category-action" data-agency="${agencyKey}" data-action="select">Tous</button>
+                    <button class="btn-category-action" data-agency="${agencyKey}" data-action="deselect">Aucun</button>
+                </div>
+            `;
+            routeCheckboxesContainer.appendChild(agencyHeader);
+        }
+        appendRouteCategories(routeCheckboxesContainer, group.routes, agencyKey);
+    });
+
+    document.querySelectorAll('.btn-category-action').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const { agency, category, action } = e.target.dataset;
+            if (agency) handleCategoryAction('agency', agency, action);
+            else handleCategoryAction('category', category, action);
+        });
+    });
+}
+
+/**
+ * Ajoute les lignes d'un exploitant au filtre, regroupées par catégorie
+ * @param {HTMLElement} routeCheckboxesContainer
+ * @param {Array} agencyRoutes - Lignes de l'exploitant
+ * @param {string} agencyKey - Préfixe des clés de catégorie (unique par exploitant)
+ */
+function appendRouteCategories(routeCheckboxesContainer, agencyRoutes, agencyKey) {
     const routesByCategory = {};
     Object.keys(LINE_CATEGORIES).forEach(cat => routesByCategory[cat] = []);
     routesByCategory['autres'] = [];
     
-    dataManager.routes.forEach(route => {
+    agencyRoutes.forEach(route => {
         visibleRoutes.add(route.route_id);
         const category = getCategoryForRoute(route.route_short_name);
         routesByCategory[category].push(route);
@@ -147,8 +290,8 @@ function initializeRouteFilter() {
 
     Object.values(routesByCategory).forEach(routes => {
         routes.sort((a, b) => {
-            const nameA = a.route_short_name;
-            const nameB = b.route_short_name;
+            const nameA = a.route_short_name || a.route_id;
+            const nameB = b.route_short_name || b.route_id;
             const isRLineA = nameA.startsWith('R') && !isNaN(parseInt(nameA.substring(1)));
             const isRLineB = nameB.startsWith('R') && !isNaN(parseInt(nameB.substring(1)));
             if (isRLineA && isRLineB) return parseInt(nameA.substring(1)) - parseInt(nameB.substring(1));
@@ -156,9 +299,10 @@ function initializeRouteFilter() {
         });
     });
     
-    Object.entries(LINE_CATEGORIES).forEach(([categoryId, categoryInfo]) => {
+    [...Object.entries(LINE_CATEGORIES), ['autres', OTHER_LINES_CATEGORY]].forEach(([categoryId, categoryInfo]) => {
         const routes = routesByCategory[categoryId];
         if (routes.length === 0) return;
+        const categoryKey = `${agencyKey}-${categoryId}`;
         
         const categoryHeader = document.createElement('div');
         categoryHeader.className = 'category-header';
@@ -169,15 +313,15 @@ function initializeRouteFilter() {
                 <span class="category-count">(${routes.length})</span>
             </div>
             <div class="category-actions">
-                <button class="btn-category-action" data-category="${categoryId}" data-action="select">Tous</button>
-                <button class="btn-category-action" data-category="${categoryId}" data-action="deselect">Aucun</button>
+                <button class="btn-category-action" data-category="${categoryKey}" data-action="select">Tous</button>
+                <button class="btn-category-action" data-category="${categoryKey}" data-action="deselect">Aucun</button>
             </div>
         `;
         routeCheckboxesContainer.appendChild(categoryHeader);
         
         const categoryContainer = document.createElement('div');
         categoryContainer.className = 'category-routes';
-        categoryContainer.id = `category-${categoryId}`;
+        categoryContainer.id = `category-${categoryKey}`;
         
         routes.forEach(route => {
             const itemDiv = document.createElement('div');
@@ -187,7 +331,8 @@ function initializeRouteFilter() {
             checkbox.type = 'checkbox';
             checkbox.id = `route-${route.route_id}`;
             checkbox.checked = true;
-            checkbox.dataset.category = categoryId;
+            checkbox.dataset.category = categoryKey;
+            checkbox.dataset.agency = agencyKey;
             checkbox.addEventListener('change', () => handleRouteFilterChange());
             
             const routeColor = route.route_color ? `#${route.route_color}` : '#3388ff';
@@ -202,10 +347,17 @@ function initializeRouteFilter() {
             const label = document.createElement('span');
             label.className = 'route-name';
             label.textContent = route.route_long_name || route.route_short_name || route.route_id;
+
+            // Perturbation sur la ligne (voir updateAlerts)
+            const alertBadge = document.createElement('span');
+            alertBadge.className = 'material-icons route-alert-badge hidden';
+            alertBadge.dataset.routeId = route.route_id;
+            alertBadge.textContent = 'warning';
             
             itemDiv.appendChild(checkbox);
             itemDiv.appendChild(badge);
             itemDiv.appendChild(label);
+            itemDiv.appendChild(alertBadge);
             categoryContainer.appendChild(itemDiv);
 
             itemDiv.addEventListener('mouseenter', () => mapRenderer.highlightRoute(route.route_id, true));
@@ -218,21 +370,16 @@ function initializeRouteFilter() {
         
         routeCheckboxesContainer.appendChild(categoryContainer);
     });
-    
-    // ... (votre code pour la catégorie 'autres' reste identique) ...
-
-    document.querySelectorAll('.btn-category-action').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const category = e.target.dataset.category;
-            const action = e.target.dataset.action;
-            handleCategoryAction(category, action);
-        });
-    });
 }
 
-// Fonction handleCategoryAction (inchangée)
-function handleCategoryAction(category, action) {
-    const checkboxes = document.querySelectorAll(`input[data-category="${category}"]`);
+/**
+ * Coche ou décoche toutes les lignes d'une catégorie ou d'un exploitant
+ * @param {'category'|'agency'} attribute
+ * @param {string} key - Valeur de data-category / data-agency
+ * @param {'select'|'deselect'} action
+ */
+function handleCategoryAction(attribute, key, action) {
+    const checkboxes = document.querySelectorAll(`input[data-${attribute}="${key}"]`);
     checkboxes.forEach(checkbox => {
         checkbox.checked = (action === 'select');
     });
@@ -261,6 +408,11 @@ function handleRouteFilterChange() {
 
 // Fonction setupEventListeners (inchangée)
 function setupEventListeners() {
+
+    document.getElementById('mode-banner').addEventListener('click', () => {
+        bannerAlertIndex++;
+        showAlertBanner();
+    });
     
     document.getElementById('close-instructions').addEventListener('click', () => {
         document.getElementById('instructions').classList.add('hidden');
@@ -271,6 +423,8 @@ function setupEventListeners() {
         document.getElementById('route-filter-panel').classList.toggle('hidden');
         document.getElementById('planner-panel').classList.add('hidden');
         if (isPlannerMode) exitPlannerMode();
+        closeIsochronePanel();
+        closeCalendarPanel();
     });
     
     document.getElementById('close-filter').addEventListener('click', () => {
@@ -278,9 +432,42 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-toggle-planner').addEventListener('click', () => {
+        plannerPanel.resetDateTime(); // "Maintenant" à l'ouverture, sauf choix explicite
         document.getElementById('planner-panel').classList.toggle('hidden');
         document.getElementById('route-filter-panel').classList.add('hidden');
+        closeIsochronePanel();
+        closeCalendarPanel();
+    });
+
+    document.getElementById('btn-toggle-isochrone').addEventListener('click', () => {
+        const panel = document.getElementById('isochrone-panel');
+        if (!panel.classList.contains('hidden')) {
+            closeIsochronePanel();
+            return;
+        }
+        isochronePanel.resetDateTime();
+        panel.classList.remove('hidden');
+        document.getElementById('route-filter-panel').classList.add('hidden');
+        document.getElementById('planner-panel').classList.add('hidden');
+        if (isPlannerMode) exitPlannerMode();
+        closeCalendarPanel();
+    });
+    document.getElementById('close-isochrone').addEventListener('click', closeIsochronePanel);
+
+    document.getElementById('btn-toggle-calendar').addEventListener('click', () => {
+        const panel = document.getElementById('calendar-panel');
+        if (!panel.classList.contains('hidden')) {
+            closeCalendarPanel();
+            return;
+        }
+        calendarPanel.render();
+        panel.classList.remove('hidden');
+        document.getElementById('route-filter-panel').classList.add('hidden');
+        document.getElementById('planner-panel').classList.add('hidden');
+        if (isPlannerMode) exitPlannerMode();
+        closeIsochronePanel();
     });
+    document.getElementById('close-calendar').addEventListener('click', closeCalendarPanel);
     document.getElementById('close-planner').addEventListener('click', () => {
         document.getElementById('planner-panel').classList.add('hidden');
         if (isPlannerMode) {
@@ -288,6 +475,13 @@ function setupEventListeners() {
         }
     });
     
+    setupFeedLoading();
+
+    document.getElementById('filter-accessible').addEventListener('change', (e) => {
+        accessibleOnly = e.target.checked;
+        updateData();
+    });
+
     document.getElementById('select-all-routes').addEventListener('click', () => {
         dataManager.routes.forEach(route => {
             const checkbox = document.getElementById(`route-${route.route_id}`);
@@ -327,6 +521,95 @@ function setupEventListeners() {
     }
 }
 
+/**
+ * Archives GTFS .zip (ou prévisions GTFS-Realtime .pb) : sélecteur de fichier
+ * du panneau de filtre ou glisser-déposer sur la carte
+ */
+function setupFeedLoading() {
+    const fileInput = document.getElementById('gtfs-file-input');
+    document.getElementById('btn-load-gtfs').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) loadFeedArchives(Array.from(fileInput.files));
+        fileInput.value = ''; // Permet de recharger le même fichier
+    });
+
+    const mapElement = document.getElementById('map');
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    mapElement.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        mapElement.classList.add('drop-target');
+    });
+    mapElement.addEventListener('dragleave', (e) => {
+        if (!mapElement.contains(e.relatedTarget)) mapElement.classList.remove('drop-target');
+    });
+    mapElement.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        mapElement.classList.remove('drop-target');
+        loadFeedArchives(Array.from(e.dataTransfer.files));
+    });
+}
+
+/**
+ * Remplace le flux GTFS par une ou plusieurs archives .zip (fusionnées), sans recharger la page
+ * @param {File[]} files
+ */
+async function loadFeedArchives(files) {
+    const realtimeFiles = files.filter(file => file.name.toLowerCase().endsWith('.pb'));
+    if (realtimeFiles.length > 0 && realtimeFiles.length === files.length) {
+        loadRealtimeFiles(realtimeFiles);
+        return;
+    }
+    if (files.some(file => !file.name.toLowerCase().endsWith('.zip'))) {
+        updateDataStatus('Archive .zip (ou prévisions .pb) attendue', 'error');
+        return;
+    }
+    const names = files.map(file => file.name).join(', ');
+    updateDataStatus(`Chargement de ${names}...`);
+    if (isPlannerMode) exitPlannerMode();
+    closeIsochronePanel();
+    closeCalendarPanel();
+
+    const loaded = await feedClient.load(files);
+    if (!loaded) {
+        // Le flux précédent reste affiché si une archive n'a pas pu être lue
+        updateDataStatus(`Archive GTFS invalide : ${names}`, 'error');
+        return;
+    }
+
+    // Fuseau et calendrier du nouveau flux (le worker a reconstruit ses index RAPTOR)
+    timeManager.setTimeZone(dataManager.timezone);
+    calendarPanel.selectedDateKey = null;
+
+    mapRenderer.clearAllRoutes();
+    initializeRouteFilter();
+    showDefaultMap();
+    mapRenderer.fitToStops();
+
+    updateDataStatus(`${names} chargé${files.length > 1 ? 's' : ''}`, 'loaded');
+    updateData();
+}
+
+/**
+ * Flux GTFS-Realtime enregistrés (.pb, TripUpdates, VehiclePositions ou ServiceAlerts) : appliqués
+ * au flux courant comme une relève (utile hors ligne ou pour rejouer un incident)
+ * @param {File[]} files
+ */
+async function loadRealtimeFiles(files) {
+    for (const file of files) {
+        try {
+            await feedClient.loadRealtime(file);
+        } catch (error) {
+            console.error(`Erreur de lecture de ${file.name}:`, error);
+            updateDataStatus(`Prévisions GTFS-Realtime invalides : ${file.name}`, 'error');
+            return;
+        }
+    }
+    updateDataStatus(`${files.map(file => file.name).join(', ')} appliqué${files.length > 1 ? 's' : ''}`, 'loaded');
+    updateData();
+}
+
 // Fonctions handleSearchInput, displaySearchResults, onSearchResultClick (inchangées)
 function handleSearchInput(e) {
     const query = e.target.value.toLowerCase();
@@ -388,14 +671,81 @@ function exitPlannerMode() {
     document.getElementById('planner-panel').classList.add('hidden');
 }
 
+/**
+ * Calcule et affiche la zone accessible depuis un point (IsochronePanel)
+ * @param {{lat: number, lon: number}} coords - Point de départ
+ * @param {{date?: string, time?: string, budgetMinutes: number}} options
+ */
+async function handleIsochroneRequest(coords, options) {
+    const departureDate = new Date(timeManager.getCurrentDate().getTime());
+    if (options.date) {
+        const [year, month, day] = options.date.split('-').map(Number);
+        departureDate.setFullYear(year, month - 1, day);
+    }
+    if (options.time) {
+        const [hours, minutes] = options.time.split(':').map(Number);
+        departureDate.setHours(hours, minutes, 0, 0);
+    }
+
+    if (!dataManager.isDateInCalendarRange(departureDate)) {
+        isochronePanel.showError("Cette date est en dehors de la période couverte par les horaires.");
+        return;
+    }
+
+    const budgetSeconds = options.budgetMinutes * 60;
+    let isochrone;
+    try {
+        isochrone = await feedClient.computeIsochrone(coords, departureDate, budgetSeconds);
+    } catch (error) {
+        console.error('Erreur lors du calcul de la zone accessible:', error);
+        isochronePanel.showError("Erreur interne du calcul de zone accessible.");
+        return;
+    }
+    if (isochrone.status === 'NO_SERVICE') {
+        isochronePanel.showError("Aucun service de bus ne circule à cette date.");
+        return;
+    }
+
+    isIsochroneMode = true;
+    mapRenderer.hideBusMarkers();
+
+    const bandLimits = isochronePanel.getBandLimits(budgetSeconds);
+    mapRenderer.displayIsochrone(isochrone, bandLimits, ISOCHRONE_BAND_COLORS);
+    isochronePanel.displaySummary(isochrone, bandLimits);
+}
+
+/**
+ * Efface la zone accessible et revient à la carte des bus
+ */
+function exitIsochroneMode() {
+    if (!isIsochroneMode) return;
+    isIsochroneMode = false;
+    mapRenderer.clearIsochrone();
+    mapRenderer.showBusMarkers();
+    updateData();
+}
+
+function closeIsochronePanel() {
+    document.getElementById('isochrone-panel').classList.add('hidden');
+    exitIsochroneMode();
+}
+
+function closeCalendarPanel() {
+    document.getElementById('calendar-panel').classList.add('hidden');
+}
+
 /**
  * ===================================================================
- * FONCTION TOTALEMENT RÉÉCRITE pour utiliser LocalPathfinder
+ * FONCTION TOTALEMENT RÉÉCRITE pour utiliser LocalPathfinder (via FeedClient)
  * ===================================================================
  * @param {string} fromPlace - Coordonnées "lat,lon" OU nom d'un lieu
  * @param {string} toPlace - Coordonnées "lat,lon" OU nom d'un lieu
+ * @param {{arriveBy?: boolean, date?: string, time?: string, range?: {endTime: string, limit: number}, wheelchair?: boolean}} [searchOptions]
+ * Date "YYYY-MM-DD" et heure "HH:MM" du trajet (départ, ou arrivée si arriveBy). Par défaut : maintenant.
+ * Avec `range`, liste les trajets qui partent entre `time` et `range.endTime`.
+ * Avec `wheelchair`, n'utilise que les arrêts et véhicules accessibles.
  */
-async function handleItineraryRequest(fromPlace, toPlace) {
+async function handleItineraryRequest(fromPlace, toPlace, searchOptions = {}) {
     console.log(`Demande d'itinéraire LOCAL de ${fromPlace} à ${toPlace}`);
     isPlannerMode = true;
 
@@ -436,98 +786,152 @@ async function handleItineraryRequest(fromPlace, toPlace) {
     }
 
     // 2. Préparer et lancer la recherche
-    const departureDate = timeManager.getCurrentDate(); // Utilise la date/heure actuelle
+    const arriveBy = searchOptions.arriveBy === true;
+    const wheelchair = searchOptions.wheelchair === true;
+    const searchDate = new Date(timeManager.getCurrentDate().getTime()); // Par défaut : maintenant
+    if (searchOptions.date) {
+        const [year, month, day] = searchOptions.date.split('-').map(Number);
+        searchDate.setFullYear(year, month - 1, day);
+    }
+    if (searchOptions.time) {
+        const [hours, minutes] = searchOptions.time.split(':').map(Number);
+        searchDate.setHours(hours, minutes, 0, 0);
+    }
+    const timeLabel = `${String(searchDate.getHours()).padStart(2, '0')}:${String(searchDate.getMinutes()).padStart(2, '0')}`;
+
+    if (!dataManager.isDateInCalendarRange(searchDate)) {
+        const range = dataManager.getCalendarRange();
+        const formatDay = (dateKey) => dataManager.parseDateKey(dateKey).toLocaleDateString('fr-FR');
+        plannerPanel.showError(range
+            ? `Les horaires disponibles couvrent la période du ${formatDay(range.startDate)} au ${formatDay(range.endDate)}. Veuillez choisir une date dans cette période.`
+            : "Aucun calendrier de service n'est disponible.");
+        isPlannerMode = false;
+        return;
+    }
+    
+    let rangeEndDate = null;
+    if (searchOptions.range) {
+        rangeEndDate = new Date(searchDate.getTime());
+        const [endHours, endMinutes] = (searchOptions.range.endTime || '23:59').split(':').map(Number);
+        rangeEndDate.setHours(endHours, endMinutes, 0, 0);
+        if (rangeEndDate <= searchDate) {
+            plannerPanel.showError("L'heure de fin de la plage doit être après l'heure de début.");
+            isPlannerMode = false;
+            return;
+        }
+    }
     
     try {
-        const itineraryData = await localPathfinder.findItinerary(startCoords, endCoords, departureDate);
+        const itineraryData = rangeEndDate
+            ? await feedClient.findItineraryRange(startCoords, endCoords, searchDate, rangeEndDate, searchOptions.range.limit, { wheelchair })
+            : await feedClient.findItinerary(startCoords, endCoords, searchDate, { arriveBy, wheelchair });
 
         if (itineraryData.status !== 'OK') {
             let errorMsg = "Aucun itinéraire trouvé.";
+            if (itineraryData.status === 'NO_ROUTE' && rangeEndDate) errorMsg = "Aucun trajet ne part dans cette plage horaire.";
+            else if (itineraryData.status === 'NO_ROUTE') errorMsg = arriveBy ? `Aucun itinéraire n'arrive avant ${timeLabel} ce jour-là.` : `Aucun itinéraire ne part après ${timeLabel} ce jour-là.`;
+            if (itineraryData.status === 'NO_ROUTE' && wheelchair) errorMsg = "Aucun itinéraire n'emprunte uniquement des arrêts et véhicules déclarés accessibles.";
             if (itineraryData.status === 'NO_SERVICE') errorMsg = "Aucun service de bus ne circule à cette date.";
-            if (itineraryData.status === 'NO_START_STOPS') errorMsg = "Aucun arrêt accessible à pied depuis votre point de départ.";
-            if (itineraryData.status === 'NO_END_STOPS') errorMsg = "Aucun arrêt ne permet de rejoindre votre destination à pied.";
+            if (itineraryData.status === 'NO_START_STOPS') errorMsg = wheelchair ? "Aucun arrêt accessible en fauteuil roulant près de votre point de départ." : "Aucun arrêt accessible à pied depuis votre point de départ.";
+            if (itineraryData.status === 'NO_END_STOPS') errorMsg = wheelchair ? "Aucun arrêt accessible en fauteuil roulant près de votre destination." : "Aucun arrêt ne permet de rejoindre votre destination à pied.";
             plannerPanel.showError(errorMsg);
             isPlannerMode = false;
             return;
         }
 
-        const legs = itineraryData.path;
-
         // 3. Nettoyer la carte
         mapRenderer.clearAllRoutes(); 
         mapRenderer.hideBusMarkers(); 
         mapRenderer.clearStops();     
-        mapRenderer.clearItinerary();
-        
-        // 4. DESSINER LE NOUVEAU TRACÉ (logique locale)
-        const allCoords = [];
-        
-        legs.forEach(leg => {
-            let style = {};
-            let legCoords = [];
-
-            // Obtenir les coords de départ et de fin du "leg"
-            const fromLatLon = leg.fromCoords || { lat: dataManager.getStop(leg.fromStopId).stop_lat, lon: dataManager.getStop(leg.fromStopId).stop_lon };
-            const toLatLon = leg.toCoords || { lat: dataManager.getStop(leg.toStopId).stop_lat, lon: dataManager.getStop(leg.toStopId).stop_lon };
-
-            legCoords = [
-                [parseFloat(fromLatLon.lat), parseFloat(fromLatLon.lon)],
-                [parseFloat(toLatLon.lat), parseFloat(toLatLon.lon)]
-            ];
-
-            if (leg.type === 'WALK') {
-                style = {
-                    color: '#6c757d',
-                    weight: 4,
-                    opacity: 0.8,
-                    dashArray: '5, 10'
-                };
-            } else if (leg.type === 'BUS') {
-                // AMÉLIORATION V2: On pourrait utiliser le GeoJSON de la route
-                // pour dessiner le vrai tracé du bus au lieu d'une ligne droite.
-                const transitColor = leg.route.route_color ? `#${leg.route.route_color}` : '#2563eb';
-                style = {
-                    color: transitColor,
-                    weight: 6,
-                    opacity: 0.9
-                };
-            }
-
-            if (legCoords.length > 0) {
-                allCoords.push(...legCoords);
-                L.polyline(legCoords, style).addTo(mapRenderer.itineraryLayer);
-            }
-        });
+        itineraryEndpoints = { startCoords, endCoords };
 
-        // 5. AJOUTER LES MARQUEURS DÉPART/ARRIVÉE
-        L.marker([startCoords.lat, startCoords.lon], { 
-            icon: L.divIcon({ className: 'stop-search-marker', html: '<div></div>', iconSize: [12, 12] })
-        })
-        .addTo(mapRenderer.itineraryLayer)
-        .bindPopup(`<b>Départ</b>`);
-
-        L.marker([endCoords.lat, endCoords.lon], { 
-            icon: L.divIcon({ className: 'stop-search-marker', html: '<div></div>', iconSize: [12, 12] })
-        })
-        .addTo(mapRenderer.itineraryLayer)
-        .bindPopup(`<b>Arrivée</b>`);
-
-        // 6. ZOOMER SUR L'ENSEMBLE DU TRAJET
-        if (allCoords.length > 0) {
-            const bounds = L.latLngBounds(allCoords);
-            mapRenderer.map.fitBounds(bounds, { padding: [50, 50] });
+        // 4. Afficher les alternatives : le panneau rappelle drawItinerary()
+        // pour l'itinéraire sélectionné (le premier par défaut)
+        if (rangeEndDate) {
+            plannerPanel.displayItineraryRange(itineraryData);
+        } else {
+            plannerPanel.displayItinerary(itineraryData);
         }
 
-        // 7. Afficher les instructions
-        // (NOTE: plannerPanel.js doit aussi être mis à jour pour lire ce format local)
-        plannerPanel.displayItinerary(itineraryData);
-
     } catch (error) {
         console.error("Erreur lors de la recherche d'itinéraire local:", error);
         plannerPanel.showError(error.message || "Erreur interne du calculateur d'itinéraire.");
         isPlannerMode = false;
     }
 }
+
+/**
+ * Dessine un itinéraire (alternative sélectionnée dans le panneau) sur la carte
+ * @param {{path: Array, stats: Object}} itinerary
+ */
+function drawItinerary(itinerary) {
+    if (!itineraryEndpoints) return;
+    const { startCoords, endCoords } = itineraryEndpoints;
+    const legs = itinerary.path;
+
+    mapRenderer.clearItinerary();
+
+    // 1. DESSINER LE TRACÉ (logique locale)
+    const allCoords = [];
+    
+    legs.forEach(leg => {
+        let style = {};
+        let legCoords = [];
+
+        // Obtenir les coords de départ et de fin du "leg"
+        const fromLatLon = leg.fromCoords || { lat: dataManager.getStop(leg.fromStopId).stop_lat, lon: dataManager.getStop(leg.fromStopId).stop_lon };
+        const toLatLon = leg.toCoords || { lat: dataManager.getStop(leg.toStopId).stop_lat, lon: dataManager.getStop(leg.toStopId).stop_lon };
+
+        // Les marches calculées sur le réseau piéton ont leur propre tracé
+        legCoords = leg.geometry || [
+            [parseFloat(fromLatLon.lat), parseFloat(fromLatLon.lon)],
+            [parseFloat(toLatLon.lat), parseFloat(toLatLon.lon)]
+        ];
+
+        if (leg.type === 'WALK') {
+            style = {
+                color: '#6c757d',
+                weight: 4,
+                opacity: 0.8,
+                dashArray: '5, 10'
+            };
+        } else if (leg.type === 'BUS') {
+            // AMÉLIORATION V2: On pourrait utiliser le GeoJSON de la route
+            // pour dessiner le vrai tracé du bus au lieu d'une ligne droite.
+            const transitColor = leg.route.route_color ? `#${leg.route.route_color}` : '#2563eb';
+            style = {
+                color: transitColor,
+                weight: 6,
+                opacity: 0.9
+            };
+        }
+
+        if (legCoords.length > 0) {
+            allCoords.push(...legCoords);
+            L.polyline(legCoords, style).addTo(mapRenderer.itineraryLayer);
+        }
+    });
+
+    // 2. AJOUTER LES MARQUEURS DÉPART/ARRIVÉE
+    L.marker([startCoords.lat, startCoords.lon], { 
+        icon: L.divIcon({ className: 'stop-search-marker', html: '<div></div>', iconSize: [12, 12] })
+    })
+    .addTo(mapRenderer.itineraryLayer)
+    .bindPopup(`<b>Départ</b>`);
+
+    L.marker([endCoords.lat, endCoords.lon], { 
+        icon: L.divIcon({ className: 'stop-search-marker', html: '<div></div>', iconSize: [12, 12] })
+    })
+    .addTo(mapRenderer.itineraryLayer)
+    .bindPopup(`<b>Arrivée</b>`);
+
+    // 3. ZOOMER SUR L'ENSEMBLE DU TRAJET
+    if (allCoords.length > 0) {
+        const bounds = L.latLngBounds(allCoords);
+        mapRenderer.map.fitBounds(bounds, { padding: [50, 50] });
+    }
+}
+
 /**
  * ===================================================================
  * FIN DES MODIFICATIONS
@@ -536,24 +940,47 @@ async function handleItineraryRequest(fromPlace, toPlace) {
 
 /**
  * MODIFIÉ: Fonction de mise à jour principale
+ * Les bus actifs viennent du worker : une seule requête à la fois, un appel
+ * reçu pendant ce temps relance une requête (à l'heure courante) dès la réponse.
  */
-function updateData(timeInfo) {
-    if (isPlannerMode) {
-        const currentSeconds = timeInfo ? timeInfo.seconds : timeManager.getCurrentSeconds();
-        updateClock(currentSeconds);
+async function updateData(timeInfo) {
+    updateAlerts(timeInfo?.seconds, timeInfo?.date);
+    if (isPlannerMode || isIsochroneMode) {
+        updateClock();
         return; 
     }
 
+    updateClock();
+
+    if (busUpdatePending) {
+        busUpdateQueued = true;
+        return;
+    }
+
     const currentSeconds = timeInfo ? timeInfo.seconds : timeManager.getCurrentSeconds();
-    const currentDate = timeInfo ? timeInfo.date : new Date(); 
+    const currentDate = timeInfo ? timeInfo.date : timeManager.getCurrentDate(); 
     
-    updateClock(currentSeconds);
-    
-    const activeBuses = tripScheduler.getActiveTrips(currentSeconds, currentDate);
+    busUpdatePending = true;
+    let activeBuses;
+    try {
+        activeBuses = await feedClient.getActiveTrips(currentSeconds, currentDate);
+    } catch (error) {
+        console.error('Erreur lors du calcul des bus actifs:', error);
+        activeBuses = null;
+    } finally {
+        busUpdatePending = false;
+    }
+    if (busUpdateQueued) {
+        busUpdateQueued = false;
+        updateData();
+    }
+    // Mode itinéraire ou zone accessible ouvert pendant la requête
+    if (!activeBuses || isPlannerMode || isIsochroneMode) return;
     
     const busesWithPositions = busPositionCalculator.calculateAllPositions(activeBuses)
         .filter(bus => bus !== null)
-        .filter(bus => bus.route && visibleRoutes.has(bus.route.route_id)); 
+        .filter(bus => bus.route && visibleRoutes.has(bus.route.route_id))
+        .filter(bus => !accessibleOnly || dataManager.getTripAccessibility(bus.trip) === ACCESSIBILITY.ACCESSIBLE);
     
     mapRenderer.updateBusMarkers(busesWithPositions, tripScheduler, currentSeconds);
     
@@ -562,16 +989,21 @@ function updateData(timeInfo) {
     updateBusCount(visibleBusCount, totalBusCount);
 }
 
-// Fonctions updateClock, updateBusCount, updateDataStatus (inchangées)
-function updateClock(seconds) {
-    const hours = Math.floor(seconds / 3600) % 24;
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    
-    const timeString = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
-    document.getElementById('current-time').textContent = timeString;
+// Fonctions updateBusCount, updateDataStatus (inchangées)
+/**
+ * Horloge : heure et date du réseau (agency_timezone), fuseau affiché
+ * s'il diffère de celui du navigateur
+ */
+function updateClock() {
+    document.getElementById('current-time').textContent = timeManager.getClockTimeString();
+
+    const timeZone = timeManager.getTimeZoneName();
+    const zoneIndicator = document.getElementById('timezone-indicator');
+    zoneIndicator.textContent = timeZone;
+    zoneIndicator.classList.toggle('hidden', timeZone === Intl.DateTimeFormat().resolvedOptions().timeZone);
+    document.getElementById('clock').title = `Heure du réseau (${timeZone})`;
     
-    const now = new Date();
+    const now = timeManager.getCurrentDate();
     const dateString = now.toLocaleDateString('fr-FR', { 
         weekday: 'short', 
         day: 'numeric', 
@@ -594,4 +1026,36 @@ function updateDataStatus(message, status = '') {
     statusElement.textContent = message;
 }
 
+/**
+ * Indicateur temps réel : heure de la dernière relève reçue, ou flux injoignable
+ * @param {Object} status - Événement "realtime" du moteur (voir FeedEngine.applyRealtime)
+ */
+function updateRealtimeStatus(status) {
+    realtimeStatusByKind[status.kind] = status;
+    const statuses = Object.values(realtimeStatusByKind);
+    const received = statuses.filter(entry => entry.status === 'ok');
+
+    const indicator = document.getElementById('realtime-status');
+    indicator.classList.remove('hidden');
+    indicator.classList.toggle('error', received.length === 0);
+    indicator.title = statuses.map(entry => {
+        if (entry.status === 'error') return `${entry.source} : ${entry.message}`;
+        if (entry.kind === 'alerts') {
+            return `${entry.alertCount} perturbation(s), dont ${entry.closureCount} fermeture(s) (${entry.source})`;
+        }
+        return entry.kind === 'vehiclePositions'
+            ? `${entry.vehicleCount} position(s) de véhicule, ${entry.matchedCount} rattachée(s) à une course (${entry.source})`
+            : `${entry.tripCount} course(s) avec prévision, dont ${entry.canceledCount} supprimée(s) (${entry.source})`;
+    }).join('\n');
+    if (received.length === 0) {
+        indicator.textContent = 'Temps réel indisponible';
+        return;
+    }
+    const latest = Math.max(...received.map(entry => entry.timestamp || 0));
+    const time = latest
+        ? new Date(latest * 1000).toLocaleTimeString('fr-FR', { timeZone: dataManager.timezone || undefined, hour: '2-digit', minute: '2-digit' })
+        : '--:--';
+    indicator.textContent = `Temps réel ${time}`;
+}
+
 initializeApp();
@@ -4,15 +4,45 @@
  *
  * Logique anti-clignotement (Audit 5.1 & 6.2) CONSERVÉE.
  * NOUVELLES fonctions pour le mode itinéraire.
+ * AJOUT: Accessibilité fauteuil roulant dans les popups (bus et arrêts).
+ * AJOUT: Temps réel (GTFS-Realtime) : retard prévu du bus, heures prévues et
+ * courses supprimées dans les prochains passages, sinon "horaire théorique".
+ * AJOUT: Positions mesurées (VehiclePositions) : le marqueur suit la mesure,
+ * reliée par un trait à la position prévue par les horaires.
+ * AJOUT: Perturbations (ServiceAlerts) signalées en tête de la popup d'arrêt.
+ * AJOUT: Prévisions (DelayPredictor) : retard prolongé ou reporté distingué de
+ * l'heure donnée par le flux, avec sa fiabilité (bus, arrivée, prochains passages).
+ * AJOUT: Lien de la popup d'arrêt vers son tableau des départs (board.html).
  */
 
+import { ACCESSIBILITY } from './dataManager.js';
+import { formatDelay, getServiceDayStart } from './timeManager.js';
+import { getAlertLevel, getAlertUrl } from './serviceAlerts.js';
+import { escapeHtml } from './htmlUtils.js';
+import { getConfidenceLevel } from './delayPredictor.js';
+
+// Libellés d'accessibilité (valeurs de ACCESSIBILITY)
+const ACCESSIBILITY_LABELS = {
+    ACCESSIBLE: 'Accessible en fauteuil roulant',
+    NOT_ACCESSIBLE: 'Non accessible en fauteuil roulant',
+    UNKNOWN: 'Accessibilité non renseignée'
+};
+
+// Libellés de fiabilité des prévisions (valeurs de getConfidenceLevel)
+const CONFIDENCE_LABELS = {
+    high: 'fiabilité bonne',
+    medium: 'fiabilité moyenne',
+    low: 'fiabilité faible'
+};
+
 export class MapRenderer {
     /**
      * @param {string} mapElementId - L'ID de l'élément HTML de la carte
      * @param {DataManager} dataManager - L'instance de DataManager
      * @param {TimeManager} timeManager - L'instance de TimeManager
+     * @param {FeedClient} feedClient - Requêtes au moteur GTFS (prochains passages)
      */
-    constructor(mapElementId, dataManager, timeManager) {
+    constructor(mapElementId, dataManager, timeManager, feedClient) {
         this.mapElementId = mapElementId;
         this.map = null;
         this.busMarkers = {};
@@ -25,9 +55,12 @@ export class MapRenderer {
 
         this.stopLayer = null;
         this.itineraryLayer = null; // NOUVEAU: Couche pour l'itinéraire A->B
+        this.isochroneLayer = null; // Zones accessibles (voir displayIsochrone)
+        this.deviationLayer = null; // Écarts position prévue -> position mesurée (voir updateDeviationLine)
 
         this.dataManager = dataManager;
         this.timeManager = timeManager;
+        this.feedClient = feedClient;
 
         this.clusterGroup = L.markerClusterGroup({
             spiderfyOnMaxZoom: true,
@@ -49,6 +82,15 @@ export class MapRenderer {
         
         this.stopLayer = L.layerGroup().addTo(this.map);
         this.itineraryLayer = L.layerGroup().addTo(this.map); // NOUVEAU
+
+        // Isochrones : cercles opaques dans un volet semi-transparent, pour que
+        // les chevauchements ne s'assombrissent pas
+        this.map.createPane('isochronePane');
+        this.map.getPane('isochronePane').style.zIndex = 350;
+        this.map.getPane('isochronePane').style.opacity = 0.4;
+        this.isochroneRenderer = L.canvas({ pane: 'isochronePane', padding: 0.5 });
+        this.isochroneLayer = L.layerGroup().addTo(this.map);
+        this.deviationLayer = L.layerGroup().addTo(this.map);
         this.map.addLayer(this.clusterGroup);
         
         console.log('🗺️ Carte initialisée');
@@ -215,7 +257,8 @@ export class MapRenderer {
         const activeBusIds = new Set();
         let reopenPopupAt = null;
 
-        busesWithPositions.forEach(bus => activeBusIds.add(bus.tripId));
+        // Un marqueur par véhicule (block_id) : il survit au passage d'un trip au suivant
+        busesWithPositions.forEach(bus => activeBusIds.add(bus.vehicleId || bus.tripId));
 
         Object.keys(this.busMarkers).forEach(busId => {
             if (!activeBusIds.has(busId)) {
@@ -224,25 +267,35 @@ export class MapRenderer {
                     reopenPopupAt = markerData.marker.getLatLng();
                 }
                 markersToRemove.push(markerData.marker);
+                this.updateDeviationLine(markerData, null);
                 delete this.busMarkers[busId];
             }
         });
 
         busesWithPositions.forEach(bus => {
-            const busId = bus.tripId;
+            const busId = bus.vehicleId || bus.tripId;
             if (!busId) return;
             
-            const { lat, lon } = bus.position;
-            
             if (this.busMarkers[busId]) {
                 const markerData = this.busMarkers[busId];
+                const previousRouteId = markerData.bus.route?.route_id;
                 markerData.bus = bus; 
-                markerData.marker.setLatLng([lat, lon]);
+                markerData.marker.setLatLng(this.getBusLatLng(bus));
+                this.updateDeviationLine(markerData, bus);
+
+                // Le véhicule enchaîne sur un trip d'une autre ligne : nouvelle étiquette
+                if (bus.route?.route_id !== previousRouteId) {
+                    markerData.marker.setIcon(this.createBusIcon(bus));
+                    if (markerData.marker.isPopupOpen()) {
+                        markerData.marker.getPopup().setContent(this.createBusPopupContent(bus, tripScheduler));
+                    }
+                }
                 
                 const isWaiting = !bus.segment; 
                 const iconElement = markerData.marker.getElement();
                 if (iconElement) {
                     iconElement.classList.toggle('bus-icon-waiting', isWaiting);
+                    iconElement.classList.toggle('bus-icon-measured', !!bus.measured);
                 }
                 
                 if (markerData.marker.isPopupOpen()) {
@@ -270,6 +323,7 @@ export class MapRenderer {
                     reopenPopupAt = null; 
                 }
                 this.busMarkers[busId] = markerData;
+                this.updateDeviationLine(markerData, bus);
                 markersToAdd.push(markerData.marker);
             }
         });
@@ -278,6 +332,47 @@ export class MapRenderer {
         if (markersToAdd.length > 0) this.clusterGroup.addLayers(markersToAdd);
     }
 
+    /**
+     * Position du marqueur : la dernière position mesurée si elle est récente,
+     * sinon celle calculée d'après les horaires
+     */
+    getBusLatLng(bus) {
+        return bus.measured
+            ? [bus.measured.lat, bus.measured.lon]
+            : [bus.position.lat, bus.position.lon];
+    }
+
+    /**
+     * Trait pointillé entre la position prévue par les horaires et la position
+     * mesurée, avec un repère à la position prévue (retiré sans mesure)
+     * @param {Object} markerData
+     * @param {Object|null} bus - null : retire le trait
+     */
+    updateDeviationLine(markerData, bus) {
+        if (!bus || !bus.measured) {
+            if (markerData.deviation) {
+                this.deviationLayer.removeLayer(markerData.deviation);
+                markerData.deviation = null;
+            }
+            return;
+        }
+
+        const planned = [bus.position.lat, bus.position.lon];
+        const measured = [bus.measured.lat, bus.measured.lon];
+        const color = bus.route?.route_color ? `#${bus.route.route_color}` : '#3B82F6';
+        if (!markerData.deviation) {
+            const line = L.polyline([planned, measured], { color, weight: 2, opacity: 0.8, dashArray: '4 6', interactive: false });
+            const plannedMarker = L.circleMarker(planned, { radius: 4, color, weight: 2, fillColor: '#ffffff', fillOpacity: 1, interactive: false });
+            markerData.deviation = L.layerGroup([line, plannedMarker]);
+            markerData.deviationLine = line;
+            markerData.plannedMarker = plannedMarker;
+            this.deviationLayer.addLayer(markerData.deviation);
+        } else {
+            markerData.deviationLine.setLatLngs([planned, measured]);
+            markerData.plannedMarker.setLatLng(planned);
+        }
+    }
+
     updateMovingBusPopup(popupElement, bus, tripScheduler) {
         try {
             const stopTimes = tripScheduler.dataManager.stopTimesByTrip[bus.tripId];
@@ -289,7 +384,7 @@ export class MapRenderer {
             const nextStopLabelText = "Prochain arrêt :";
             const nextStopText = nextStopName;
             const etaLabelText = "Arrivée :";
-            const etaText = nextStopETA ? nextStopETA.formatted : '...';
+            const etaText = this.formatETA(nextStopETA);
 
             const stateEl = popupElement.querySelector('[data-update="state"]');
             const nextStopLabelEl = popupElement.querySelector('[data-update="next-stop-label"]');
@@ -302,6 +397,7 @@ export class MapRenderer {
             if (nextStopEl && nextStopEl.textContent !== nextStopText) nextStopEl.textContent = nextStopText;
             if (etaLabelEl && etaLabelEl.textContent !== etaLabelText) etaLabelEl.textContent = etaLabelText;
             if (etaEl && etaEl.textContent !== etaText) etaEl.textContent = etaText;
+            this.updateRealtimeNotice(popupElement, bus);
             
         } catch (e) {
              console.error("Erreur mise à jour popup 'moving':", e, bus);
@@ -314,7 +410,7 @@ export class MapRenderer {
             const departureTime = bus.position.nextDepartureTime;
             const departureText = tripScheduler.dataManager.formatTime(departureTime).substring(0, 5); // Assurez-vous que formatTime existe
             
-            const stateText = `À l'arrêt`;
+            const stateText = bus.layover ? 'En attente au terminus' : `À l'arrêt`;
             const nextStopLabelText = "Arrêt actuel :";
             const nextStopText = stopName;
             const etaLabelText = "Départ :";
@@ -331,12 +427,63 @@ export class MapRenderer {
             if (nextStopEl && nextStopEl.textContent !== nextStopText) nextStopEl.textContent = nextStopText;
             if (etaLabelEl && etaLabelEl.textContent !== etaLabelText) etaLabelEl.textContent = etaLabelText;
             if (etaEl && etaEl.textContent !== etaText) etaEl.textContent = etaText;
+            this.updateRealtimeNotice(popupElement, bus);
 
         } catch (e) {
             console.error("Erreur mise à jour popup 'stationary':", e, bus);
         }
     }
 
+    /**
+     * Temps restant jusqu'au prochain arrêt, "(prévision)" si l'heure n'est pas donnée par le flux
+     */
+    formatETA(eta) {
+        if (!eta) return '...';
+        return eta.confidence !== null && eta.confidence < 1 ? `${eta.formatted} (prévision)` : eta.formatted;
+    }
+
+    /**
+     * Prévision temps réel du bus (retard prévu) ou horaire théorique. Un retard
+     * prolongé ou reporté de la course précédente est une prévision, avec sa fiabilité.
+     */
+    getRealtimeNoticeText(bus) {
+        if (bus.delay === null || bus.delay === undefined) {
+            return 'Horaire théorique';
+        }
+        const level = getConfidenceLevel(bus.confidence);
+        if (!level || bus.confidence >= 1) {
+            return `Temps réel : ${formatDelay(bus.delay)}`;
+        }
+        const origin = bus.prediction === 'block' ? ', retard de la course précédente' : '';
+        return `Prévision : ${formatDelay(bus.delay)} (${CONFIDENCE_LABELS[level]}${origin})`;
+    }
+
+    /**
+     * Origine de la position affichée : mesure du véhicule (âge, retard estimé) ou horaires
+     */
+    getPositionSourceText(bus) {
+        if (!bus.measured) {
+            return 'Position estimée d\'après les horaires';
+        }
+        const lateness = bus.measured.lateness !== null ? ` (${formatDelay(bus.measured.lateness)} sur l'horaire)` : '';
+        return `Position mesurée il y a ${Math.round(bus.measured.age)} s${lateness}`;
+    }
+
+    updateRealtimeNotice(popupElement, bus) {
+        const noticeEl = popupElement.querySelector('[data-update="realtime"]');
+        const noticeText = this.getRealtimeNoticeText(bus);
+        if (noticeEl && noticeEl.textContent !== noticeText) {
+            noticeEl.textContent = noticeText;
+            noticeEl.parentElement.classList.toggle('live', bus.delay !== null && bus.delay !== undefined);
+        }
+        const sourceEl = popupElement.querySelector('[data-update="position-source"]');
+        const sourceText = this.getPositionSourceText(bus);
+        if (sourceEl && sourceEl.textContent !== sourceText) {
+            sourceEl.textContent = sourceText;
+            sourceEl.parentElement.classList.toggle('live', !!bus.measured);
+        }
+    }
+
     createBusPopupContent(bus, tripScheduler) {
         const route = bus.route;
         const routeShortName = route?.route_short_name || route?.route_id || '?';
@@ -355,12 +502,12 @@ export class MapRenderer {
             nextStopLabelText = "Prochain arrêt :";
             nextStopText = nextStopName;
             etaLabelText = "Arrivée :";
-            etaText = nextStopETA ? nextStopETA.formatted : '...';
+            etaText = this.formatETA(nextStopETA);
         } else {
             const stopName = bus.position.stopInfo.stop_name;
             const departureTime = bus.position.nextDepartureTime;
             const departureText = tripScheduler.dataManager.formatTime(departureTime).substring(0, 5); // Assurez-vous que formatTime existe
-            stateText = `À l'arrêt`;
+            stateText = bus.layover ? 'En attente au terminus' : `À l'arrêt`;
             nextStopLabelText = "Arrêt actuel :";
             nextStopText = stopName;
             etaLabelText = "Départ :";
@@ -371,7 +518,9 @@ export class MapRenderer {
             <p><strong>Statut:</strong> <span data-update="state">${stateText}</span></p>
             <p><strong data-update="next-stop-label">${nextStopLabelText}</strong> <span data-update="next-stop-value">${nextStopText}</span></p>
             <p><strong data-update="eta-label">${etaLabelText}</strong> <span data-update="eta-value">${etaText}</span></p>
-            <p class="realtime-notice"><em>Mise à jour en temps réel</em></p>
+            ${this.createAccessibilityHtml(tripScheduler.dataManager.getTripAccessibility(bus.trip))}
+            <p class="realtime-notice${bus.delay !== null && bus.delay !== undefined ? ' live' : ''}"><em data-update="realtime">${this.getRealtimeNoticeText(bus)}</em></p>
+            <p class="realtime-notice${bus.measured ? ' live' : ''}"><em data-update="position-source">${this.getPositionSourceText(bus)}</em></p>
         `;
 
         return `
@@ -386,25 +535,27 @@ export class MapRenderer {
         `;
     }
 
-    createBusMarker(bus, tripScheduler, busId) {
-        const { lat, lon } = bus.position;
+    createBusIcon(bus) {
         const route = bus.route;
         const routeShortName = route?.route_short_name || route?.route_id || '?';
         const routeColor = route?.route_color ? `#${route.route_color}` : '#FFC107';
         const textColor = route?.route_text_color ? `#${route.route_text_color}` : '#ffffff';
 
         const isWaiting = !bus.segment; 
-        const iconClassName = isWaiting ? 'bus-icon-rect bus-icon-waiting' : 'bus-icon-rect';
+        let iconClassName = isWaiting ? 'bus-icon-rect bus-icon-waiting' : 'bus-icon-rect';
+        if (bus.measured) iconClassName += ' bus-icon-measured';
 
-        const icon = L.divIcon({
+        return L.divIcon({
             className: iconClassName,
             html: `<div style="background-color: ${routeColor}; color: ${textColor}; width: 40px; height: 24px; border-radius: 6px; border: 2px solid white; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 0.85rem; box-shadow: 0 2px 10px rgba(0,0,0,0.4); text-shadow: 0 1px 2px rgba(0,0,0,0.3);">${routeShortName}</div>`,
             iconSize: [40, 24],
             iconAnchor: [20, 12],
             popupAnchor: [0, -12]
         });
+    }
 
-        const marker = L.marker([lat, lon], { icon });
+    createBusMarker(bus, tripScheduler, busId) {
+        const marker = L.marker(this.getBusLatLng(bus), { icon: this.createBusIcon(bus) });
         marker.bindPopup("");
 
         marker.on('popupopen', (e) => {
@@ -426,6 +577,38 @@ export class MapRenderer {
         };
     }
 
+    /**
+     * Perturbations en cours (voir ServiceAlerts), une pastille par alerte.
+     * Partagé avec le panneau d'itinéraire (étapes BUS).
+     * @param {Array<Object>} alerts - Alertes ou résumés (summarizeAlert)
+     */
+    createAlertsHtml(alerts) {
+        return alerts.map(alert => {
+            const url = getAlertUrl(alert);
+            return `
+                <div class="alert-badge alert-${getAlertLevel(alert)}">
+                    <span class="material-icons">${alert.closed ? 'block' : 'warning'}</span>
+                    <div>
+                        <strong>${escapeHtml(alert.header)}</strong>
+                        ${alert.description ? `<p>${escapeHtml(alert.description)}</p>` : ''}
+                        ${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">En savoir plus</a>` : ''}
+                    </div>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Ligne d'accessibilité fauteuil roulant pour les popups
+     */
+    createAccessibilityHtml(accessibility) {
+        return `
+            <p class="accessibility-info a11y-${accessibility.toLowerCase().replace('_', '-')}">
+                <span class="material-icons">${accessibility === ACCESSIBILITY.NOT_ACCESSIBLE ? 'not_accessible' : 'accessible'}</span>
+                ${ACCESSIBILITY_LABELS[accessibility]}
+            </p>
+        `;
+    }
+
     highlightRoute(routeId, state) {
         if (!this.routeLayersById || !this.routeLayersById[routeId]) return;
         const weight = state ? 6 : 4; 
@@ -466,7 +649,18 @@ export class MapRenderer {
         this.tempStopMarker.bindPopup(`<b>${stop.stop_name}</b>`).openPopup();
     }
 
-    displayStops(minZoom = 13) { 
+    /**
+     * Cadre la carte sur l'ensemble des arrêts (nouveau flux GTFS chargé)
+     */
+    fitToStops() {
+        const coords = this.dataManager.masterStops
+            .map(stop => [parseFloat(stop.stop_lat), parseFloat(stop.stop_lon)])
+            .filter(([lat, lon]) => !isNaN(lat) && !isNaN(lon));
+        if (coords.length === 0) return;
+        this.map.fitBounds(L.latLngBounds(coords), { padding: [30, 30] });
+    }
+
+    displayStops(minZoom = 13) {
         this.clearStops(); // Utilise la nouvelle fonction
         const currentZoom = this.map.getZoom();
         if (currentZoom < minZoom) return; 
@@ -487,31 +681,52 @@ export class MapRenderer {
         stopsToDisplay.forEach(marker => this.stopLayer.addLayer(marker));
     }
 
-    onStopClick(masterStop) {
+    /**
+     * Popup d'un arrêt : ouverte aussitôt, complétée par les prochains passages
+     * calculés par le moteur GTFS (worker)
+     */
+    async onStopClick(masterStop) {
         const currentSeconds = this.timeManager.getCurrentSeconds();
         const currentDate = this.timeManager.getCurrentDate();
         const associatedStopIds = this.dataManager.groupedStopMap[masterStop.stop_id] || [masterStop.stop_id];
-        const departures = this.dataManager.getUpcomingDepartures(associatedStopIds, currentSeconds, currentDate, 5);
-        const popupContent = this.createStopPopupContent(masterStop, departures, currentSeconds);
         const lat = parseFloat(masterStop.stop_lat);
         const lon = parseFloat(masterStop.stop_lon);
-        L.popup()
+        const popup = L.popup()
             .setLatLng([lat, lon])
-            .setContent(popupContent)
+            .setContent(this.createStopPopupContent(masterStop, null, currentSeconds))
             .openOn(this.map);
+        try {
+            const departures = await this.feedClient.getUpcomingDepartures(associatedStopIds, currentSeconds, currentDate, 5);
+            popup.setContent(this.createStopPopupContent(masterStop, departures, currentSeconds));
+        } catch (error) {
+            console.error('Erreur lors du calcul des prochains passages:', error);
+            popup.setContent(this.createStopPopupContent(masterStop, [], currentSeconds, 'Prochains passages indisponibles.'));
+        }
     }
 
-    createStopPopupContent(masterStop, departures, currentSeconds) {
+    /**
+     * @param {Array|null} departures - null pendant le calcul
+     * @param {string} [emptyMessage] - Texte affiché sans départ
+     */
+    createStopPopupContent(masterStop, departures, currentSeconds, emptyMessage = 'Aucun prochain passage trouvé.') {
         let html = `<div class="info-popup-content">`;
         html += `<div class="info-popup-header">${masterStop.stop_name}</div>`;
         html += `<div class="info-popup-body">`;
-        if (departures.length === 0) {
-            html += `<div class="departure-item empty">Aucun prochain passage trouvé.</div>`;
+        const now = getServiceDayStart(this.timeManager.getCurrentDate(), this.dataManager.timezone) + currentSeconds;
+        const stopIds = this.dataManager.groupedStopMap[masterStop.stop_id] || [masterStop.stop_id];
+        html += this.createAlertsHtml(this.dataManager.serviceAlerts.getStopAlerts(stopIds, now));
+        html += this.createAccessibilityHtml(this.dataManager.getStopAccessibility(masterStop.stop_id));
+        if (departures === null) {
+            html += `<div class="departure-item empty">Chargement des prochains passages...</div>`;
+        } else if (departures.length === 0) {
+            html += `<div class="departure-item empty">${emptyMessage}</div>`;
         } else {
             departures.forEach(dep => {
                 const waitSeconds = dep.departureSeconds - currentSeconds;
                 let waitTime = "";
-                if (waitSeconds >= 0) {
+                if (dep.canceled) {
+                    waitTime = `<span class="wait-time canceled">Supprimé</span>`;
+                } else if (waitSeconds >= 0) {
                     const waitMinutes = Math.floor(waitSeconds / 60);
                     if (waitMinutes === 0) {
                         waitTime = `<span class="wait-time imminent">Imminent</span>`;
@@ -519,8 +734,25 @@ export class MapRenderer {
                         waitTime = `<span class="wait-time">${waitMinutes} min</span>`;
                     }
                 }
+                // Temps réel : heure prévue (et heure théorique barrée si elle diffère)
+                let timeHtml = `<strong title="Horaire théorique">${dep.time.substring(0, 5)}</strong>`;
+                if (dep.canceled) {
+                    timeHtml = `<strong><s>${dep.scheduledTime.substring(0, 5)}</s></strong>`;
+                } else if (dep.realtime) {
+                    const scheduled = dep.scheduledTime.substring(0, 5);
+                    const level = getConfidenceLevel(dep.confidence);
+                    const predicted = !dep.observed && level && dep.confidence < 1;
+                    const title = predicted
+                        ? `Prévision (${formatDelay(dep.delay)}, ${CONFIDENCE_LABELS[level]})`
+                        : `Temps réel (${formatDelay(dep.delay)})`;
+                    timeHtml = `
+                        <strong class="realtime${predicted ? ` predicted confidence-${level}` : ''}" title="${title}">
+                            ${scheduled !== dep.time.substring(0, 5) ? `<s>${scheduled}</s>` : ''}
+                            ${dep.time.substring(0, 5)}
+                        </strong>`;
+                }
                 html += `
-                    <div class="departure-item">
+                    <div class="departure-item${dep.canceled ? ' canceled' : ''}">
                         <div class="departure-info">
                             <span class="departure-badge" style="background-color: #${dep.routeColor}; color: #${dep.routeTextColor};">
                                 ${dep.routeShortName}
@@ -528,13 +760,21 @@ export class MapRenderer {
                             <span class="departure-dest">${dep.destination}</span>
                         </div>
                         <div class="departure-time">
-                            <strong>${dep.time.substring(0, 5)}</strong>
+                            ${timeHtml}
                             ${waitTime}
                         </div>
                     </div>
                 `;
             });
+            const hasPredictions = departures.some(dep => dep.realtime && !dep.observed && dep.confidence !== null && dep.confidence < 1);
+            html += departures.some(dep => dep.realtime)
+                ? `<p class="realtime-notice live"><em>En vert : prévisions temps réel${hasPredictions ? ' (en italique : retard prolongé, fiabilité au survol)' : ''}</em></p>`
+                : `<p class="realtime-notice"><em>Horaires théoriques</em></p>`;
         }
+        html += `
+            <a class="board-link" href="board.html?stop=${encodeURIComponent(masterStop.stop_id)}" target="_blank" rel="noopener">
+                <span class="material-icons">tv</span> Tableau des départs
+            </a>`;
         html += `</div></div>`;
         return html;
     }
@@ -589,6 +829,70 @@ export class MapRenderer {
         }
     }
 
+    /**
+     * Efface la zone accessible (isochrone)
+     */
+    clearIsochrone() {
+        if (this.isochroneLayer) {
+            this.isochroneLayer.clearLayers();
+        }
+    }
+
+    /**
+     * Dessine une isochrone (LocalPathfinder.computeIsochrone) par tranches :
+     * pour chaque tranche, l'union des cercles de marche autour des points atteints,
+     * de la plus lointaine à la plus proche (les plus proches recouvrent les autres)
+     * @param {Object} isochrone
+     * @param {number[]} bandLimits - Limites des tranches (secondes, croissantes)
+     * @param {string[]} colors - Une couleur par tranche
+     */
+    displayIsochrone(isochrone, bandLimits, colors) {
+        this.clearIsochrone();
+        const { reached, walkingSpeed, maxWalkDistance } = isochrone;
+
+        for (let band = bandLimits.length - 1; band >= 0; band--) {
+            reached.forEach(point => {
+                const remaining = bandLimits[band] - point.travelTime;
+                if (remaining <= 0) return;
+                L.circle([point.coords.lat, point.coords.lon], {
+                    radius: Math.min(maxWalkDistance, remaining * walkingSpeed),
+                    renderer: this.isochroneRenderer,
+                    stroke: false,
+                    fillColor: colors[band],
+                    fillOpacity: 1,
+                    interactive: false
+                }).addTo(this.isochroneLayer);
+            });
+        }
+
+        // Arrêts atteints, colorés selon leur tranche
+        reached.forEach(point => {
+            if (!point.stopId) return;
+            const band = bandLimits.findIndex(limit => point.travelTime <= limit);
+            const stop = this.dataManager.getStop(point.stopId);
+            L.circleMarker([point.coords.lat, point.coords.lon], {
+                radius: 4,
+                color: '#ffffff',
+                weight: 1,
+                fillColor: colors[band],
+                fillOpacity: 1
+            })
+            .bindPopup(`<b>${stop.stop_name}</b><br>Atteint en ${Math.round(point.travelTime / 60)} min`)
+            .addTo(this.isochroneLayer);
+        });
+
+        L.marker([isochrone.origin.lat, isochrone.origin.lon], {
+            icon: L.divIcon({ className: 'stop-search-marker', html: '<div></div>', iconSize: [12, 12] })
+        })
+        .bindPopup('<b>Point de départ</b>')
+        .addTo(this.isochroneLayer);
+
+        const bounds = L.latLngBounds(reached.map(point => [point.coords.lat, point.coords.lon]));
+        if (bounds.isValid()) {
+            this.map.fitBounds(bounds.pad(0.1), { maxZoom: 15 });
+        }
+    }
+
     /**
      * Dessine un itinéraire (simple polyligne) fourni par Google
      */
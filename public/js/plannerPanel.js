@@ -11,19 +11,52 @@
  * MODIFIÉ :
  * - displayItinerary() et createLegStep() pour lire le format
  * de réponse de notre 'localPathfinder'.
+ * - displayItinerary() affiche les alternatives (front de Pareto)
+ * sous forme de cartes sélectionnables.
+ * - displayItineraryRange() affiche les trajets d'une plage horaire
+ * sous forme de frise (mode "Prochains départs").
+ * - createLegStep() indique si l'étape BUS suit une prévision temps réel.
+ * - createLegStep() signale les perturbations qui touchent l'étape BUS
+ * (`leg.alerts`), les cartes d'alternatives portent un pictogramme.
  */
+
+import { ACCESSIBILITY } from './dataManager.js';
+import { formatDelay, getZonedDateTime } from './timeManager.js';
+import { escapeHtml } from './htmlUtils.js';
+
+// Libellés des étiquettes posées par LocalPathfinder.selectParetoItineraries
+const ITINERARY_TAG_LABELS = {
+    FASTEST: 'Le plus rapide',
+    LATEST_DEPARTURE: 'Départ le plus tard',
+    FEWEST_TRANSFERS: 'Moins de correspondances',
+    LEAST_WALKING: 'Moins de marche'
+};
+
 export class PlannerPanel {
-    constructor(panelId, dataManager, mapRenderer, searchCallback) {
+    constructor(panelId, dataManager, mapRenderer, searchCallback, selectCallback) {
         this.panel = document.getElementById(panelId);
         this.dataManager = dataManager;
         this.mapRenderer = mapRenderer;
         this.searchCallback = searchCallback; // La fonction de main.js
+        this.selectCallback = selectCallback; // Redessine l'itinéraire choisi sur la carte
+
+        // Alternatives de la dernière recherche
+        this.itineraries = [];
+        this.selectedIndex = 0;
 
         // Éléments...
         this.fromInput = document.getElementById('planner-from');
         this.toInput = document.getElementById('planner-to');
         this.searchButton = document.getElementById('btn-search-itinerary');
         this.locateButton = document.getElementById('btn-use-location');
+        this.dateInput = document.getElementById('planner-date');
+        this.timeInput = document.getElementById('planner-time');
+        this.nowButton = document.getElementById('btn-planner-now');
+        this.rangeOptions = document.getElementById('planner-range-options');
+        this.timeEndInput = document.getElementById('planner-time-end');
+        this.rangeLimitSelect = document.getElementById('planner-range-limit');
+        this.wheelchairCheckbox = document.getElementById('planner-wheelchair');
+        this.modeButtons = this.panel.querySelectorAll('.segmented-control .segment');
         this.loadingSpinner = document.getElementById('planner-loading');
         this.summaryContainer = document.getElementById('itinerary-summary');
         this.stepsContainer = document.getElementById('itinerary-steps');
@@ -36,7 +69,13 @@ export class PlannerPanel {
         this.fromValue = null;
         this.toValue = null;
 
+        // Mode horaire : 'depart' (Partir à), 'arrive' (Arriver avant)
+        // ou 'range' (Prochains départs entre timeInput et timeEndInput)
+        this.timeMode = 'depart';
+        this.dateTimeEdited = false; // L'utilisateur a-t-il choisi une date/heure ?
+
         this.bindEvents();
+        this.resetDateTime();
         
         // Cacher les résultats si on clique ailleurs
         document.addEventListener('click', (e) => {
@@ -123,10 +162,24 @@ export class PlannerPanel {
 
             if (from && to) {
                 this.showLoading();
-                this.searchCallback(from, to); // Appelle main.js
+                this.searchCallback(from, to, this.getSearchOptions()); // Appelle main.js
             }
         });
 
+        // Bascule "Partir à" / "Arriver avant" / "Prochains départs"
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => this.setTimeMode(button.dataset.mode));
+        });
+
+        // Date et heure du trajet
+        [this.dateInput, this.timeInput, this.timeEndInput].forEach(input => {
+            input.addEventListener('change', () => { this.dateTimeEdited = true; });
+        });
+        this.nowButton.addEventListener('click', () => {
+            this.dateTimeEdited = false;
+            this.resetDateTime();
+        });
+
         // Bouton "Ma Position"
         this.locateButton.addEventListener('click', () => {
             this.mapRenderer.map.locate({ setView: false, maxZoom: 16 })
@@ -142,6 +195,59 @@ export class PlannerPanel {
         });
     }
 
+    /**
+     * Change le mode horaire ('depart', 'arrive' ou 'range')
+     */
+    setTimeMode(mode) {
+        this.timeMode = mode;
+        this.modeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        this.rangeOptions.classList.toggle('hidden', mode !== 'range');
+    }
+
+    /**
+     * Remet la date et l'heure à "maintenant" (sauf si l'utilisateur les a modifiées)
+     * et borne le sélecteur de date à la période couverte par les horaires
+     */
+    resetDateTime() {
+        const range = this.dataManager.getCalendarRange();
+        if (range) {
+            this.dateInput.min = this.formatDateInputValue(this.dataManager.parseDateKey(range.startDate));
+            this.dateInput.max = this.formatDateInputValue(this.dataManager.parseDateKey(range.endDate));
+        }
+
+        if (this.dateTimeEdited) return;
+        const now = getZonedDateTime(new Date(), this.dataManager.timezone); // Heure du réseau
+        const inTwoHours = new Date(now.getTime() + 2 * 3600 * 1000);
+        const formatHour = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+        this.dateInput.value = this.formatDateInputValue(now);
+        this.timeInput.value = formatHour(now);
+        // Plage par défaut : 2 h (sans dépasser minuit)
+        this.timeEndInput.value = inTwoHours.getDate() === now.getDate() ? formatHour(inTwoHours) : '23:59';
+    }
+
+    /** Date -> "YYYY-MM-DD" (valeur d'un <input type="date">) */
+    formatDateInputValue(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Options de recherche transmises à main.js :
+     * { arriveBy, date: "YYYY-MM-DD", time: "HH:MM", range: { endTime: "HH:MM", limit } | null, wheelchair }
+     */
+    getSearchOptions() {
+        return {
+            wheelchair: this.wheelchairCheckbox.checked,
+            arriveBy: this.timeMode === 'arrive',
+            date: this.dateInput.value || null,
+            time: this.timeInput.value || null,
+            range: this.timeMode === 'range'
+                ? { endTime: this.timeEndInput.value || null, limit: parseInt(this.rangeLimitSelect.value, 10) }
+                : null
+        };
+    }
+
     showLoading() {
         this.loadingSpinner.classList.remove('hidden');
         this.summaryContainer.innerHTML = '';
@@ -158,7 +264,7 @@ export class PlannerPanel {
     }
 
     /**
-     * Affiche l'itinéraire (réponse de localPathfinder) dans le panneau
+     * Affiche les itinéraires (réponse de localPathfinder) dans le panneau
      */
     displayItinerary(itineraryData) {
         this.hideLoading();
@@ -169,28 +275,187 @@ export class PlannerPanel {
             return;
         }
 
-        const legs = itineraryData.path;
-        const totalDuration = itineraryData.stats.duration;
-        
-        const firstLeg = legs[0];
-        const lastLeg = legs[legs.length - 1];
+        this.itineraries = itineraryData.itineraries ||
+            [{ path: itineraryData.path, stats: itineraryData.stats, tags: ['FASTEST'] }];
+
+        this.summaryContainer.innerHTML = '';
+        this.itineraries.forEach((itinerary, index) => {
+            const card = this.createItineraryCard(itinerary);
+            card.dataset.itineraryIndex = index;
+            card.addEventListener('click', () => this.selectItinerary(index));
+            this.summaryContainer.appendChild(card);
+        });
+
+        this.selectItinerary(0);
+    }
+
+    /**
+     * Affiche les trajets d'une plage horaire (réponse de findItineraryRange)
+     * sous forme de frise : départ, arrivée, lignes empruntées
+     */
+    displayItineraryRange(itineraryData) {
+        this.hideLoading();
+        this.stepsContainer.innerHTML = '';
+
+        if (itineraryData.status !== 'OK' || !itineraryData.itineraries || itineraryData.itineraries.length === 0) {
+            this.showError("Aucun trajet ne part dans cette plage horaire.");
+            return;
+        }
+
+        this.itineraries = itineraryData.itineraries;
+
+        const timeline = document.createElement('ol');
+        timeline.className = 'itinerary-timeline';
+        this.itineraries.forEach((itinerary, index) => {
+            const item = this.createTimelineItem(itinerary);
+            item.dataset.itineraryIndex = index;
+            item.addEventListener('click', () => this.selectItinerary(index));
+            timeline.appendChild(item);
+        });
 
-        // Formater les heures de départ et d'arrivée
-        const departureTime = this.dataManager.formatTime(firstLeg.startTime).substring(0, 5);
-        const arrivalTime = this.dataManager.formatTime(lastLeg.endTime).substring(0, 5);
+        this.summaryContainer.innerHTML = `<h4>${this.itineraries.length} départ${this.itineraries.length > 1 ? 's' : ''}</h4>`;
+        this.summaryContainer.appendChild(timeline);
 
-        this.summaryContainer.innerHTML = `
-            <h4>Le plus rapide : ${this.dataManager.formatDuration(totalDuration)}</h4>
+        this.selectItinerary(0);
+    }
+
+    /**
+     * Sélectionne une alternative : met en évidence sa carte,
+     * affiche ses étapes et la redessine sur la carte
+     */
+    selectItinerary(index) {
+        const itinerary = this.itineraries[index];
+        if (!itinerary) return;
+        this.selectedIndex = index;
+
+        this.summaryContainer.querySelectorAll('[data-itinerary-index]').forEach(card => {
+            card.classList.toggle('selected', Number(card.dataset.itineraryIndex) === index);
+        });
+
+        this.stepsContainer.innerHTML = '';
+        itinerary.path.forEach((leg, index) => {
+            this.stepsContainer.appendChild(this.createLegStep(leg, itinerary.path[index + 1]));
+        });
+
+        if (this.selectCallback) {
+            this.selectCallback(itinerary);
+        }
+    }
+
+    /** Crée la carte résumé d'une alternative (horaires, lignes, correspondances, marche) */
+    createItineraryCard(itinerary) {
+        const { path, stats, tags } = itinerary;
+        const card = document.createElement('div');
+        card.className = 'itinerary-option';
+
+        const departureTime = this.dataManager.formatTime(stats.departureTime).substring(0, 5);
+        const arrivalTime = this.dataManager.formatTime(stats.arrivalTime).substring(0, 5);
+        const title = tags.length > 0 ? ITINERARY_TAG_LABELS[tags[0]] : 'Alternative';
+
+        const linesHtml = this.createLinesHtml(path);
+
+        const transfersText = stats.transfers === 0
+            ? 'Direct'
+            : `${stats.transfers} correspondance${stats.transfers > 1 ? 's' : ''}`;
+        const walkText = stats.walkDistance > 1000
+            ? `${(stats.walkDistance / 1000).toFixed(1)} km à pied`
+            : `${Math.round(stats.walkDistance)} m à pied`;
+
+        card.innerHTML = `
+            <div class="itinerary-option-header">
+                <h4>${title}</h4>
+                <span>${this.dataManager.formatDuration(stats.duration)}</span>
+            </div>
             <p>${departureTime} &ndash; ${arrivalTime}</p>
+            <div class="itinerary-option-lines">${linesHtml}</div>
+            <p class="itinerary-option-meta">${transfersText} · ${walkText}</p>
         `;
+        return card;
+    }
 
-        legs.forEach(leg => {
-            this.stepsContainer.appendChild(this.createLegStep(leg));
-        });
+    /** Crée une ligne de la frise des départs (mode "Prochains départs") */
+    createTimelineItem(itinerary) {
+        const { path, stats } = itinerary;
+        const item = document.createElement('li');
+        item.className = 'timeline-item';
+
+        const departureTime = this.dataManager.formatTime(stats.departureTime).substring(0, 5);
+        const arrivalTime = this.dataManager.formatTime(stats.arrivalTime).substring(0, 5);
+
+        item.innerHTML = `
+            <div class="timeline-times">
+                <strong>${departureTime}</strong>
+                <span>${arrivalTime}</span>
+            </div>
+            <div class="timeline-details">
+                <div class="itinerary-option-lines">${this.createLinesHtml(path)}</div>
+                <span class="timeline-duration">${this.dataManager.formatDuration(stats.duration)}</span>
+            </div>
+        `;
+        return item;
+    }
+
+    /** Badges des lignes empruntées, séparés par des chevrons (pictogramme si perturbation) */
+    createLinesHtml(path) {
+        const busLegs = path.filter(leg => leg.type === 'BUS');
+        if (busLegs.length === 0) {
+            return '<span class="material-icons">directions_walk</span>';
+        }
+        return busLegs.map((leg, index) => {
+            const routeColor = leg.route.route_color ? `#${leg.route.route_color}` : '#333';
+            const textColor = leg.route.route_text_color ? `#${leg.route.route_text_color}` : this.getContrastColor(routeColor);
+            const alertIcon = leg.alerts?.length
+                ? `<span class="material-icons leg-alert-icon" title="${escapeHtml(leg.alerts.map(alert => alert.header).join('\n'))}">warning</span>`
+                : '';
+            const badge = `<span class="leg-badge" style="background-color: ${routeColor}; color: ${textColor};">${leg.route.route_short_name || leg.route.route_id}</span>${alertIcon}`;
+            if (index === 0) return badge;
+            // Rester à bord : pas une correspondance
+            const separator = leg.inSeat
+                ? '<span class="material-icons" title="Sans descendre du bus">airline_seat_recline_normal</span>'
+                : '<span class="material-icons">chevron_right</span>';
+            return separator + badge;
+        }).join('');
+    }
+
+    /**
+     * Accessibilité du véhicule d'une étape BUS, signalée si elle est connue
+     */
+    createLegAccessibilityHtml(leg) {
+        if (leg.wheelchairAccessible === ACCESSIBILITY.ACCESSIBLE) {
+            return `<div class="leg-accessibility"><span class="material-icons">accessible</span> Véhicule accessible</div>`;
+        }
+        if (leg.wheelchairAccessible === ACCESSIBILITY.NOT_ACCESSIBLE) {
+            return `<div class="leg-accessibility warning"><span class="material-icons">not_accessible</span> Véhicule non accessible</div>`;
+        }
+        return '';
+    }
+
+    /** Heure de passage d'une étape BUS : prévision temps réel ou horaire théorique */
+    createLegRealtimeHtml(leg) {
+        if (!leg.realtime) {
+            return `<div class="leg-realtime">Horaire théorique</div>`;
+        }
+        return `<div class="leg-realtime live"><span class="material-icons">sensors</span> Temps réel : ${formatDelay(leg.delay)}</div>`;
     }
 
-    /** Crée une étape de trajet (Marche ou Bus) à partir de notre format local */
-    createLegStep(leg) {
+    /** Instructions pas à pas d'une marche (réseau piéton), si disponibles */
+    createWalkInstructionsHtml(leg) {
+        if (!leg.instructions || leg.instructions.length === 0) return '';
+
+        const items = leg.instructions.map(step => {
+            const distance = step.distance >= 1 ? ` <span class="walk-step-distance">${Math.round(step.distance)} m</span>` : '';
+            return `<li>${step.text}${distance}</li>`;
+        }).join('');
+
+        return `<ol class="walk-instructions">${items}</ol>`;
+    }
+
+    /**
+     * Crée une étape de trajet (Marche ou Bus) à partir de notre format local
+     * @param {Object} leg
+     * @param {Object} [nextLeg] - Étape suivante (pour "rester à bord")
+     */
+    createLegStep(leg, nextLeg = null) {
         const el = document.createElement('div');
         el.className = 'itinerary-leg';
         el.dataset.mode = leg.type;
@@ -222,6 +487,7 @@ export class PlannerPanel {
             details = `
                 <strong>${instruction}</strong>
                 <div class="leg-time-info">${legDuration} (${distance})</div>
+                ${this.createWalkInstructionsHtml(leg)}
             `;
         } else if (leg.type === 'BUS') {
             icon = 'directions_bus';
@@ -231,8 +497,17 @@ export class PlannerPanel {
             const routeColor = line.route_color ? `#${line.route_color}` : '#333';
             const textColor = line.route_text_color ? `#${line.route_text_color}` : this.getContrastColor(routeColor);
 
+            const boardText = transit.inSeat
+                ? `${startTime} - Rester à bord à <strong>${transit.fromStopName}</strong> : le bus continue`
+                : `${startTime} - Prendre à <strong>${transit.fromStopName}</strong>`;
+            const alightText = nextLeg?.inSeat
+                ? `Ne pas descendre à <strong>${transit.toStopName}</strong>`
+                : `Descendre à <strong>${transit.toStopName}</strong>`;
+
             details = `
-                <div class="leg-time-info">${startTime} - Prendre à <strong>${transit.fromStopName}</strong></div>
+                <div class="leg-time-info">${boardText}</div>
+                ${this.createLegRealtimeHtml(transit)}
+                ${this.mapRenderer.createAlertsHtml(transit.alerts || [])}
                 <div class="leg-route">
                     <span class="leg-badge" style="background-color: ${routeColor}; color: ${textColor};">
                         ${line.route_short_name || line.route_id}
@@ -243,8 +518,9 @@ export class PlannerPanel {
                     ${legDuration}
                 </div>
                 <div class="leg-time-info" style="margin-top: 5px;">
-                    Descendre à <strong>${transit.toStopName}</strong>
+                    ${alightText}
                 </div>
+                ${this.createLegAccessibilityHtml(transit)}
             `;
         } else {
             icon = 'help';
@@ -0,0 +1,315 @@
+/**
+ * serviceAlerts.js
+ * Perturbations annoncées : GTFS-Realtime ServiceAlerts (protobuf) ou fichier
+ * JSON local (voir alertsFromJson), rattachées aux lignes, arrêts et trips.
+ *
+ * Chaque entité visée (informed_entity) est résolue dès la lecture en
+ * ensembles d'identifiants du flux GTFS : une ligne, un arrêt (avec ses quais
+ * s'il s'agit d'une station), un trip, toutes les lignes d'un exploitant ou
+ * d'un mode (route_type). Une entité qui combine ligne et arrêt ne vise que
+ * cette ligne à cet arrêt.
+ *
+ * Fermetures (effet NO_SERVICE, voir getClosures) : le calcul d'itinéraire
+ * évite les arrêts, lignes et trips fermés. Une fermeture limitée à une ligne
+ * à un arrêt n'est qu'un avertissement. Les autres effets (déviation,
+ * retards...) sont seulement affichés.
+ *
+ * Une alerte n'est active que pendant ses périodes (active_period) ; sans
+ * période, elle l'est tant que le flux l'annonce.
+ */
+
+import { INCREMENTALITY, ALERT_EFFECT, ALERT_SEVERITY } from './gtfsRealtime.js';
+
+const PREFERRED_LANGUAGE = 'fr';
+
+export class ServiceAlerts {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.alerts = new Map(); // "feedId|id" -> alerte normalisée
+        this.timestamp = null;   // header.timestamp du dernier flux (secondes POSIX)
+    }
+
+    /**
+     * Intègre un FeedMessage décodé. Un flux complet remplace les alertes
+     * précédentes du même flux GTFS, un flux différentiel les complète.
+     * @param {Object} message
+     * @param {string|null} [feedId] - Flux GTFS auquel se rapportent les identifiants (voir getFeedEntityId)
+     * @returns {{timestamp: number|null, alertCount: number, closureCount: number}}
+     */
+    load(message, feedId = null) {
+        const timestamp = message.header.timestamp || Math.floor(Date.now() / 1000);
+
+        if (message.header.incrementality !== INCREMENTALITY.DIFFERENTIAL) {
+            this.alerts.forEach((alert, key) => {
+                if (alert.feedId === feedId) this.alerts.delete(key);
+            });
+        }
+
+        message.entity.forEach(entity => {
+            if (!entity.alert && !entity.is_deleted) return;
+            const key = `${feedId}|${entity.id}`;
+            if (entity.is_deleted) {
+                this.alerts.delete(key);
+                return;
+            }
+            const alert = this.normalize(entity.id, entity.alert, feedId);
+            if (alert.selectors.length > 0) {
+                this.alerts.set(key, alert);
+            }
+        });
+        this.timestamp = timestamp;
+
+        const alerts = this.getAlerts();
+        return {
+            timestamp,
+            alertCount: alerts.length,
+            closureCount: alerts.filter(alert => alert.closed).length
+        };
+    }
+
+    /**
+     * Alerte décodée -> { id, header, description, url, effect, severity, closed,
+     * activePeriods, selectors } ; chaque sélecteur : { routeIds, stopIds, tripId, tripRouteId }
+     * (ensembles null quand le critère est absent)
+     */
+    normalize(id, alert, feedId) {
+        const dm = this.dataManager;
+        const toFeedId = (kind, value) => (feedId ? dm.getFeedEntityId(feedId, kind, value) : value);
+
+        const selectors = [];
+        (alert.informed_entity || []).forEach(entity => {
+            let routeIds = null;
+            if (entity.route_id) {
+                routeIds = new Set([toFeedId('route', entity.route_id)]);
+            } else if (entity.agency_id || entity.route_type !== undefined) {
+                const agencyId = entity.agency_id ? toFeedId('agency', entity.agency_id) : null;
+                routeIds = new Set(dm.routes
+                    .filter(route => (!agencyId || route.agency_id === agencyId) &&
+                        (entity.route_type === undefined || parseInt(route.route_type, 10) === entity.route_type))
+                    .map(route => route.route_id));
+            }
+
+            let stopIds = null;
+            if (entity.stop_id) {
+                const stopId = toFeedId('stop', entity.stop_id);
+                stopIds = new Set(dm.groupedStopMap[stopId] || [stopId]);
+                stopIds.add(stopId);
+            }
+
+            const tripId = entity.trip?.trip_id ? toFeedId('trip', entity.trip.trip_id) : null;
+            if (!routeIds && !stopIds && !tripId) {
+                if (!entity.trip?.route_id) return; // Sélecteur vide ou non géré (direction seule)
+                routeIds = new Set([toFeedId('route', entity.trip.route_id)]);
+            }
+
+            selectors.push({
+                routeIds,
+                stopIds,
+                tripId,
+                tripRouteId: tripId ? dm.tripsByTripId[tripId]?.route_id ?? null : null
+            });
+        });
+
+        const effect = alert.effect ?? ALERT_EFFECT.UNKNOWN_EFFECT;
+        return {
+            id,
+            feedId,
+            header: this.getText(alert.header_text) || 'Perturbation',
+            description: this.getText(alert.description_text),
+            url: this.getText(alert.url),
+            effect,
+            severity: alert.severity_level ?? ALERT_SEVERITY.UNKNOWN_SEVERITY,
+            closed: effect === ALERT_EFFECT.NO_SERVICE,
+            activePeriods: (alert.active_period || []).map(period => ({
+                start: period.start || null,
+                end: period.end || null
+            })),
+            selectors
+        };
+    }
+
+    /**
+     * Texte d'un TranslatedString : traduction française, sinon sans langue, sinon la première
+     */
+    getText(translated) {
+        const translations = translated?.translation || [];
+        const match = translations.find(t => t.language?.toLowerCase().startsWith(PREFERRED_LANGUAGE))
+            || translations.find(t => !t.language)
+            || translations[0];
+        return match?.text || '';
+    }
+
+    /**
+     * Remplace toutes les alertes (interface : liste reçue du moteur, voir getAlerts)
+     * @param {Array<Object>} alerts
+     */
+    setAlerts(alerts) {
+        this.alerts = new Map(alerts.map(alert => [`${alert.feedId}|${alert.id}`, alert]));
+    }
+
+    /**
+     * Alertes connues, les plus graves d'abord
+     * @returns {Array<Object>}
+     */
+    getAlerts() {
+        return [...this.alerts.values()].sort((a, b) => b.severity - a.severity || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Oublie toutes les alertes (ex. nouveau flux GTFS chargé)
+     */
+    clear() {
+        this.alerts.clear();
+        this.timestamp = null;
+    }
+
+    /**
+     * @param {Object} alert
+     * @param {number} now - Secondes POSIX
+     */
+    isActive(alert, now) {
+        return alert.activePeriods.length === 0 || alert.activePeriods.some(period =>
+            (!period.start || now >= period.start) && (!period.end || now < period.end));
+    }
+
+    /**
+     * Alertes actives à un instant, les plus graves d'abord
+     * @param {number} now - Secondes POSIX
+     */
+    getActiveAlerts(now) {
+        return this.getAlerts().filter(alert => this.isActive(alert, now));
+    }
+
+    /**
+     * Alertes actives qui concernent une ligne (ligne entière, trip ou arrêt de la ligne)
+     */
+    getRouteAlerts(routeId, now) {
+        return this.getActiveAlerts(now).filter(alert => alert.selectors.some(selector =>
+            selector.routeIds?.has(routeId) || selector.tripRouteId === routeId));
+    }
+
+    /**
+     * Alertes actives qui visent un arrêt (arrêt seul ou ligne à cet arrêt)
+     * @param {Array<string>} stopIds - Quais de l'arrêt
+     */
+    getStopAlerts(stopIds, now) {
+        return this.getActiveAlerts(now).filter(alert => alert.selectors.some(selector =>
+            selector.stopIds && stopIds.some(stopId => selector.stopIds.has(stopId))));
+    }
+
+    /**
+     * Alertes actives qui touchent une étape en bus
+     * @param {{routeId: string, tripId: string, stopIds: Array<string>}} leg - stopIds : arrêts desservis par l'étape
+     */
+    getLegAlerts({ routeId, tripId, stopIds }, now) {
+        const touchesStops = (selector) => stopIds.some(stopId => selector.stopIds.has(stopId));
+        return this.getActiveAlerts(now).filter(alert => alert.selectors.some(selector => {
+            if (selector.tripId) return selector.tripId === tripId;
+            if (selector.routeIds) return selector.routeIds.has(routeId) && (!selector.stopIds || touchesStops(selector));
+            return touchesStops(selector);
+        }));
+    }
+
+    /**
+     * Arrêts, lignes et trips fermés à un instant (alertes NO_SERVICE actives)
+     * @param {number} now - Secondes POSIX
+     * @returns {{stopIds: Set<string>, routeIds: Set<string>, tripIds: Set<string>}}
+     */
+    getClosures(now) {
+        const closures = { stopIds: new Set(), routeIds: new Set(), tripIds: new Set() };
+        this.getActiveAlerts(now).filter(alert => alert.closed).forEach(alert => {
+            alert.selectors.forEach(selector => {
+                if (selector.tripId) {
+                    closures.tripIds.add(selector.tripId);
+                } else if (selector.routeIds && !selector.stopIds) {
+                    selector.routeIds.forEach(routeId => closures.routeIds.add(routeId));
+                } else if (selector.stopIds && !selector.routeIds) {
+                    selector.stopIds.forEach(stopId => closures.stopIds.add(stopId));
+                }
+            });
+        });
+        return closures;
+    }
+}
+
+/**
+ * Niveau d'affichage d'une alerte (classes CSS alert-severe / alert-warning / alert-info) :
+ * une fermeture est au moins un avertissement
+ * @returns {'severe'|'warning'|'info'}
+ */
+export function getAlertLevel(alert) {
+    if (alert.severity === ALERT_SEVERITY.SEVERE) return 'severe';
+    if (alert.severity === ALERT_SEVERITY.WARNING || alert.closed) return 'warning';
+    return 'info';
+}
+
+/**
+ * Adresse d'une alerte, si c'est un lien web (sinon null)
+ */
+export function getAlertUrl(alert) {
+    return /^https?:\/\//i.test(alert.url || '') ? alert.url : null;
+}
+
+/**
+ * Texte affichable d'une alerte, réduit à ce qu'affiche l'interface (étapes d'itinéraire)
+ */
+export function summarizeAlert(alert) {
+    return {
+        id: alert.id,
+        header: alert.header,
+        description: alert.description,
+        url: alert.url,
+        effect: alert.effect,
+        severity: alert.severity,
+        closed: alert.closed
+    };
+}
+
+/**
+ * Fichier d'alertes JSON (data/alerts.json...) -> FeedMessage, lu comme un flux
+ * ServiceAlerts. Chaque élément :
+ * { "id", "header", "description", "url", "effect": "NO_SERVICE", "severity": "WARNING",
+ *   "start": "2025-11-10T05:00:00+01:00", "end": "...", "routes": [], "stops": [], "trips": [] }
+ * Chaque ligne, arrêt et trip listé est visé séparément.
+ * @param {Array<Object>|{alerts: Array<Object>}} json
+ * @returns {Object} FeedMessage (flux complet)
+ * @throws {Error} si une date ou un effet est invalide
+ */
+export function alertsFromJson(json) {
+    const items = Array.isArray(json) ? json : (json?.alerts || []);
+    const toSeconds = (value, id) => {
+        if (!value) return undefined;
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) throw new Error(`Alerte ${id} : date invalide "${value}"`);
+        return Math.floor(time / 1000);
+    };
+    const toText = (text) => (text ? { translation: [{ text: String(text) }] } : undefined);
+
+    return {
+        header: { gtfs_realtime_version: '2.0', incrementality: INCREMENTALITY.FULL_DATASET, timestamp: Math.floor(Date.now() / 1000) },
+        entity: items.map((item, index) => {
+            const id = String(item.id ?? index + 1);
+            if (item.effect && ALERT_EFFECT[item.effect] === undefined) {
+                throw new Error(`Alerte ${id} : effet inconnu "${item.effect}"`);
+            }
+            const start = toSeconds(item.start, id);
+            const end = toSeconds(item.end, id);
+            return {
+                id,
+                alert: {
+                    active_period: start || end ? [{ start, end }] : [],
+                    informed_entity: [
+                        ...(item.routes || []).map(routeId => ({ route_id: String(routeId) })),
+                        ...(item.stops || []).map(stopId => ({ stop_id: String(stopId) })),
+                        ...(item.trips || []).map(tripId => ({ trip: { trip_id: String(tripId) } }))
+                    ],
+                    effect: ALERT_EFFECT[item.effect] ?? ALERT_EFFECT.UNKNOWN_EFFECT,
+                    severity_level: ALERT_SEVERITY[item.severity] ?? ALERT_SEVERITY.UNKNOWN_SEVERITY,
+                    header_text: toText(item.header),
+                    description_text: toText(item.description),
+                    url: toText(item.url)
+                }
+            };
+        })
+    };
+}
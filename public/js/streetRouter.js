@@ -0,0 +1,304 @@
+/**
+ * streetRouter.js
+ * Calcul d'itinéraires piétons sur un extrait OSM local
+ *
+ * Source : ./data/streets.geojson, un export des voies OSM (LineString /
+ * MultiLineString avec les propriétés `highway` et `name`).
+ * - Graphe : un nœud par coordonnée (arrondie au 1e-6 degré), une arête
+ *   par segment. Les voies interdites aux piétons sont ignorées.
+ * - Recherche : Dijkstra borné (un point vers tous les nœuds proches) pour
+ *   les temps de marche, et d'un point à un autre pour le tracé détaillé.
+ * - Instructions : les arêtes consécutives de même nom sont fusionnées,
+ *   le virage est déduit de l'écart de cap entre deux voies.
+ */
+
+import { escapeHtml } from './htmlUtils.js';
+
+const MAX_SNAP_DISTANCE = 150;   // m, au-delà le point est considéré hors réseau
+const GRID_CELL_SIZE = 0.002;    // degrés (~200 m), index spatial des nœuds
+const UNWALKABLE_HIGHWAYS = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link', 'construction', 'proposed']);
+
+export class StreetRouter {
+    /**
+     * @param {Object} geojson - FeatureCollection des voies
+     * @param {number} walkingSpeed - m/s
+     */
+    constructor(geojson, walkingSpeed) {
+        this.walkingSpeed = walkingSpeed;
+
+        this.nodes = [];          // index -> { lat, lon }
+        this.adjacency = [];      // index -> [{ to, distance, name }]
+        this.nodeIndexByKey = new Map();
+        this.grid = new Map();    // "x|y" -> [index]
+
+        this.buildGraph(geojson);
+    }
+
+    /**
+     * Construit le graphe piéton à partir des LineStrings du GeoJSON
+     */
+    buildGraph(geojson) {
+        let edgeCount = 0;
+
+        (geojson.features || []).forEach(feature => {
+            if (!feature.geometry) return;
+            const props = feature.properties || {};
+            if (UNWALKABLE_HIGHWAYS.has(props.highway) || props.foot === 'no' || props.access === 'private') return;
+
+            const lines = feature.geometry.type === 'MultiLineString'
+                ? feature.geometry.coordinates
+                : feature.geometry.type === 'LineString' ? [feature.geometry.coordinates] : [];
+            const name = props.name || null;
+
+            lines.forEach(coordinates => {
+                for (let i = 1; i < coordinates.length; i++) {
+                    const from = this.getOrCreateNode(coordinates[i - 1][1], coordinates[i - 1][0]);
+                    const to = this.getOrCreateNode(coordinates[i][1], coordinates[i][0]);
+                    if (from === to) continue;
+                    const distance = this.distance(this.nodes[from], this.nodes[to]);
+                    this.adjacency[from].push({ to, distance, name });
+                    this.adjacency[to].push({ to: from, distance, name });
+                    edgeCount++;
+                }
+            });
+        });
+
+        console.log(`🚶 StreetRouter: ${this.nodes.length} nœuds, ${edgeCount} segments piétons.`);
+    }
+
+    getOrCreateNode(lat, lon) {
+        const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
+        let index = this.nodeIndexByKey.get(key);
+        if (index === undefined) {
+            index = this.nodes.length;
+            this.nodes.push({ lat, lon });
+            this.adjacency.push([]);
+            this.nodeIndexByKey.set(key, index);
+
+            const cellKey = this.getCellKey(lat, lon);
+            if (!this.grid.has(cellKey)) this.grid.set(cellKey, []);
+            this.grid.get(cellKey).push(index);
+        }
+        return index;
+    }
+
+    getCellKey(lat, lon) {
+        return `${Math.floor(lon / GRID_CELL_SIZE)}|${Math.floor(lat / GRID_CELL_SIZE)}`;
+    }
+
+    /**
+     * Nœud du réseau le plus proche d'un point (null si hors réseau)
+     * @returns {{node: number, distance: number}|null}
+     */
+    snap(coords) {
+        const lat = parseFloat(coords.lat);
+        const lon = parseFloat(coords.lon);
+        const cx = Math.floor(lon / GRID_CELL_SIZE);
+        const cy = Math.floor(lat / GRID_CELL_SIZE);
+        let best = null;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                (this.grid.get(`${cx + dx}|${cy + dy}`) || []).forEach(index => {
+                    const distance = this.distance({ lat, lon }, this.nodes[index]);
+                    if (distance <= MAX_SNAP_DISTANCE && (!best || distance < best.distance)) {
+                        best = { node: index, distance };
+                    }
+                });
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Dijkstra borné depuis un point : distances réseau vers les nœuds proches
+     * @returns {{origin: Object, dist: Map, prev: Map}|null} null si le point est hors réseau
+     */
+    shortestPaths(coords, maxDistance, targetNode = null) {
+        const origin = this.snap(coords);
+        if (!origin) return null;
+
+        const dist = new Map([[origin.node, origin.distance]]);
+        const prev = new Map();
+        const heap = new MinHeap();
+        heap.push(origin.distance, origin.node);
+
+        while (heap.size > 0) {
+            const { priority, value: node } = heap.pop();
+            if (priority > dist.get(node)) continue;
+            if (node === targetNode) break;
+
+            this.adjacency[node].forEach(edge => {
+                const candidate = priority + edge.distance;
+                if (candidate > maxDistance) return;
+                if (candidate < (dist.get(edge.to) ?? Infinity)) {
+                    dist.set(edge.to, candidate);
+                    prev.set(edge.to, { node, edge });
+                    heap.push(candidate, edge.to);
+                }
+            });
+        }
+
+        return { origin, dist, prev };
+    }
+
+    /**
+     * Distance à pied (m) depuis l'origine d'un arbre `shortestPaths` vers un point
+     * @returns {number|null} null si le point n'est pas atteint
+     */
+    distanceFromTree(tree, coords) {
+        const target = this.snap(coords);
+        if (!target || !tree.dist.has(target.node)) return null;
+        return tree.dist.get(target.node) + target.distance;
+    }
+
+    /**
+     * Itinéraire piéton détaillé entre deux points
+     * @returns {{distance: number, duration: number, coordinates: Array, instructions: Array}|null}
+     */
+    route(fromCoords, toCoords, maxDistance) {
+        const target = this.snap(toCoords);
+        if (!target) return null;
+
+        const crowFly = this.distance(fromCoords, toCoords);
+        const tree = this.shortestPaths(fromCoords, maxDistance ?? crowFly * 3 + 500, target.node);
+        if (!tree || !tree.dist.has(target.node)) return null;
+
+        // Remonter l'arbre jusqu'à l'origine
+        const edges = [];
+        let node = target.node;
+        while (node !== tree.origin.node) {
+            const step = tree.prev.get(node);
+            edges.unshift({ from: step.node, to: node, distance: step.edge.distance, name: step.edge.name });
+            node = step.node;
+        }
+
+        const coordinates = [[parseFloat(fromCoords.lat), parseFloat(fromCoords.lon)]];
+        coordinates.push([this.nodes[tree.origin.node].lat, this.nodes[tree.origin.node].lon]);
+        edges.forEach(edge => coordinates.push([this.nodes[edge.to].lat, this.nodes[edge.to].lon]));
+        coordinates.push([parseFloat(toCoords.lat), parseFloat(toCoords.lon)]);
+
+        const distance = tree.dist.get(target.node) + target.distance;
+        return {
+            distance,
+            duration: Math.round(distance / this.walkingSpeed),
+            coordinates,
+            instructions: this.buildInstructions(edges)
+        };
+    }
+
+    /**
+     * Instructions pas à pas : une instruction par voie empruntée
+     */
+    buildInstructions(edges) {
+        const sections = [];
+        edges.forEach(edge => {
+            const last = sections[sections.length - 1];
+            if (last && last.name === edge.name) {
+                last.distance += edge.distance;
+                last.endEdge = edge;
+            } else {
+                sections.push({ name: edge.name, distance: edge.distance, startEdge: edge, endEdge: edge });
+            }
+        });
+
+        const instructions = sections.map((section, index) => {
+            // Le texte est du HTML (voir PlannerPanel) ; le nom vient de l'extrait OSM
+            const street = section.name ? `sur <strong>${escapeHtml(section.name)}</strong>` : 'sur le chemin';
+            let text;
+            if (index === 0) {
+                text = `Partir vers ${this.getCardinal(this.getEdgeBearing(section.startEdge))} ${street}`;
+            } else {
+                const previous = sections[index - 1];
+                const turn = this.getTurnDirection(this.getEdgeBearing(previous.endEdge), this.getEdgeBearing(section.startEdge));
+                text = `${turn} ${street}`;
+            }
+            return { text, distance: section.distance };
+        });
+
+        instructions.push({ text: 'Arriver à destination', distance: 0 });
+        return instructions;
+    }
+
+    getEdgeBearing(edge) {
+        const from = this.nodes[edge.from];
+        const to = this.nodes[edge.to];
+        const toRad = (deg) => deg * Math.PI / 180;
+        const y = Math.sin(toRad(to.lon - from.lon)) * Math.cos(toRad(to.lat));
+        const x = Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) -
+                  Math.sin(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.cos(toRad(to.lon - from.lon));
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    getTurnDirection(fromBearing, toBearing) {
+        const delta = ((toBearing - fromBearing + 540) % 360) - 180; // -180..180, positif = droite
+        if (Math.abs(delta) < 20) return 'Continuer tout droit';
+        if (Math.abs(delta) < 60) return delta > 0 ? 'Tourner légèrement à droite' : 'Tourner légèrement à gauche';
+        if (Math.abs(delta) < 150) return delta > 0 ? 'Tourner à droite' : 'Tourner à gauche';
+        return 'Faire demi-tour';
+    }
+
+    getCardinal(bearing) {
+        const directions = ['le nord', 'le nord-est', "l'est", 'le sud-est', 'le sud', 'le sud-ouest', "l'ouest", 'le nord-ouest'];
+        return directions[Math.round(bearing / 45) % 8];
+    }
+
+    /**
+     * Distance (m) entre deux points {lat, lon} (formule de Haversine)
+     */
+    distance(a, b) {
+        const R = 6371e3;
+        const toRad = (deg) => deg * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+}
+
+/**
+ * File de priorité minimale (tas binaire) pour Dijkstra
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, value) {
+        const items = this.items;
+        items.push({ priority, value });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
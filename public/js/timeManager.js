@@ -1,8 +1,102 @@
 /**
  * timeManager.js
  * * Gère le temps réel ou simulé pour l'affichage des bus en circulation
+ * * AJOUT: Fuseau horaire du réseau (agency_timezone) : l'heure et la date
+ * * sont celles du réseau, pas celles du navigateur. `currentDate` est une
+ * * "heure murale" : ses champs locaux (getHours, getDate...) donnent l'heure
+ * * du réseau. Les secondes suivent la règle GTFS "midi moins 12 h" (jours
+ * * de changement d'heure compris, voir getServiceSeconds).
  */
 
+const formattersByZone = new Map(); // Cache des Intl.DateTimeFormat par fuseau
+
+function getZoneFormatter(timeZone) {
+    const key = timeZone || '';
+    if (!formattersByZone.has(key)) {
+        formattersByZone.set(key, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    return formattersByZone.get(key);
+}
+
+/**
+ * Heure murale d'un instant dans un fuseau
+ * @param {Date} instant
+ * @param {string|null} timeZone - Fuseau IANA (null : celui du navigateur)
+ * @returns {Date} Date dont les champs locaux sont ceux du fuseau
+ */
+export function getZonedDateTime(instant, timeZone) {
+    const parts = {};
+    getZoneFormatter(timeZone).formatToParts(instant).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Décalage du fuseau par rapport à UTC à un instant, en secondes (ex. 7200 en été à Paris)
+ */
+export function getTimeZoneOffset(instant, timeZone) {
+    const wall = getZonedDateTime(instant, timeZone);
+    const wallAsUtc = Date.UTC(wall.getFullYear(), wall.getMonth(), wall.getDate(),
+        wall.getHours(), wall.getMinutes(), wall.getSeconds());
+    return Math.round((wallAsUtc - Math.floor(instant.getTime() / 1000) * 1000) / 1000);
+}
+
+/**
+ * Décalage du fuseau pour une heure murale (deux passes : le décalage dépend de l'instant)
+ */
+function getWallTimeOffset(wall, timeZone) {
+    const wallAsUtc = Date.UTC(wall.getFullYear(), wall.getMonth(), wall.getDate(),
+        wall.getHours(), wall.getMinutes(), wall.getSeconds());
+    const guess = getTimeZoneOffset(new Date(wallAsUtc), timeZone);
+    return getTimeZoneOffset(new Date(wallAsUtc - guess * 1000), timeZone);
+}
+
+/**
+ * Secondes GTFS d'une heure murale : comptées depuis "midi moins 12 h" du jour
+ * de service. Identique à l'heure murale, sauf les jours de changement d'heure
+ * (ex. 01:30 le jour du passage à l'heure d'été donne 02:30, comme les horaires).
+ * @param {Date} wall - Heure murale dans le fuseau du réseau
+ * @param {string|null} timeZone
+ * @param {Date} [instant] - Instant correspondant, s'il est connu : lève l'ambiguïté
+ * de l'heure répétée au passage à l'heure d'hiver
+ */
+export function getServiceSeconds(wall, timeZone, instant = null) {
+    const wallSeconds = wall.getHours() * 3600 + wall.getMinutes() * 60 + wall.getSeconds();
+    const noon = new Date(wall.getFullYear(), wall.getMonth(), wall.getDate(), 12, 0, 0);
+    const offset = instant ? getTimeZoneOffset(instant, timeZone) : getWallTimeOffset(wall, timeZone);
+    return wallSeconds + getWallTimeOffset(noon, timeZone) - offset;
+}
+
+/**
+ * Instant de référence d'un jour de service, "midi moins 12 h" : une heure GTFS
+ * de ce jour vaut cet instant plus ses secondes (ex. pour dater un horaire
+ * face aux heures absolues d'un flux GTFS-Realtime)
+ * @param {Date} serviceDate - Jour de service (seuls année, mois et jour comptent)
+ * @param {string|null} timeZone
+ * @returns {number} Secondes POSIX
+ */
+export function getServiceDayStart(serviceDate, timeZone) {
+    const noon = new Date(serviceDate.getFullYear(), serviceDate.getMonth(), serviceDate.getDate(), 12, 0, 0);
+    const noonAsUtc = Date.UTC(noon.getFullYear(), noon.getMonth(), noon.getDate(), 12, 0, 0) / 1000;
+    return noonAsUtc - getWallTimeOffset(noon, timeZone) - 12 * 3600;
+}
+
+/**
+ * Écart à l'horaire théorique, pour l'affichage (ex. "+3 min", "-1 min", "à l'heure")
+ * @param {number} delaySeconds - Positif : retard, négatif : avance
+ */
+export function formatDelay(delaySeconds) {
+    const minutes = Math.round(delaySeconds / 60);
+    if (minutes === 0) return 'à l\'heure';
+    return `${minutes > 0 ? '+' : '-'}${Math.abs(minutes)} min`;
+}
+
 export class TimeManager {
     constructor() {
         this.isRunning = false;
@@ -10,24 +104,45 @@ export class TimeManager {
         this.mode = 'real';
         this.simulatedSeconds = null;
         this.lastTickTime = null;
+        this.timeZone = null; // agency_timezone du réseau (null : fuseau du navigateur)
         
         /* AJOUT: Stocke la date actuelle pour la logique du calendrier */
-        this.currentDate = new Date(); 
+        this.currentDate = this.getNetworkNow(); 
+    }
+
+    /**
+     * Définit le fuseau du réseau (DataManager.timezone)
+     * @param {string|null} timeZone
+     */
+    setTimeZone(timeZone) {
+        this.timeZone = timeZone || null;
+        this.currentDate = this.getNetworkNow();
+        console.log(`🕐 Fuseau horaire : ${this.getTimeZoneName()}`);
+        this.notifyListeners();
     }
 
     /**
-     * Récupère l'heure réelle actuelle
+     * Nom du fuseau utilisé (celui du navigateur si le réseau n'en déclare pas)
+     */
+    getTimeZoneName() {
+        return this.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * Maintenant, en heure murale du réseau
+     */
+    getNetworkNow() {
+        return getZonedDateTime(new Date(), this.timeZone);
+    }
+
+    /**
+     * Récupère l'heure réelle actuelle (secondes GTFS du jour de service)
      */
     getRealTime() {
         /* MODIFICATION: Met à jour la date en même temps */
-        this.currentDate = new Date();
-        const now = this.currentDate;
-        
-        const hours = now.getHours();
-        const minutes = now.getMinutes();
-        const seconds = now.getSeconds();
-        
-        return hours * 3600 + minutes * 60 + seconds;
+        const now = new Date();
+        this.currentDate = getZonedDateTime(now, this.timeZone);
+        return getServiceSeconds(this.currentDate, this.timeZone, now);
     }
 
     /**
@@ -42,7 +157,7 @@ export class TimeManager {
         console.log(`🔧 Mode changé: ${mode}`);
         
         // S'assure que la date est celle d'aujourd'hui, même en simulation
-        this.currentDate = new Date(); 
+        this.currentDate = this.getNetworkNow(); 
         
         this.notifyListeners();
     }
@@ -55,7 +170,7 @@ export class TimeManager {
         this.lastTickTime = Date.now();
         
         // En mode simulation, on utilise TOUJOURS la date d'aujourd'hui
-        this.currentDate = new Date(); 
+        this.currentDate = this.getNetworkNow(); 
         
         console.log(`⏰ Heure simulée définie: ${this.formatTime(seconds)}`);
         this.notifyListeners();
@@ -69,7 +184,7 @@ export class TimeManager {
             this.isRunning = true;
             this.lastTickTime = Date.now();
             // S'assure que la date est à jour au démarrage
-            this.currentDate = new Date(); 
+            this.currentDate = this.getNetworkNow(); 
             this.tick();
             console.log(`▶️ Mode ${this.mode === 'simulated' ? 'simulation' : 'temps réel'} démarré`);
         }
@@ -89,7 +204,7 @@ export class TimeManager {
     reset() {
         console.log('🔄 Rechargement');
         this.lastTickTime = Date.now();
-        this.currentDate = new Date(); // Réinitialise la date
+        this.currentDate = this.getNetworkNow(); // Réinitialise la date
         this.notifyListeners();
     }
 
@@ -104,15 +219,17 @@ export class TimeManager {
             const elapsed = (now - this.lastTickTime) / 1000;
             this.simulatedSeconds += elapsed;
             
+            // Passage de minuit : on garde les secondes en trop et on passe au
+            // jour suivant (les trips de la veille restent évalués, voir DataManager.getServiceDays)
             if (this.simulatedSeconds >= 86400) {
-                this.simulatedSeconds = 0;
+                this.simulatedSeconds -= 86400;
+                this.currentDate = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), this.currentDate.getDate() + 1);
             }
-            // En simulation, la date est fixée (celle d'aujourd'hui)
-            // On ne met PAS à jour this.currentDate ici
+            // Sinon, en simulation, la date est fixée (celle d'aujourd'hui)
             
         } else {
             // En mode réel, on met à jour la date à chaque tick
-            this.currentDate = new Date();
+            this.currentDate = this.getNetworkNow();
         }
         
         this.lastTickTime = now;
@@ -140,10 +257,11 @@ export class TimeManager {
         
         const timeInfo = {
             seconds: currentSeconds,
-            timeString: this.formatTime(currentSeconds),
+            timeString: this.getClockTimeString(),
             isRunning: this.isRunning,
             mode: this.mode,
-            date: this.currentDate // Utilise la date stockée
+            date: this.currentDate, // Utilise la date stockée
+            timeZone: this.getTimeZoneName()
         };
 
         this.listeners.forEach(callback => {
@@ -179,7 +297,7 @@ export class TimeManager {
     getCurrentDate() {
         // Si le timeManager n'est pas en cours, s'assurer que la date est fraîche
         if (!this.isRunning && this.mode === 'real') {
-            this.currentDate = new Date();
+            this.currentDate = this.getNetworkNow();
         }
         // En mode simulation, la date est déjà celle d'aujourd'hui
         return this.currentDate;
@@ -192,6 +310,18 @@ export class TimeManager {
         return this.formatTime(this.getCurrentSeconds());
     }
 
+    /**
+     * Heure à afficher dans l'horloge : l'heure murale du réseau en temps réel
+     * (elle diffère des secondes GTFS les jours de changement d'heure)
+     */
+    getClockTimeString() {
+        if (this.mode === 'simulated' && this.simulatedSeconds !== null) {
+            return this.formatTime(this.simulatedSeconds);
+        }
+        const now = this.currentDate;
+        return this.formatTime(now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds());
+    }
+
     /**
      * Vérifie si le gestionnaire est en cours d'exécution
      */
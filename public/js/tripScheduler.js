@@ -4,15 +4,35 @@
  * * les conditions <= sont ajustées pour qu'un bus ne disparaisse
  * * JAMAIS (même pour 1s) à un arrêt intermédiaire.
  * * SUPPRIMÉ: getWaitingBuses n'est plus utilisé.
+ * * AJOUT (V4): Chaque bus porte un `vehicleId` (block_id) et les véhicules
+ * * en battement entre deux trips de leur block restent affichés au terminus.
+ * * CORRIGÉ (V5): Trips après minuit : l'état est calculé à l'heure du jour de
+ * * service du trip (`serviceSeconds`, ex. 25:10:00 pour 01:10 le lendemain).
+ * * AJOUT (V6): Prévisions GTFS-Realtime : l'état est calculé sur les horaires
+ * * recalculés et chaque bus porte son retard (`delay`, null si horaire théorique).
+ * * AJOUT (V7): Position mesurée GTFS-Realtime (`measured`) si le véhicule en a
+ * * envoyé une récemment, sinon null (position d'après les horaires).
+ * * AJOUT (V8): Horaires prévus (voir DelayPredictor) : l'état et l'heure
+ * * d'arrivée au prochain arrêt portent leur fiabilité (`confidence`), chaque bus
+ * * l'origine de sa prévision (`prediction`).
  */
 
+import { getServiceDayStart } from './timeManager.js';
+
 export class TripScheduler {
     constructor(dataManager) {
         this.dataManager = dataManager;
     }
 
     /**
-     * Récupère tous les trips "en service" (en mouvement OU en attente à un arrêt)
+     * Récupère tous les trips "en service" (en mouvement OU en attente à un arrêt),
+     * plus les véhicules en battement au terminus (`layover: true`).
+     * `bus.currentSeconds` est l'heure dans le jour de service du trip, comparable
+     * à ses stop_times (peut dépasser 86400 pour un trip de la veille).
+     * `bus.delay` : retard prévu (s) au prochain arrêt, null sans prévision temps réel
+     * `bus.measured` : dernière position mesurée (voir VehiclePositions.get), null sans mesure récente
+     * `bus.confidence` : fiabilité de la prévision au prochain arrêt (0 à 1), null sans prévision
+     * `bus.prediction` : origine de la prévision ('tripUpdates', 'vehiclePositions', 'block'), null sans prévision
      */
     getActiveTrips(currentSeconds, date) {
         if (!this.dataManager.isLoaded) {
@@ -21,29 +41,97 @@ export class TripScheduler {
 
         const activeTrips = this.dataManager.getActiveTrips(currentSeconds, date);
         const activeBuses = [];
+        const now = getServiceDayStart(date, this.dataManager.timezone) + currentSeconds;
 
-        activeTrips.forEach(({ tripId, trip, stopTimes, route }) => {
-            const state = this.findCurrentState(stopTimes, currentSeconds); 
+        activeTrips.forEach(({ tripId, trip, stopTimes, route, serviceDate, serviceSeconds, realtime, source }) => {
+            const state = this.findCurrentState(stopTimes, serviceSeconds); 
             
             if (state) {
+                const nextIndex = state.type === 'moving' ? state.toIndex : state.stopIndex;
                 activeBuses.push({
                     tripId,
+                    vehicleId: this.dataManager.getVehicleId(trip),
                     trip,
                     route,
                     segment: state.type === 'moving' ? state : null, 
-                    position: state.type === 'waiting_at_stop' ? state.position : null,
-                    currentSeconds
+                    position: state.type === 'waiting_at_stop' ? this.toWaitingPosition(state) : null,
+                    layover: false,
+                    currentSeconds: serviceSeconds,
+                    delay: realtime ? this.getDelay(stopTimes, nextIndex) : null,
+                    confidence: state.confidence,
+                    prediction: source ?? null,
+                    measured: this.dataManager.vehiclePositions.get(tripId, serviceDate, now)
                 });
             }
         });
 
+        // Battement : le véhicule attend au terminus le départ de son trip suivant
+        const busyVehicles = new Set(activeBuses.map(bus => bus.vehicleId));
+        this.dataManager.getLayoverTrips(currentSeconds, date).forEach(({ tripId, trip, stopTimes, route, previousTripId, serviceDate, serviceSeconds, realtime, source }) => {
+            const vehicleId = this.dataManager.getVehicleId(trip);
+            if (busyVehicles.has(vehicleId)) return;
+
+            const previousStopTimes = this.dataManager.stopTimesByTrip[previousTripId];
+            const terminus = previousStopTimes[previousStopTimes.length - 1];
+            const stopInfo = this.dataManager.getStop(terminus.stop_id);
+            if (!stopInfo) return;
+
+            activeBuses.push({
+                tripId,
+                vehicleId,
+                trip,
+                route,
+                segment: null,
+                position: this.toWaitingPosition({
+                    position: { lat: parseFloat(stopInfo.stop_lat), lon: parseFloat(stopInfo.stop_lon) },
+                    stopInfo,
+                    nextDepartureTime: this.dataManager.timeToSeconds(stopTimes[0].departure_time)
+                }),
+                layover: true,
+                currentSeconds: serviceSeconds,
+                delay: realtime ? this.getDelay(stopTimes, 0) : null,
+                confidence: this.getConfidence(stopTimes, 0),
+                prediction: source ?? null,
+                measured: this.dataManager.vehiclePositions.get(tripId, serviceDate, now)
+            });
+        });
+
         return activeBuses;
     }
 
+    /**
+     * Retard prévu à un arrêt du trip (stop_times recalculés par TripUpdates)
+     * @returns {number|null} secondes, null si pas de prévision à cet arrêt
+     */
+    getDelay(stopTimes, index) {
+        return stopTimes[index]?.delay ?? null;
+    }
+
+    /**
+     * Fiabilité de l'heure prévue à un arrêt du trip (voir DelayPredictor)
+     * @returns {number|null} 0 à 1, null sur un horaire théorique
+     */
+    getConfidence(stopTimes, index) {
+        return stopTimes[index]?.confidence ?? null;
+    }
+
+    /**
+     * Position d'un bus à l'arrêt, avec l'arrêt et l'heure de départ (lus par les popups)
+     */
+    toWaitingPosition(state) {
+        return {
+            ...state.position,
+            stopInfo: state.stopInfo,
+            nextDepartureTime: state.nextDepartureTime
+        };
+    }
+
     /* getWaitingBuses a été supprimé */
 
     /**
      * CORRIGÉ: Trouve l'état (mouvement ou attente) sans "trou" d'une seconde.
+     * Sur des stop_times prévus, `confidence` est la fiabilité de l'heure de
+     * l'arrêt suivant (ou de l'arrêt en cours), null sur un horaire théorique.
      */
     findCurrentState(stopTimes, currentSeconds) {
         if (!stopTimes || stopTimes.length === 0) {
@@ -64,7 +152,9 @@ export class TripScheduler {
                 type: 'waiting_at_stop',
                 position: { lat: parseFloat(stopInfo.stop_lat), lon: parseFloat(stopInfo.stop_lon) },
                 stopInfo: stopInfo,
-                nextDepartureTime: firstDepartureTime
+                stopIndex: 0,
+                nextDepartureTime: firstDepartureTime,
+                confidence: this.getConfidence(stopTimes, 0)
             };
         }
 
@@ -88,7 +178,9 @@ export class TripScheduler {
                     type: 'waiting_at_stop',
                     position: { lat: parseFloat(stopInfo.stop_lat), lon: parseFloat(stopInfo.stop_lon) },
                     stopInfo: stopInfo,
-                    nextDepartureTime: departureTime
+                    stopIndex: i,
+                    nextDepartureTime: departureTime,
+                    confidence: this.getConfidence(stopTimes, i)
                 };
             }
 
@@ -105,9 +197,12 @@ export class TripScheduler {
                     type: 'moving',
                     fromStopInfo: prevStopInfo,
                     toStopInfo: currentStopInfo,
+                    fromIndex: i - 1, // Rang des arrêts dans le trip (interpolation sur le tracé)
+                    toIndex: i,
                     departureTime: prevDepartureTime,
                     arrivalTime: arrivalTime,
-                    progress: this.calculateProgress(prevDepartureTime, arrivalTime, currentSeconds)
+                    progress: this.calculateProgress(prevDepartureTime, arrivalTime, currentSeconds),
+                    confidence: this.getConfidence(stopTimes, i)
                 };
             }
         }
@@ -127,7 +222,8 @@ export class TripScheduler {
     }
 
     /**
-     * Estime le temps d'arrivée au prochain arrêt
+     * Estime le temps d'arrivée au prochain arrêt, d'après l'heure prévue du
+     * segment s'il en a une (`confidence` null sur un horaire théorique)
      */
     getNextStopETA(segment, currentSeconds) {
         if (!segment) return null;
@@ -138,7 +234,8 @@ export class TripScheduler {
 
         return {
             seconds: remainingSeconds,
-            formatted: `${minutes}m ${seconds}s`
+            formatted: `${minutes}m ${seconds}s`,
+            confidence: segment.confidence ?? null
         };
     }
 
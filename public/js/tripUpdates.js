@@ -0,0 +1,309 @@
+/**
+ * tripUpdates.js
+ * Prévisions GTFS-Realtime TripUpdates appliquées aux horaires théoriques
+ *
+ * Pour chaque trip annoncé (par jour de service) :
+ * - trip supprimé (CANCELED / DELETED) : ni bus sur la carte, ni départ, ni itinéraire
+ * - retards et avances : `delay` ou heure absolue (`time`) de chaque arrêt, propagés
+ *   aux arrêts suivants sans prévision, comme le prévoit la spécification ;
+ *   avant la première prévision, l'horaire reste théorique
+ * - arrêt non desservi (SKIPPED) : le bus passe sans s'arrêter (ni montée ni descente)
+ * - NO_DATA : plus de prévision jusqu'à la prochaine mise à jour d'arrêt
+ *
+ * get() renvoie des stop_times recalculés (mêmes colonnes que stop_times.txt,
+ * plus `delay`, `skipped` et `observed`) : le calcul d'itinéraire les lit comme
+ * l'horaire théorique ; la carte et les départs passent par DelayPredictor, qui
+ * remplace la propagation à retard constant (`observed: false`) par son modèle.
+ *
+ * Les trips ajoutés (ADDED, absents du GTFS) sont ignorés.
+ */
+
+import { INCREMENTALITY, TRIP_SCHEDULE_RELATIONSHIP, STOP_SCHEDULE_RELATIONSHIP } from './gtfsRealtime.js';
+import { getServiceDayStart, getZonedDateTime } from './timeManager.js';
+
+export class TripUpdates {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.updatesByTrip = new Map();  // tripId -> [update] (un par jour de service)
+        this.timestamp = null;           // header.timestamp du dernier flux (secondes POSIX)
+        this.version = 0;                // Incrémentée à chaque flux (invalide les caches)
+        this.stopTimesCache = new Map(); // "tripId|YYYYMMDD" -> résultat de get()
+    }
+
+    /**
+     * Intègre un FeedMessage décodé (voir decodeFeedMessage). Un flux complet
+     * remplace les prévisions précédentes du même flux GTFS, un flux différentiel
+     * les complète.
+     * @param {Object} message
+     * @param {string|null} [feedId] - Flux GTFS auquel se rapportent les identifiants (voir getFeedEntityId)
+     * @returns {{timestamp: number|null, tripCount: number, canceledCount: number, unknownCount: number}}
+     */
+    load(message, feedId = null) {
+        const dm = this.dataManager;
+        const timestamp = message.header.timestamp || Math.floor(Date.now() / 1000);
+        const toFeedId = (kind, id) => (feedId ? dm.getFeedEntityId(feedId, kind, id) : id);
+
+        if (message.header.incrementality !== INCREMENTALITY.DIFFERENTIAL) {
+            this.updatesByTrip.forEach((updates, tripId) => {
+                this.setTripUpdates(tripId, updates.filter(update => update.feedId !== feedId));
+            });
+        }
+
+        let unknownCount = 0;
+        message.entity.forEach(entity => {
+            const tripUpdate = entity.trip_update;
+            if (!tripUpdate) return;
+
+            const descriptor = tripUpdate.trip || {};
+            const tripId = descriptor.trip_id ? toFeedId('trip', descriptor.trip_id) : null;
+            const trip = tripId ? dm.tripsByTripId[tripId] : null;
+            if (!trip) {
+                unknownCount++;
+                return;
+            }
+
+            const startDate = descriptor.start_date || this.inferStartDate(trip, tripUpdate.timestamp || timestamp);
+            const others = (this.updatesByTrip.get(tripId) || []).filter(update => update.startDate !== startDate);
+            if (entity.is_deleted) {
+                this.setTripUpdates(tripId, others);
+                return;
+            }
+
+            const relationship = descriptor.schedule_relationship;
+            others.push({
+                tripId,
+                feedId,
+                startDate,
+                canceled: relationship === TRIP_SCHEDULE_RELATIONSHIP.CANCELED ||
+                    relationship === TRIP_SCHEDULE_RELATIONSHIP.DELETED,
+                delay: tripUpdate.delay ?? null,
+                vehicleId: tripUpdate.vehicle?.id || null,
+                timestamp: tripUpdate.timestamp || timestamp,
+                stopTimeUpdates: (tripUpdate.stop_time_update || []).map(update => ({
+                    ...update,
+                    stop_id: update.stop_id ? toFeedId('stop', update.stop_id) : undefined
+                }))
+            });
+            this.setTripUpdates(tripId, others);
+        });
+
+        this.timestamp = timestamp;
+        this.version++;
+        this.stopTimesCache.clear();
+
+        const updates = [...this.updatesByTrip.values()].flat();
+        return {
+            timestamp,
+            tripCount: updates.length,
+            canceledCount: updates.filter(update => update.canceled).length,
+            unknownCount
+        };
+    }
+
+    setTripUpdates(tripId, updates) {
+        if (updates.length > 0) {
+            this.updatesByTrip.set(tripId, updates);
+        } else {
+            this.updatesByTrip.delete(tripId);
+        }
+    }
+
+    /**
+     * Oublie toutes les prévisions (ex. nouveau flux GTFS chargé)
+     */
+    clear() {
+        this.updatesByTrip.clear();
+        this.stopTimesCache.clear();
+        this.timestamp = null;
+        this.version++;
+    }
+
+    /**
+     * Jour de service d'une prévision sans start_date : celui (le jour même ou
+     * la veille) dont l'horaire du trip est le plus proche de l'heure du flux
+     * @returns {string} "YYYYMMDD"
+     */
+    inferStartDate(trip, timestamp) {
+        const dm = this.dataManager;
+        const stopTimes = dm.stopTimesByTrip[trip.trip_id] || [];
+        const wall = getZonedDateTime(new Date(timestamp * 1000), dm.timezone);
+        const today = new Date(wall.getFullYear(), wall.getMonth(), wall.getDate());
+        let best = today;
+        let bestDistance = Infinity;
+
+        if (stopTimes.length > 0) {
+            const start = dm.timeToSeconds(stopTimes[0].departure_time);
+            const end = dm.timeToSeconds(stopTimes[stopTimes.length - 1].arrival_time);
+            dm.getServiceDays(today).forEach(({ date, serviceIds }) => {
+                if (!serviceIds.has(trip.service_id)) return;
+                const dayStart = getServiceDayStart(date, dm.timezone);
+                const distance = Math.max(dayStart + start - timestamp, timestamp - (dayStart + end), 0);
+                if (distance < bestDistance) {
+                    best = date;
+                    bestDistance = distance;
+                }
+            });
+        }
+        return dm.formatDateKey(best);
+    }
+
+    /**
+     * Prévision d'un trip pour un jour de service
+     * @param {string} tripId
+     * @param {Date} serviceDate
+     * @returns {{canceled: boolean, stopTimes: Array, timestamp: number, delay: number|null}|null} null sans prévision ;
+     * `stopTimes` : stop_times recalculés, avec `delay` (secondes, null sans prévision à cet arrêt),
+     * `skipped` et `observed` (heure donnée par une mise à jour de cet arrêt, sinon propagée) ;
+     * `delay` : retard du trip entier (TripUpdate.delay), null s'il n'est pas annoncé
+     */
+    get(tripId, serviceDate) {
+        const updates = this.updatesByTrip.get(tripId);
+        if (!updates) return null;
+
+        const dateKey = this.dataManager.formatDateKey(serviceDate);
+        const cacheKey = `${tripId}|${dateKey}`;
+        if (this.stopTimesCache.has(cacheKey)) {
+            return this.stopTimesCache.get(cacheKey);
+        }
+
+        const update = updates.find(candidate => candidate.startDate === dateKey);
+        const result = update
+            ? {
+                canceled: update.canceled,
+                stopTimes: update.canceled ? this.dataManager.stopTimesByTrip[tripId] : this.computeStopTimes(update, serviceDate),
+                timestamp: update.timestamp,
+                delay: update.delay
+            }
+            : null;
+        this.stopTimesCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Trip annoncé pour un véhicule (VehicleDescriptor.id des prévisions), pour
+     * rattacher une position qui ne donne pas son trip_id
+     * @returns {{tripId: string, startDate: string}|null} la prévision la plus récente
+     */
+    findByVehicle(vehicleId) {
+        let best = null;
+        this.updatesByTrip.forEach(updates => updates.forEach(update => {
+            if (update.vehicleId === vehicleId && (!best || update.timestamp > best.timestamp)) {
+                best = update;
+            }
+        }));
+        return best ? { tripId: best.tripId, startDate: best.startDate } : null;
+    }
+
+    /**
+     * Trips supprimés un jour de service
+     * @returns {Set<string>}
+     */
+    getCanceledTripIds(serviceDate) {
+        return this.getTripIds(serviceDate, true);
+    }
+
+    /**
+     * Trips qui roulent avec une prévision un jour de service
+     * @returns {Set<string>}
+     */
+    getUpdatedTripIds(serviceDate) {
+        return this.getTripIds(serviceDate, false);
+    }
+
+    getTripIds(serviceDate, canceled) {
+        const dateKey = this.dataManager.formatDateKey(serviceDate);
+        const tripIds = new Set();
+        this.updatesByTrip.forEach((updates, tripId) => {
+            if (updates.some(update => update.startDate === dateKey && update.canceled === canceled)) {
+                tripIds.add(tripId);
+            }
+        });
+        return tripIds;
+    }
+
+    /**
+     * Applique les mises à jour d'arrêts aux stop_times du trip
+     */
+    computeStopTimes(update, serviceDate) {
+        const dm = this.dataManager;
+        const stopTimes = dm.stopTimesByTrip[update.tripId];
+        const dayStart = getServiceDayStart(serviceDate, dm.timezone);
+        const updatesByIndex = this.matchStopTimeUpdates(stopTimes, update.stopTimeUpdates);
+
+        // Retard d'un événement : l'heure absolue l'emporte sur le delay
+        const eventDelay = (event, scheduled) => {
+            if (!event) return null;
+            if (event.time !== undefined) return event.time - (dayStart + scheduled);
+            return event.delay ?? null;
+        };
+
+        let delay = update.delay; // Retard propagé depuis la dernière prévision
+        let previousDeparture = 0;
+        return stopTimes.map((st, index) => {
+            const scheduledArrival = dm.timeToSeconds(st.arrival_time || st.departure_time);
+            const scheduledDeparture = dm.timeToSeconds(st.departure_time || st.arrival_time);
+            let arrivalDelay = delay;
+            let departureDelay = delay;
+            let skipped = false;
+            let observed = false;
+
+            const stopUpdate = updatesByIndex.get(index);
+            if (stopUpdate?.schedule_relationship === STOP_SCHEDULE_RELATIONSHIP.NO_DATA) {
+                delay = arrivalDelay = departureDelay = null;
+            } else if (stopUpdate) {
+                observed = true;
+                const arrival = eventDelay(stopUpdate.arrival, scheduledArrival);
+                const departure = eventDelay(stopUpdate.departure, scheduledDeparture);
+                arrivalDelay = arrival ?? delay ?? departure;
+                departureDelay = departure ?? arrivalDelay;
+                skipped = stopUpdate.schedule_relationship === STOP_SCHEDULE_RELATIONSHIP.SKIPPED;
+                delay = departureDelay;
+            }
+
+            // Le bus ne repart pas avant d'être arrivé, ni n'arrive avant d'être parti de l'arrêt précédent
+            const arrival = Math.max(scheduledArrival + (arrivalDelay ?? 0), previousDeparture);
+            const departure = skipped ? arrival : Math.max(scheduledDeparture + (departureDelay ?? 0), arrival);
+            previousDeparture = departure;
+
+            return {
+                ...st,
+                arrival_time: this.formatServiceTime(arrival),
+                departure_time: this.formatServiceTime(departure),
+                delay: departureDelay ?? arrivalDelay ?? null,
+                skipped,
+                observed
+            };
+        });
+    }
+
+    /**
+     * Associe chaque mise à jour d'arrêt à un rang dans le trip : par
+     * stop_sequence, sinon par stop_id (après le dernier arrêt associé)
+     * @returns {Map<number, Object>} rang -> StopTimeUpdate
+     */
+    matchStopTimeUpdates(stopTimes, stopTimeUpdates) {
+        const indexBySequence = new Map(stopTimes.map((st, index) => [parseInt(st.stop_sequence, 10), index]));
+        const updatesByIndex = new Map();
+        let searchFrom = 0;
+        stopTimeUpdates.forEach(stopUpdate => {
+            let index = stopUpdate.stop_sequence !== undefined ? indexBySequence.get(stopUpdate.stop_sequence) : undefined;
+            if (index === undefined && stopUpdate.stop_id) {
+                index = stopTimes.findIndex((st, i) => i >= searchFrom && st.stop_id === stopUpdate.stop_id);
+            }
+            if (index === undefined || index < 0) return;
+            updatesByIndex.set(index, stopUpdate);
+            searchFrom = index + 1;
+        });
+        return updatesByIndex;
+    }
+
+    /**
+     * Heure GTFS "HH:MM:SS", au-delà de 24:00:00 si besoin (comme stop_times.txt)
+     */
+    formatServiceTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+    }
+}
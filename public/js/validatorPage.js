@@ -0,0 +1,153 @@
+/**
+ * validatorPage.js
+ * Point d'entrée de validator.html : charge le flux avec DataManager,
+ * lance FeedValidator et affiche un rapport filtrable. Chaque constat
+ * propose des liens qui centrent la carte sur l'arrêt ou la ligne concernés.
+ */
+
+import { DataManager } from './dataManager.js';
+import { FeedValidator, CATEGORIES } from './feedValidator.js';
+import { escapeHtml } from './htmlUtils.js';
+
+const SEVERITY_LABELS = { error: 'Erreur', warning: 'Avertissement', info: 'Info' };
+
+let dataManager;
+let validator;
+let map;
+let highlightLayer;
+let issues = [];
+
+async function init() {
+    map = L.map('validator-map').setView([45.184, 0.721], 13);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors',
+        maxZoom: 19
+    }).addTo(map);
+    highlightLayer = L.layerGroup().addTo(map);
+
+    dataManager = new DataManager();
+    const loaded = await dataManager.loadAllData();
+    if (!loaded) {
+        setStatus("Impossible de charger les données GTFS (voir la console).");
+        return;
+    }
+
+    validator = new FeedValidator(dataManager);
+    issues = validator.validate();
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    setStatus(`${dataManager.trips.length} trips, ${dataManager.stops.length} arrêts, ${dataManager.routes.length} lignes : ` +
+        `${issues.length} constat(s) dont ${errorCount} erreur(s). <a href="index.html">Retour à l'application</a>`);
+
+    setupFilters();
+    renderIssues();
+}
+
+function setStatus(html) {
+    document.getElementById('validator-status').innerHTML = html;
+}
+
+function setupFilters() {
+    const categorySelect = document.getElementById('filter-category');
+    Object.values(CATEGORIES).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = `${category} (${issues.filter(issue => issue.category === category).length})`;
+        categorySelect.appendChild(option);
+    });
+
+    document.querySelectorAll('[data-count]').forEach(el => {
+        el.textContent = issues.filter(issue => issue.severity === el.dataset.count).length;
+    });
+
+    document.querySelectorAll('[data-severity]').forEach(input => input.addEventListener('change', renderIssues));
+    categorySelect.addEventListener('change', renderIssues);
+    document.getElementById('filter-text').addEventListener('input', renderIssues);
+
+    document.getElementById('issue-list').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-zoom]');
+        if (!button) return;
+        if (button.dataset.zoom === 'stop') zoomToStop(button.dataset.id);
+        if (button.dataset.zoom === 'route') zoomToRoute(button.dataset.id);
+    });
+}
+
+/**
+ * Affiche les constats qui passent les filtres (gravité, catégorie, texte).
+ * Noms et messages viennent du flux inspecté : ils sont échappés.
+ */
+function renderIssues() {
+    const severities = new Set(Array.from(document.querySelectorAll('[data-severity]:checked'), input => input.dataset.severity));
+    const category = document.getElementById('filter-category').value;
+    const text = document.getElementById('filter-text').value.trim().toLowerCase();
+
+    const visible = issues.filter(issue =>
+        severities.has(issue.severity) &&
+        (!category || issue.category === category) &&
+        (!text || issue.message.toLowerCase().includes(text))
+    );
+
+    const list = document.getElementById('issue-list');
+    if (visible.length === 0) {
+        list.innerHTML = `<p class="empty">${issues.length === 0 ? 'Aucun problème détecté. 🎉' : 'Aucun constat ne correspond aux filtres.'}</p>`;
+        return;
+    }
+
+    list.innerHTML = visible.map(issue => {
+        const links = [];
+        if (issue.stopId) {
+            links.push(`<button type="button" data-zoom="stop" data-id="${escapeHtml(issue.stopId)}">📍 ${escapeHtml(dataManager.getStop(issue.stopId)?.stop_name || issue.stopId)}</button>`);
+        }
+        if (issue.routeId) {
+            links.push(`<button type="button" data-zoom="route" data-id="${escapeHtml(issue.routeId)}">🚌 Ligne ${escapeHtml(validator.getRouteName(issue.routeId))}</button>`);
+        }
+        return `
+            <div class="issue ${issue.severity}">
+                <div class="issue-meta">${SEVERITY_LABELS[issue.severity]} · ${issue.category}</div>
+                <div>${escapeHtml(issue.message)}</div>
+                ${links.length > 0 ? `<div class="issue-links">${links.join('')}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function zoomToStop(stopId) {
+    const stop = dataManager.getStop(stopId);
+    if (!stop) return;
+    const latLng = [parseFloat(stop.stop_lat), parseFloat(stop.stop_lon)];
+
+    highlightLayer.clearLayers();
+    L.circleMarker(latLng, { radius: 10, color: '#dc2626', weight: 3, fillOpacity: 0.3 })
+        .bindPopup(`<strong>${escapeHtml(stop.stop_name)}</strong><br>${escapeHtml(stop.stop_id)}`)
+        .addTo(highlightLayer)
+        .openPopup();
+    map.setView(latLng, 17);
+}
+
+function zoomToRoute(routeId) {
+    const route = dataManager.getRoute(routeId);
+    const color = route?.route_color ? `#${route.route_color}` : '#2563eb';
+    const lines = validator.getRouteLines(routeId);
+
+    highlightLayer.clearLayers();
+    if (lines.length === 0) {
+        // Pas de tracé : on montre les arrêts desservis
+        const stopIds = new Set();
+        dataManager.trips
+            .filter(trip => trip.route_id === routeId)
+            .forEach(trip => dataManager.getStopTimes(trip.trip_id).forEach(st => stopIds.add(st.stop_id)));
+        stopIds.forEach(stopId => {
+            const stop = dataManager.getStop(stopId);
+            if (stop) L.circleMarker([parseFloat(stop.stop_lat), parseFloat(stop.stop_lon)], { radius: 5, color }).addTo(highlightLayer);
+        });
+    } else {
+        lines.forEach(line => L.polyline(line.map(point => [point.lat, point.lon]), { color, weight: 5, opacity: 0.8 }).addTo(highlightLayer));
+    }
+
+    const layers = highlightLayer.getLayers();
+    if (layers.length > 0) {
+        map.fitBounds(L.featureGroup(layers).getBounds(), { padding: [30, 30] });
+    }
+}
+
+init();
@@ -0,0 +1,245 @@
+/**
+ * vehiclePositions.js
+ * Positions mesurées GTFS-Realtime (VehiclePositions), affichées à côté des
+ * positions déduites des horaires (BusPositionCalculator)
+ *
+ * Chaque véhicule est rattaché à son trip : trip_id de la position, sinon le
+ * trip annoncé pour ce véhicule par les TripUpdates. Le retard est estimé en
+ * situant la position mesurée sur le parcours du trip : heure théorique de
+ * passage à ce point, comparée à l'heure de la mesure.
+ *
+ * Une position trop ancienne (MAX_REPORT_AGE_SECONDS) est ignorée : le bus
+ * reprend sa position calculée d'après les horaires.
+ *
+ * Le retard estimé et le prochain arrêt du véhicule (getEstimates) servent
+ * d'observation à DelayPredictor pour les trips sans TripUpdates.
+ */
+
+import { INCREMENTALITY, VEHICLE_STOP_STATUS } from './gtfsRealtime.js';
+import { getServiceDayStart } from './timeManager.js';
+
+const MAX_REPORT_AGE_SECONDS = 180;   // Au-delà, la position n'est plus affichée
+const SEGMENT_TIE_METERS = 30;        // Tracés qui se recouvrent : départage par l'heure
+
+export class VehiclePositions {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.reports = new Map();       // clé du véhicule -> dernière position
+        this.reportsByTrip = new Map(); // "tripId|YYYYMMDD" -> position
+        this.timestamp = null;          // header.timestamp du dernier flux (secondes POSIX)
+        this.version = 0;               // Incrémentée à chaque flux (invalide les prévisions)
+    }
+
+    /**
+     * Intègre un FeedMessage décodé. Un flux complet remplace les positions
+     * précédentes du même flux GTFS, un flux différentiel les complète.
+     * @param {Object} message
+     * @param {string|null} [feedId] - Flux GTFS auquel se rapportent les identifiants (voir getFeedEntityId)
+     * @returns {{timestamp: number|null, vehicleCount: number, matchedCount: number}}
+     */
+    load(message, feedId = null) {
+        const dm = this.dataManager;
+        const timestamp = message.header.timestamp || Math.floor(Date.now() / 1000);
+
+        if (message.header.incrementality !== INCREMENTALITY.DIFFERENTIAL) {
+            this.reports.forEach((report, key) => {
+                if (report.feedId === feedId) this.reports.delete(key);
+            });
+        }
+
+        let vehicleCount = 0;
+        message.entity.forEach(entity => {
+            const vehicle = entity.vehicle;
+            if (!vehicle) return;
+            const key = `${feedId}|${vehicle.vehicle?.id || entity.id}`;
+            if (entity.is_deleted || !vehicle.position) {
+                this.reports.delete(key);
+                return;
+            }
+            vehicleCount++;
+
+            const report = {
+                feedId,
+                vehicleId: vehicle.vehicle?.id || null,
+                label: vehicle.vehicle?.label || null,
+                lat: vehicle.position.latitude,
+                lon: vehicle.position.longitude,
+                bearing: vehicle.position.bearing ?? null,
+                speed: vehicle.position.speed ?? null,
+                timestamp: vehicle.timestamp || timestamp,
+                currentStopSequence: vehicle.current_stop_sequence ?? null,
+                status: vehicle.current_status ?? VEHICLE_STOP_STATUS.IN_TRANSIT_TO,
+                ...this.matchTrip(vehicle, feedId, vehicle.timestamp || timestamp)
+            };
+            this.reports.set(key, report);
+        });
+
+        this.reportsByTrip.clear();
+        this.reports.forEach(report => {
+            if (!report.tripId) return;
+            const tripKey = `${report.tripId}|${report.startDate}`;
+            const current = this.reportsByTrip.get(tripKey);
+            if (!current || report.timestamp > current.timestamp) {
+                this.reportsByTrip.set(tripKey, report);
+            }
+        });
+        this.timestamp = timestamp;
+        this.version++;
+
+        return { timestamp, vehicleCount, matchedCount: this.reportsByTrip.size };
+    }
+
+    /**
+     * Trip et jour de service d'une position
+     * @returns {{tripId: string|null, startDate: string|null}}
+     */
+    matchTrip(vehicle, feedId, timestamp) {
+        const dm = this.dataManager;
+        const descriptor = vehicle.trip || {};
+        if (descriptor.trip_id) {
+            const tripId = feedId ? dm.getFeedEntityId(feedId, 'trip', descriptor.trip_id) : descriptor.trip_id;
+            const trip = dm.tripsByTripId[tripId];
+            if (trip) {
+                return { tripId, startDate: descriptor.start_date || dm.tripUpdates.inferStartDate(trip, timestamp) };
+            }
+        }
+        if (vehicle.vehicle?.id) {
+            const announced = dm.tripUpdates.findByVehicle(vehicle.vehicle.id);
+            if (announced) return announced;
+        }
+        return { tripId: null, startDate: null };
+    }
+
+    /**
+     * Oublie toutes les positions (ex. nouveau flux GTFS chargé)
+     */
+    clear() {
+        this.reports.clear();
+        this.reportsByTrip.clear();
+        this.timestamp = null;
+        this.version++;
+    }
+
+    /**
+     * Dernière position récente d'un trip
+     * @param {string} tripId
+     * @param {Date} serviceDate
+     * @param {number} now - Instant affiché (secondes POSIX)
+     * @returns {Object|null} { lat, lon, bearing, speed, timestamp, age, lateness, vehicleId, label },
+     * `lateness` : retard estimé sur l'horaire théorique (s), null si la position est hors du parcours
+     */
+    get(tripId, serviceDate, now) {
+        const report = this.reportsByTrip.get(`${tripId}|${this.dataManager.formatDateKey(serviceDate)}`);
+        if (!report || Math.abs(now - report.timestamp) > MAX_REPORT_AGE_SECONDS) {
+            return null;
+        }
+        const { lateness } = this.getEstimate(report, serviceDate);
+        return {
+            lat: report.lat,
+            lon: report.lon,
+            bearing: report.bearing,
+            speed: report.speed,
+            timestamp: report.timestamp,
+            age: Math.max(0, now - report.timestamp),
+            lateness,
+            vehicleId: report.vehicleId,
+            label: report.label
+        };
+    }
+
+    /**
+     * Retards estimés des véhicules d'un jour de service, pour DelayPredictor :
+     * positions récentes (par rapport au dernier flux) situées sur leur parcours
+     * @param {Date} serviceDate
+     * @returns {Array<{tripId: string, lateness: number, nextIndex: number, timestamp: number}>}
+     * `nextIndex` : rang du prochain arrêt du véhicule dans son trip
+     */
+    getEstimates(serviceDate) {
+        const dateKey = this.dataManager.formatDateKey(serviceDate);
+        const estimates = [];
+        this.reportsByTrip.forEach(report => {
+            if (report.startDate !== dateKey || this.timestamp - report.timestamp > MAX_REPORT_AGE_SECONDS) return;
+            const { lateness, nextIndex } = this.getEstimate(report, serviceDate);
+            if (lateness === null) return;
+            estimates.push({ tripId: report.tripId, lateness, nextIndex, timestamp: report.timestamp });
+        });
+        return estimates;
+    }
+
+    /**
+     * Estimation mise en cache sur la position (elle ne change qu'avec une nouvelle mesure)
+     */
+    getEstimate(report, serviceDate) {
+        if (report.estimate === undefined) {
+            report.estimate = this.computeLateness(report, serviceDate);
+        }
+        return report.estimate;
+    }
+
+    /**
+     * Retard estimé : heure de la mesure moins l'heure théorique de passage au
+     * point du parcours le plus proche (interpolée entre les deux arrêts). Avec
+     * current_stop_sequence, la recherche se limite à l'arrêt annoncé.
+     * @returns {{lateness: number|null, nextIndex: number|null}} retard en secondes et
+     * rang du prochain arrêt (null si la position est hors du parcours)
+     */
+    computeLateness(report, serviceDate) {
+        const dm = this.dataManager;
+        const stopTimes = dm.stopTimesByTrip[report.tripId];
+        const unknown = { lateness: null, nextIndex: null };
+        if (!stopTimes || stopTimes.length < 2) return unknown;
+
+        const reportSeconds = report.timestamp - getServiceDayStart(serviceDate, dm.timezone);
+        const arrival = (i) => dm.timeToSeconds(stopTimes[i].arrival_time || stopTimes[i].departure_time);
+        const departure = (i) => dm.timeToSeconds(stopTimes[i].departure_time || stopTimes[i].arrival_time);
+
+        let first = 0;
+        let last = stopTimes.length - 2;
+        if (report.currentStopSequence !== null) {
+            const index = stopTimes.findIndex(st => parseInt(st.stop_sequence, 10) === report.currentStopSequence);
+            if (index >= 0 && report.status === VEHICLE_STOP_STATUS.STOPPED_AT) {
+                // À l'arrêt : en retard après l'heure de départ, en avance avant l'heure d'arrivée
+                const lateness = reportSeconds > departure(index)
+                    ? reportSeconds - departure(index)
+                    : Math.min(0, reportSeconds - arrival(index));
+                return { lateness, nextIndex: Math.min(index + 1, stopTimes.length - 1) };
+            }
+            if (index > 0) {
+                first = last = index - 1;
+            }
+        }
+
+        let best = null;
+        for (let i = first; i <= last; i++) {
+            const from = dm.getStop(stopTimes[i].stop_id);
+            const to = dm.getStop(stopTimes[i + 1].stop_id);
+            if (!from || !to) continue;
+            const { distance, fraction } = this.projectOnSegment(report, from, to);
+            const scheduled = departure(i) + fraction * (arrival(i + 1) - departure(i));
+            const gap = Math.abs(reportSeconds - scheduled);
+            if (!best || distance < best.distance - SEGMENT_TIE_METERS ||
+                (distance <= best.distance + SEGMENT_TIE_METERS && gap < best.gap)) {
+                best = { distance, gap, scheduled, nextIndex: i + 1 };
+            }
+        }
+        return best ? { lateness: Math.round(reportSeconds - best.scheduled), nextIndex: best.nextIndex } : unknown;
+    }
+
+    /**
+     * Projection d'un point sur le segment entre deux arrêts (plan local, en mètres)
+     * @returns {{distance: number, fraction: number}} fraction 0 (from) à 1 (to)
+     */
+    projectOnSegment(point, from, to) {
+        const metersPerDegree = 111320;
+        const cosLat = Math.cos(point.lat * Math.PI / 180);
+        const ax = (parseFloat(from.stop_lon) - point.lon) * metersPerDegree * cosLat;
+        const ay = (parseFloat(from.stop_lat) - point.lat) * metersPerDegree;
+        const bx = (parseFloat(to.stop_lon) - point.lon) * metersPerDegree * cosLat;
+        const by = (parseFloat(to.stop_lat) - point.lat) * metersPerDegree;
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const fraction = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+        return { distance: Math.hypot(ax + fraction * dx, ay + fraction * dy), fraction };
+    }
+}